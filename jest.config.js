@@ -15,7 +15,6 @@ module.exports = {
   testMatch: [
     '**/tests/**/*.test.js'
   ],
-  transform: {},
   moduleNameMapper: {
     '^(\\.{1,2}/.*)\\.js$': '$1'
   }
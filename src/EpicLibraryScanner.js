@@ -0,0 +1,318 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { scanLinuxLibraries } from './LegendaryLibrary.js';
+import ProcessCatalog, { CATALOG_VERSION } from './services/ProcessCatalog.js';
+import { getBaseName } from './services/ProcessMatcher.js';
+
+const DEFAULT_CHECK_INTERVAL = 30000;
+
+/**
+ * Known Epic Games installation roots (a leading `~` is the target user's
+ * home directory)
+ */
+const EPIC_INSTALL_PATHS = {
+  win32: [
+    'C:\\Program Files (x86)\\Epic Games',
+    'C:\\Program Files\\Epic Games'
+  ],
+  darwin: [
+    '/Applications/Epic Games Launcher.app',
+    '/Users/Shared/Epic Games'
+  ],
+  linux: [
+    '~/Games/epic-games-store/drive_c/Program Files (x86)/Epic Games',
+    '~/.wine/drive_c/Program Files (x86)/Epic Games'
+  ]
+};
+
+/**
+ * Epic Games Launcher data directories (the parent of `Manifests/`)
+ */
+const EPIC_DATA_PATHS = {
+  win32: 'C:\\ProgramData\\Epic\\EpicGamesLauncher\\Data',
+  darwin: '~/Library/Application Support/Epic/EpicGamesLauncher/Data',
+  linux: '~/Games/epic-games-store/drive_c/ProgramData/Epic/EpicGamesLauncher/Data'
+};
+
+/**
+ * Epic Games Library Scanner
+ *
+ * Discovers the games installed through the Epic Games Launcher by parsing
+ * the launcher's `Manifests/*.item` files (and, on Linux, the legendary and
+ * Heroic libraries) and generates one policy per installed game (plus the
+ * launcher processes).
+ *
+ * The filesystem and platform are injectable so the same scanner can run
+ * against the local machine or against an agent's remote filesystem.
+ */
+export class EpicLibraryScanner {
+  /**
+   * @param {Function} onPolicyUpdate - called with the generated policies after each scan
+   * @param {Object} [options]
+   * @param {Object} [options.fs] - object implementing access/readdir/readFile (defaults to fs/promises)
+   * @param {string} [options.platform] - target platform (defaults to process.platform)
+   * @param {string} [options.homeDir] - target user's home directory (defaults to os.homedir()
+   *   for the local filesystem; with another fs, home-relative paths are skipped without it)
+   * @param {number} [options.checkInterval] - policy check interval in ms
+   * @param {ProcessCatalog} [options.catalog] - source of launcher/helper process names
+   */
+  constructor(onPolicyUpdate, options = {}) {
+    this.onPolicyUpdate = onPolicyUpdate;
+    this.fs = options.fs || fs;
+    this.platform = options.platform || null;
+    this.homeDir = options.homeDir || (options.fs ? null : os.homedir());
+    this.checkInterval = options.checkInterval || DEFAULT_CHECK_INTERVAL;
+    this.catalog = options.catalog || new ProcessCatalog();
+    this.installedGames = [];
+  }
+
+  /**
+   * Discover installed games and publish the resulting policies
+   */
+  async start() {
+    const platform = this.getPlatform();
+    const epicPath = await this.findEpicPath(platform);
+    let games = [];
+
+    if (epicPath) {
+      console.log(`[EpicLibraryScanner] Found Epic Games at ${epicPath}`);
+      const dataPath = this.getDataPath(platform);
+      if (dataPath) {
+        games = await this.scanInstalledGames(dataPath);
+      }
+    } else {
+      console.log('[EpicLibraryScanner] Epic Games Launcher not found');
+    }
+
+    if (platform === 'linux') {
+      const linuxGames = await this.scanLinuxLibraries();
+      const known = new Set(games.map(game => game.AppName || game.DisplayName));
+      games = [...games, ...linuxGames.filter(game => !known.has(game.AppName || game.DisplayName))];
+    }
+
+    this.installedGames = games;
+
+    const policies = this.generatePolicies(platform);
+
+    if (this.onPolicyUpdate) {
+      await this.onPolicyUpdate(policies, this.installedGames);
+    }
+
+    return policies;
+  }
+
+  /**
+   * Forget everything discovered so far
+   */
+  async stop() {
+    this.installedGames = [];
+  }
+
+  /**
+   * Locate the Epic Games installation for a platform
+   *
+   * @returns {Promise<string|null>} the first existing install path, or null
+   */
+  async findEpicPath(platform = this.getPlatform()) {
+    const candidates = EPIC_INSTALL_PATHS[platform] || EPIC_INSTALL_PATHS.win32;
+
+    for (const candidate of candidates) {
+      const resolved = this.resolvePath(candidate, platform);
+      if (!resolved) {
+        continue;
+      }
+      try {
+        await this.fs.access(resolved);
+        return resolved;
+      } catch (error) {
+        // Not installed here, try the next location
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the launcher data directory that holds `Manifests/`
+   *
+   * @returns {string|null} null when it is home-relative and the home directory is unknown
+   */
+  getDataPath(platform = this.getPlatform()) {
+    const dataPath = EPIC_DATA_PATHS[platform] || EPIC_DATA_PATHS.win32;
+    return this.resolvePath(dataPath, platform);
+  }
+
+  /**
+   * Parse every `Manifests/*.item` file below the launcher data directory
+   *
+   * Unreadable or malformed manifests are skipped.
+   */
+  async scanInstalledGames(dataPath) {
+    const pathApi = this.getPathApi();
+    const manifestsDir = pathApi.join(dataPath, 'Manifests');
+    const games = [];
+
+    let files;
+    try {
+      files = await this.fs.readdir(manifestsDir);
+    } catch (error) {
+      console.warn(`[EpicLibraryScanner] No manifests found in ${manifestsDir}`);
+      this.installedGames = [];
+      return this.installedGames;
+    }
+
+    for (const file of files) {
+      if (!file.endsWith('.item')) {
+        continue;
+      }
+
+      try {
+        const content = await this.fs.readFile(pathApi.join(manifestsDir, file), 'utf8');
+        const manifest = JSON.parse(content);
+        if (manifest && manifest.DisplayName) {
+          games.push(manifest);
+        }
+      } catch (error) {
+        console.warn(`[EpicLibraryScanner] Skipping unreadable manifest ${file}: ${error.message}`);
+      }
+    }
+
+    this.installedGames = games;
+    console.log(`[EpicLibraryScanner] Discovered ${games.length} installed Epic game(s)`);
+    return this.installedGames;
+  }
+
+  /**
+   * Discover games installed through legendary or Heroic
+   */
+  async scanLinuxLibraries() {
+    if (!this.homeDir) {
+      console.log('[EpicLibraryScanner] Home directory unknown, skipping legendary/Heroic libraries');
+      return [];
+    }
+    const games = await scanLinuxLibraries(this.fs, this.homeDir);
+    console.log(`[EpicLibraryScanner] Discovered ${games.length} legendary/Heroic game(s)`);
+    return games;
+  }
+
+  /**
+   * Build policies for the launcher/helper processes and each installed game
+   *
+   * Windows executables installed on macOS/Linux mean the launcher runs
+   * under Wine/CrossOver, so the Windows launcher processes are added too.
+   */
+  generatePolicies(platform = this.getPlatform()) {
+    let launchers = this.catalog.getProcessNames(platform).launcher;
+    if (launchers.length === 0) {
+      launchers = this.catalog.getProcessNames('win32').launcher;
+    }
+
+    const runsUnderWine = platform !== 'win32' &&
+      this.installedGames.some(game => /\.exe$/i.test(game.LaunchExecutable || ''));
+    if (runsUnderWine) {
+      launchers = [...new Set([...launchers, ...this.catalog.getProcessNames('win32').launcher])];
+    }
+
+    const launcherPolicies = launchers.map(processName =>
+      this.createPolicy(processName, platform, { type: 'launcher' })
+    );
+
+    const gamePolicies = [];
+    for (const game of this.installedGames) {
+      // LaunchExecutable may be a relative path using either separator
+      const processName = getBaseName(game.LaunchExecutable);
+      if (!processName) {
+        continue;
+      }
+
+      gamePolicies.push(this.createPolicy(processName, platform, {
+        type: 'game',
+        game: game.DisplayName,
+        appName: game.AppName || null,
+        installLocation: game.InstallLocation || null,
+        launcher: game.Launcher || 'epic'
+      }));
+    }
+
+    return [...launcherPolicies, ...gamePolicies];
+  }
+
+  /**
+   * Create a default-deny policy for a single process
+   */
+  createPolicy(processName, platform, metadata) {
+    return {
+      processName,
+      allowed: false,
+      checkInterval: this.checkInterval,
+      actions: {
+        onDetected: 'check-quota',
+        onViolation: 'kill-process'
+      },
+      metadata: {
+        plugin: '@allow2/allow2automate-epic',
+        category: 'gaming',
+        platform,
+        catalogVersion: CATALOG_VERSION,
+        ...metadata
+      }
+    };
+  }
+
+  getPlatform() {
+    return this.platform || process.platform;
+  }
+
+  getPathApi(platform = this.getPlatform()) {
+    return platform === 'win32' ? path.win32 : path.posix;
+  }
+
+  /**
+   * Expand a leading `~` to the target user's home directory
+   *
+   * @returns {string|null} null for a home-relative path when the home directory is unknown
+   */
+  resolvePath(candidate, platform) {
+    if (!candidate.startsWith('~')) {
+      return candidate;
+    }
+    if (!this.homeDir) {
+      return null;
+    }
+    return this.getPathApi(platform).join(this.homeDir, candidate.slice(1));
+  }
+}
+
+/**
+ * Adapt the agent service's remote file API to the subset of fs/promises
+ * used by EpicLibraryScanner
+ *
+ * @returns {Object|null} null when the agent service has no file access
+ */
+export function createAgentFileSystem(agentService, agentId) {
+  if (!agentService?.fileExists || !agentService?.listDirectory || !agentService?.readFile) {
+    return null;
+  }
+
+  return {
+    async access(filePath) {
+      const exists = await agentService.fileExists(agentId, filePath);
+      if (!exists) {
+        const error = new Error(`ENOENT: no such file or directory, access '${filePath}'`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+    },
+    readdir: (dirPath) => agentService.listDirectory(agentId, dirPath),
+    readFile: (filePath) => agentService.readFile(agentId, filePath)
+  };
+}
+
+export default EpicLibraryScanner;
@@ -0,0 +1,8 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+// The library scanner used to live here as `EpicMonitor`; keep the old path
+// and name working without clashing with services/EpicMonitor.js.
+export * from './EpicLibraryScanner.js';
+export { EpicLibraryScanner as EpicMonitor, default } from './EpicLibraryScanner.js';
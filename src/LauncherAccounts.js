@@ -0,0 +1,94 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import path from 'path';
+
+/**
+ * Epic Account Detection
+ *
+ * Finds the Epic account signed in on a device from a launcher file that
+ * holds no credentials. Agents can only read whole files, so files that
+ * keep login tokens next to the account (the Epic Games Launcher's
+ * `GameUserSettings.ini` with its `[RememberMe]` token, legendary's
+ * `user.json`) are never read.
+ *
+ * - Heroic: its `store/config.json` caches the signed-in Epic account
+ *   (`userInfo`) without the tokens legendary keeps
+ */
+
+/**
+ * Heroic settings store locations (Flatpak included), relative to the
+ * user's home directory
+ */
+export const HEROIC_CONFIG_PATHS = {
+  win32: ['AppData/Roaming/heroic/store/config.json'],
+  darwin: ['Library/Application Support/heroic/store/config.json'],
+  linux: [
+    '.config/heroic/store/config.json',
+    '.var/app/com.heroicgameslauncher.hgl/config/heroic/store/config.json'
+  ]
+};
+
+// Epic account IDs are 32 hex digits
+const ACCOUNT_ID_PATTERN = /^[0-9a-f]{32}$/i;
+
+/**
+ * The signed-in Epic account cached in Heroic's `store/config.json`
+ *
+ * @returns {Array} [{ accountId, displayName }], empty when signed out
+ */
+export function parseHeroicConfig(content) {
+  const userInfo = JSON.parse(content)?.userInfo;
+  const accountId = userInfo?.account_id;
+  if (typeof accountId !== 'string' || !ACCOUNT_ID_PATTERN.test(accountId)) {
+    return [];
+  }
+  return [{
+    accountId: accountId.toLowerCase(),
+    displayName: typeof userInfo.displayName === 'string' ? userInfo.displayName : null
+  }];
+}
+
+/**
+ * Read every known launcher account file below a home directory
+ *
+ * Missing or malformed files are skipped. An account found by several
+ * files is returned once, with the first display name found.
+ *
+ * @param {Object} fs - object implementing readFile (fs/promises or an agent adapter)
+ * @param {Object} options - { platform, homeDir }
+ * @returns {Promise<Array>} [{ accountId, displayName, source }]
+ */
+export async function detectLauncherAccounts(fs, { platform, homeDir }) {
+  const pathApi = platform === 'win32' ? path.win32 : path.posix;
+  const accounts = new Map();
+
+  for (const file of HEROIC_CONFIG_PATHS[platform] || []) {
+    const filePath = pathApi.join(homeDir, file);
+
+    let found;
+    try {
+      found = parseHeroicConfig(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      // Not the message: parse errors can quote the file
+      if (error.code !== 'ENOENT') {
+        console.warn(`[LauncherAccounts] Skipping unreadable account file ${filePath} (${error.code || error.name})`);
+      }
+      continue;
+    }
+
+    for (const account of found) {
+      const known = accounts.get(account.accountId);
+      if (!known) {
+        accounts.set(account.accountId, { ...account, source: 'heroic' });
+      } else if (!known.displayName && account.displayName) {
+        known.displayName = account.displayName;
+      }
+    }
+  }
+
+  return [...accounts.values()];
+}
@@ -0,0 +1,130 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import path from 'path';
+
+/**
+ * Legendary / Heroic Library Discovery
+ *
+ * Parses the library files of the open-source Epic launchers used on Linux
+ * (legendary and Heroic, which drives legendary) into the same shape as an
+ * Epic launcher manifest, so EpicLibraryScanner can generate policies from them.
+ */
+
+/**
+ * legendary `installed.json` locations (standalone, Heroic-bundled and
+ * Heroic Flatpak), relative to the user's home directory
+ */
+export const LEGENDARY_INSTALLED_PATHS = [
+  '.config/legendary/installed.json',
+  '.config/heroic/legendaryConfig/legendary/installed.json',
+  '.var/app/com.heroicgameslauncher.hgl/config/heroic/legendaryConfig/legendary/installed.json'
+];
+
+/**
+ * Heroic library caches (current and pre-2.9 layouts, native and Flatpak),
+ * relative to the user's home directory
+ */
+export const HEROIC_LIBRARY_PATHS = [
+  '.config/heroic/store_cache/legendary_library.json',
+  '.config/heroic/lib-cache/library.json',
+  '.var/app/com.heroicgameslauncher.hgl/config/heroic/store_cache/legendary_library.json',
+  '.var/app/com.heroicgameslauncher.hgl/config/heroic/lib-cache/library.json'
+];
+
+/**
+ * Parse legendary's `installed.json` (an object keyed by app name)
+ *
+ * @returns {Array} manifest-shaped game entries, DLC excluded
+ */
+export function parseLegendaryInstalled(content, launcher = 'legendary') {
+  const installed = JSON.parse(content);
+  if (!installed || typeof installed !== 'object') {
+    return [];
+  }
+
+  return Object.values(installed)
+    .filter(game => game && !game.is_dlc && game.executable)
+    .map(game => ({
+      DisplayName: game.title || game.app_name,
+      AppName: game.app_name,
+      InstallLocation: game.install_path || null,
+      LaunchExecutable: game.executable,
+      Launcher: launcher
+    }));
+}
+
+/**
+ * Parse a Heroic library cache (`{ library: [GameInfo, ...] }`)
+ *
+ * Only installed Epic (legendary runner) games are returned.
+ */
+export function parseHeroicLibrary(content) {
+  const cache = JSON.parse(content);
+  const library = Array.isArray(cache) ? cache : cache?.library;
+  if (!Array.isArray(library)) {
+    return [];
+  }
+
+  return library
+    .filter(game =>
+      game &&
+      game.is_installed &&
+      (!game.runner || game.runner === 'legendary') &&
+      game.install?.executable
+    )
+    .map(game => ({
+      DisplayName: game.title || game.app_name,
+      AppName: game.app_name,
+      InstallLocation: game.install.install_path || null,
+      LaunchExecutable: game.install.executable,
+      Launcher: 'heroic'
+    }));
+}
+
+/**
+ * Read every known legendary/Heroic library file below a home directory
+ *
+ * Missing or malformed files are skipped. Games found by several files are
+ * returned once (legendary's own record wins).
+ *
+ * @param {Object} fs - object implementing readFile (fs/promises or an agent adapter)
+ * @param {string} homeDir - the target user's home directory
+ */
+export async function scanLinuxLibraries(fs, homeDir) {
+  const sources = [
+    ...LEGENDARY_INSTALLED_PATHS.map(file => ({
+      file,
+      parse: content => parseLegendaryInstalled(content, file.includes('heroic') ? 'heroic' : 'legendary')
+    })),
+    ...HEROIC_LIBRARY_PATHS.map(file => ({ file, parse: parseHeroicLibrary }))
+  ];
+
+  const games = new Map();
+
+  for (const { file, parse } of sources) {
+    const filePath = path.posix.join(homeDir, file);
+
+    let entries;
+    try {
+      entries = parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[LegendaryLibrary] Skipping unreadable library ${filePath}: ${error.message}`);
+      }
+      continue;
+    }
+
+    for (const game of entries) {
+      const key = game.AppName || game.DisplayName;
+      if (!games.has(key)) {
+        games.set(key, game);
+      }
+    }
+  }
+
+  return [...games.values()];
+}
@@ -1,6 +1,6 @@
 // Copyright [2025] [Allow2 Pty Ltd]
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Card,
   CardContent,
@@ -17,34 +17,120 @@ import {
   Chip,
   Divider,
   TextField,
-  Box
+  Box,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@material-ui/core';
 import {
   Computer as ComputerIcon,
   CheckCircle as CheckCircleIcon,
   Error as ErrorIcon,
-  Delete as DeleteIcon
+  Delete as DeleteIcon,
+  GetApp as GetAppIcon
 } from '@material-ui/icons';
+import { DAYS } from '../services/ScheduleRules.js';
+import { normalizeUsername } from '../services/UserLinks.js';
+
+const VIOLATION_PAGE_SIZE = 50;
+
+const ENFORCEMENT_LABELS = {
+  kill: 'Close immediately',
+  graceful: 'Ask to close, then close',
+  warn: 'Warn only',
+  log: 'Log only'
+};
+
+const CONFIGURATION_CHIPS = {
+  pending: { label: 'Pending', color: 'default' },
+  configured: { label: 'Configured', color: 'primary' },
+  retrying: { label: 'Retrying', color: 'secondary' },
+  failed: { label: 'Failed', color: 'secondary' }
+};
 
 /**
  * Epic Games Settings Component
  *
  * Provides UI for configuring Epic Games monitoring including:
  * - Agent management and child linking
+ * - OS account to child links for shared PCs
+ * - Epic accounts found on devices and the child each belongs to
+ * - Children's requests for more time (approve/deny)
+ * - Extra time: temporary unlocks for a child or device
  * - Monitoring settings (check interval, notifications)
+ * - Observe mode and the suggested limits it produces
+ * - Time-up warnings and grace period
  * - Process selection (launcher only vs all games)
- * - Violation history
+ * - Per-game daily limits per child
+ * - Enforcement modes (close, warn or log) per child and game
+ * - Weekly play schedule per child
+ * - Custom games/processes added to the process catalog
+ * - Processes that should never be treated as Epic
+ * - Weekly report (view, download, scheduled delivery)
+ * - Violation history with filtering, paging and export
+ * - Uninstall, restoring every device
  */
 export default function EpicSettings({ ipcRenderer }) {
   const [agents, setAgents] = useState([]);
   const [violations, setViolations] = useState([]);
+  const [violationTotal, setViolationTotal] = useState(0);
+  const [violationChildId, setViolationChildId] = useState('');
+  const violationChildIdRef = useRef(''); // Read by the live violation listener
   const [settings, setSettings] = useState({
     monitorFortnite: true,
     monitorAllGames: true,
+    detectEpicLaunched: true,
     checkInterval: 30000,
-    enableNotifications: true
+    enableNotifications: true,
+    warningThresholds: [10, 5, 1],
+    gracePeriod: 0,
+    violationRetentionDays: 90,
+    allowTimeRequests: true,
+    observeMode: false,
+    offlineAlertMinutes: 30,
+    weeklyReport: false,
+    weeklyReportDay: 0,
+    weeklyReportHour: 18
   });
+  const [thresholdsText, setThresholdsText] = useState('10, 5, 1');
+  const [checkIntervalText, setCheckIntervalText] = useState('30');
+  const [settingsError, setSettingsError] = useState(null);
   const [children, setChildren] = useState([]); // From Allow2
+  const [gameLimits, setGameLimits] = useState({});
+  const [games, setGames] = useState([]);
+  const [gameUsage, setGameUsage] = useState({});
+  const [schedules, setSchedules] = useState({});
+  const [defaultSchedule, setDefaultSchedule] = useState(null);
+  const [scheduleChildId, setScheduleChildId] = useState('');
+  const [scheduleDraft, setScheduleDraft] = useState(null);
+  const [scheduleError, setScheduleError] = useState(null);
+  const [catalogEntries, setCatalogEntries] = useState([]);
+  const [newEntry, setNewEntry] = useState({ name: '', type: 'game', platform: 'all', processes: '' });
+  const [catalogError, setCatalogError] = useState(null);
+  const [exclusions, setExclusions] = useState([]);
+  const [newExclusion, setNewExclusion] = useState('');
+  const [uninstallResult, setUninstallResult] = useState(null);
+  const [newUsernames, setNewUsernames] = useState({}); // agentId -> username being added
+  const [userLinkError, setUserLinkError] = useState(null);
+  const [epicAccounts, setEpicAccounts] = useState([]);
+  const [accountLinkError, setAccountLinkError] = useState(null);
+  const [weeklyReport, setWeeklyReport] = useState(null); // { report, text, html } being viewed
+  const [reportError, setReportError] = useState(null);
+  const [grants, setGrants] = useState([]);
+  const [grantForm, setGrantForm] = useState({ target: '', game: '', minutes: '30' });
+  const [grantError, setGrantError] = useState(null);
+  const [timeRequests, setTimeRequests] = useState([]);
+  const [approveMinutes, setApproveMinutes] = useState({}); // requestId -> minutes to grant
+  const [timeRequestError, setTimeRequestError] = useState(null);
+  const [enforcement, setEnforcement] = useState(null);
+  const [enforcementError, setEnforcementError] = useState(null);
+  const [observationSummary, setObservationSummary] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -52,41 +138,129 @@ export default function EpicSettings({ ipcRenderer }) {
 
     // Listen for real-time updates
     const handleViolation = (event, violation) => {
-      setViolations(prev => [violation, ...prev].slice(0, 50));
+      // Another child's violation doesn't belong in a filtered list
+      if (violationChildIdRef.current && violation.childId !== violationChildIdRef.current) {
+        return;
+      }
+      setViolations(prev => [violation, ...prev]);
+      setViolationTotal(prev => prev + 1);
     };
 
     const handleAgentDiscovered = (event, { agent }) => {
-      setAgents(prev => [...prev, agent]);
+      setAgents(prev => prev.some(a => a.id === agent.id)
+        ? prev.map(a => (a.id === agent.id ? { ...a, ...agent, online: true } : a))
+        : [...prev, { ...agent, online: true }]);
+    };
+
+    const handleAgentLost = (event, { agentId, lastSeenAt, offlineSince }) => {
+      setAgents(prev => prev.map(a => (a.id === agentId ? { ...a, online: false, lastSeenAt, offlineSince } : a)));
+    };
+
+    const handleAccountsChanged = (event, { accounts }) => {
+      setEpicAccounts(accounts);
+    };
+
+    const handleAgentOffline = (event, { agentId, ...heartbeat }) => {
+      setAgents(prev => prev.map(a => (a.id === agentId ? { ...a, ...heartbeat } : a)));
     };
 
-    const handleAgentLost = (event, { agentId }) => {
-      setAgents(prev => prev.filter(a => a.id !== agentId));
+    const handleAgentOnline = (event, { agentId, lastSeenAt }) => {
+      setAgents(prev => prev.map(a => (a.id === agentId ? { ...a, lastSeenAt, offlineSince: null, offlineAlertedAt: null } : a)));
+    };
+
+    const handleOutboxChanged = (event, { agentId, pending }) => {
+      setAgents(prev => prev.map(a => (a.id === agentId ? { ...a, pendingChanges: pending } : a)));
+    };
+
+    const handleAgentStatus = (event, { agentId, ...configuration }) => {
+      setAgents(prev => prev.map(a => (a.id === agentId ? { ...a, configuration } : a)));
+    };
+
+    const handleGrantsChanged = (event, { grants: activeGrants }) => {
+      setGrants(activeGrants);
+    };
+
+    const handleTimeRequest = (event, request) => {
+      setTimeRequests(prev => [...prev.filter(r => r.id !== request.id), request]);
+    };
+
+    const handleTimeRequestAnswered = (event, request) => {
+      setTimeRequests(prev => prev.filter(r => r.id !== request.id));
     };
 
     ipcRenderer?.on('epicViolation', handleViolation);
     ipcRenderer?.on('epicAgentDiscovered', handleAgentDiscovered);
     ipcRenderer?.on('epicAgentLost', handleAgentLost);
+    ipcRenderer?.on('epicAgentOffline', handleAgentOffline);
+    ipcRenderer?.on('epicAgentOnline', handleAgentOnline);
+    ipcRenderer?.on('epicAccountsChanged', handleAccountsChanged);
+    ipcRenderer?.on('epicOutboxChanged', handleOutboxChanged);
+    ipcRenderer?.on('epicAgentStatus', handleAgentStatus);
+    ipcRenderer?.on('epicGrantsChanged', handleGrantsChanged);
+    ipcRenderer?.on('epicTimeRequest', handleTimeRequest);
+    ipcRenderer?.on('epicTimeRequestAnswered', handleTimeRequestAnswered);
 
     return () => {
       ipcRenderer?.removeListener('epicViolation', handleViolation);
       ipcRenderer?.removeListener('epicAgentDiscovered', handleAgentDiscovered);
       ipcRenderer?.removeListener('epicAgentLost', handleAgentLost);
+      ipcRenderer?.removeListener('epicAgentOffline', handleAgentOffline);
+      ipcRenderer?.removeListener('epicAgentOnline', handleAgentOnline);
+      ipcRenderer?.removeListener('epicAccountsChanged', handleAccountsChanged);
+      ipcRenderer?.removeListener('epicOutboxChanged', handleOutboxChanged);
+      ipcRenderer?.removeListener('epicAgentStatus', handleAgentStatus);
+      ipcRenderer?.removeListener('epicGrantsChanged', handleGrantsChanged);
+      ipcRenderer?.removeListener('epicTimeRequest', handleTimeRequest);
+      ipcRenderer?.removeListener('epicTimeRequestAnswered', handleTimeRequestAnswered);
     };
   }, [ipcRenderer]);
 
   const loadData = async () => {
     try {
-      const [agentsRes, violationsRes, settingsRes, childrenRes] = await Promise.all([
+      const [agentsRes, violationsRes, settingsRes, childrenRes, limitsRes, schedulesRes, catalogRes, grantsRes, requestsRes, enforcementRes, summaryRes, accountsRes] = await Promise.all([
         ipcRenderer?.invoke('epic:getAgents'),
         ipcRenderer?.invoke('epic:getViolations'),
         ipcRenderer?.invoke('epic:getSettings'),
-        ipcRenderer?.invoke('allow2:getChildren') // Get children from Allow2 service
+        ipcRenderer?.invoke('allow2:getChildren'), // Get children from Allow2 service
+        ipcRenderer?.invoke('epic:getGameLimits'),
+        ipcRenderer?.invoke('epic:getSchedules'),
+        ipcRenderer?.invoke('epic:getCatalog'),
+        ipcRenderer?.invoke('epic:getGrants'),
+        ipcRenderer?.invoke('epic:getTimeRequests'),
+        ipcRenderer?.invoke('epic:getEnforcement'),
+        ipcRenderer?.invoke('epic:getObservationSummary'),
+        ipcRenderer?.invoke('epic:getAccounts')
       ]);
 
       if (agentsRes?.success) setAgents(agentsRes.agents);
-      if (violationsRes?.success) setViolations(violationsRes.violations);
-      if (settingsRes?.success) setSettings(settingsRes.settings);
+      if (violationsRes?.success) {
+        setViolations(violationsRes.violations);
+        setViolationTotal(violationsRes.total);
+      }
+      if (settingsRes?.success) {
+        setSettings(settingsRes.settings);
+        setThresholdsText((settingsRes.settings.warningThresholds || []).join(', '));
+        setCheckIntervalText(String(settingsRes.settings.checkInterval / 1000));
+      }
       if (childrenRes?.success) setChildren(childrenRes.children);
+      if (limitsRes?.success) {
+        setGameLimits(limitsRes.limits);
+        setGames(limitsRes.games);
+        setGameUsage(limitsRes.usage);
+      }
+      if (schedulesRes?.success) {
+        setSchedules(schedulesRes.schedules);
+        setDefaultSchedule(schedulesRes.defaultSchedule);
+      }
+      if (catalogRes?.success) {
+        setCatalogEntries(catalogRes.entries);
+        setExclusions(catalogRes.exclusions || []);
+      }
+      if (grantsRes?.success) setGrants(grantsRes.grants);
+      if (requestsRes?.success) setTimeRequests(requestsRes.requests);
+      if (enforcementRes?.success) setEnforcement(enforcementRes.enforcement);
+      if (summaryRes?.success) setObservationSummary(summaryRes.summary);
+      if (accountsRes?.success) setEpicAccounts(accountsRes.accounts);
 
       setLoading(false);
     } catch (error) {
@@ -109,22 +283,348 @@ export default function EpicSettings({ ipcRenderer }) {
     }
   };
 
+  const handleUserLinkChange = async (agentId, username, childId) => {
+    const result = await ipcRenderer?.invoke('epic:setUserLink', { agentId, username, childId });
+    if (result?.success) {
+      setUserLinkError(null);
+      loadData();
+    } else {
+      setUserLinkError(result?.error || 'Failed to link account');
+    }
+  };
+
+  const handleAccountLinkChange = async (accountId, childId) => {
+    const result = await ipcRenderer?.invoke('epic:linkAccount', { accountId, childId });
+    if (result?.success) {
+      setAccountLinkError(null);
+      loadData();
+    } else {
+      setAccountLinkError(result?.error || 'Failed to link Epic account');
+    }
+  };
+
+  const handleAddUsername = async (agentId, childId) => {
+    const username = (newUsernames[agentId] || '').trim();
+    if (!username || !childId) {
+      return;
+    }
+    await handleUserLinkChange(agentId, username, childId);
+    setNewUsernames(prev => ({ ...prev, [agentId]: '' }));
+  };
+
+  // Accounts the agent reported plus any already linked, one row each
+  const getUserRows = (agent) => {
+    const linked = new Map((agent.userLinks || []).map(link => [link.username, link.childId]));
+    const usernames = new Set([...(agent.users || []).map(normalizeUsername), ...linked.keys()]);
+    const current = normalizeUsername(agent.currentUser);
+
+    return [...usernames].filter(Boolean).sort().map(username => ({
+      username,
+      childId: linked.get(username) || '',
+      active: username === current
+    }));
+  };
+
+  const handleGrantTime = async () => {
+    const [kind, id] = grantForm.target.split(':');
+    const result = await ipcRenderer?.invoke('epic:grantTime', {
+      childId: kind === 'child' ? id : null,
+      agentId: kind === 'agent' ? id : null,
+      game: grantForm.game || null,
+      minutes: parseInt(grantForm.minutes, 10)
+    });
+
+    if (result?.success) {
+      setGrantError(null);
+    } else {
+      setGrantError(result?.error || 'Failed to grant time');
+    }
+  };
+
+  const handleRevokeGrant = async (grantId) => {
+    await ipcRenderer?.invoke('epic:revokeGrant', { grantId });
+  };
+
+  const handleAnswerTimeRequest = async (request, approve) => {
+    const result = approve
+      ? await ipcRenderer?.invoke('epic:approveTimeRequest', {
+        requestId: request.id,
+        minutes: parseInt(approveMinutes[request.id] ?? request.minutes, 10)
+      })
+      : await ipcRenderer?.invoke('epic:denyTimeRequest', { requestId: request.id });
+
+    setTimeRequestError(result?.success ? null : result?.error || 'Failed to answer request');
+  };
+
+  const handleObserveModeChange = async (observeMode) => {
+    await handleSettingChange('observeMode', observeMode);
+    const result = await ipcRenderer?.invoke('epic:getObservationSummary');
+    if (result?.success) setObservationSummary(result.summary);
+  };
+
+  const handleApplySuggestedLimits = async (childId) => {
+    const result = await ipcRenderer?.invoke('epic:applySuggestedLimits', { childId });
+    if (result?.success) {
+      setGameLimits(result.limits);
+    }
+  };
+
+  const handleEnforcementChange = async (change) => {
+    const result = await ipcRenderer?.invoke('epic:setEnforcement', change);
+    if (result?.success) {
+      setEnforcement(result.enforcement);
+      setEnforcementError(null);
+    } else {
+      setEnforcementError(result?.error || 'Failed to save enforcement');
+    }
+  };
+
+  // '' means "inherit" everywhere except the default mode
+  const renderModeSelect = (value, onChange, { inherit = true } = {}) => (
+    <Select value={value || ''} onChange={(e) => onChange(e.target.value || null)} displayEmpty style={{ minWidth: 140 }}>
+      {inherit && (
+        <MenuItem value="">
+          <em>Inherit</em>
+        </MenuItem>
+      )}
+      {Object.entries(ENFORCEMENT_LABELS).map(([mode, label]) => (
+        <MenuItem key={mode} value={mode}>
+          {label}
+        </MenuItem>
+      ))}
+    </Select>
+  );
+
+  const describeGrantTarget = (grant) => {
+    if (grant.agentId) {
+      return agents.find(a => a.id === grant.agentId)?.hostname || grant.agentId;
+    }
+    return children.find(c => c.id === grant.childId)?.name || grant.childId;
+  };
+
   const handleSettingChange = async (key, value) => {
     const newSettings = { ...settings, [key]: value };
     setSettings(newSettings);
 
     const result = await ipcRenderer?.invoke('epic:updateSettings', newSettings);
-    if (!result?.success) {
+    if (result?.success) {
+      setSettingsError(null);
+    } else {
       // Revert on failure
+      setSettingsError(result?.error || 'Failed to save settings');
+      loadData();
+    }
+  };
+
+  const handleCheckIntervalCommit = () => {
+    handleSettingChange('checkInterval', Math.round(parseFloat(checkIntervalText) * 1000));
+  };
+
+  // Whole-number fields save when they lose focus, so a half-typed value
+  // (e.g. the "3" of "30") is never saved
+  const handleNumberCommit = (key, text) => {
+    const value = Math.max(0, parseInt(text, 10) || 0);
+    if (value !== settings[key]) {
+      handleSettingChange(key, value);
+    }
+  };
+
+  const handleThresholdsCommit = () => {
+    const thresholds = thresholdsText
+      .split(',')
+      .map(value => parseFloat(value))
+      .filter(value => Number.isFinite(value) && value > 0)
+      .sort((a, b) => b - a);
+
+    setThresholdsText(thresholds.join(', '));
+    handleSettingChange('warningThresholds', thresholds);
+  };
+
+  // Saved when the field loses focus, as every save updates the child's devices
+  const handleGameLimitChange = async (childId, game, value) => {
+    const minutes = value.trim() === '' ? null : parseInt(value, 10);
+    if (Number.isNaN(minutes) || minutes === (gameLimits[childId]?.[game] ?? null)) {
+      return;
+    }
+
+    setGameLimits(prev => ({
+      ...prev,
+      [childId]: { ...(prev[childId] || {}), [game]: minutes }
+    }));
+
+    const result = await ipcRenderer?.invoke('epic:setGameLimit', { childId, game, minutes });
+    if (result?.success) {
+      setGameLimits(result.limits);
+    } else {
+      // Revert on failure
+      loadData();
+    }
+  };
+
+  const formatMinutesPlayed = (childId, game) => {
+    const seconds = gameUsage[childId]?.[game] || 0;
+    return `${Math.floor(seconds / 60)} min played today`;
+  };
+
+  const handleSelectScheduleChild = (childId) => {
+    setScheduleChildId(childId);
+    const schedule = schedules[childId] || defaultSchedule;
+    setScheduleDraft(schedule ? JSON.parse(JSON.stringify(schedule)) : null);
+  };
+
+  const handleToggleScheduleHour = (day, hour) => {
+    setScheduleDraft(prev => {
+      const days = prev.days.map(hours => [...hours]);
+      days[day][hour] = !days[day][hour];
+      return { ...prev, days };
+    });
+  };
+
+  const handleSaveSchedule = async () => {
+    const result = await ipcRenderer?.invoke('epic:setSchedule', {
+      childId: scheduleChildId,
+      schedule: scheduleDraft
+    });
+    if (result?.success) {
+      setSchedules(result.schedules);
+      setScheduleError(null);
+    } else {
+      if (result?.schedules) {
+        setSchedules(result.schedules);
+      }
+      setScheduleError(result?.error || 'Failed to save schedule');
+    }
+  };
+
+  const handleAddCatalogEntry = async () => {
+    const processNames = newEntry.processes.split(',').map(name => name.trim()).filter(Boolean);
+    const platforms = newEntry.platform === 'all' ? ['win32', 'darwin', 'linux'] : [newEntry.platform];
+    const processes = {};
+    platforms.forEach(platform => { processes[platform] = processNames; });
+
+    const result = await ipcRenderer?.invoke('epic:saveCatalogEntry', {
+      name: newEntry.name,
+      type: newEntry.type,
+      processes
+    });
+
+    if (result?.success) {
+      setCatalogEntries(result.entries);
+      setNewEntry({ name: '', type: 'game', platform: 'all', processes: '' });
+      setCatalogError(null);
+      loadData();
+    } else {
+      setCatalogError(result?.error || 'Failed to add entry');
+    }
+  };
+
+  const handleRemoveCatalogEntry = async (id) => {
+    const result = await ipcRenderer?.invoke('epic:removeCatalogEntry', { id });
+    if (result?.success) {
+      setCatalogEntries(result.entries);
       loadData();
     }
   };
 
+  const saveExclusions = async (updated) => {
+    const result = await ipcRenderer?.invoke('epic:setProcessExclusions', { exclusions: updated });
+    if (result?.success) {
+      setExclusions(result.exclusions);
+      setCatalogError(null);
+    } else {
+      setCatalogError(result?.error || 'Failed to save exclusions');
+    }
+    return result?.success;
+  };
+
+  const handleAddExclusion = async () => {
+    const pattern = newExclusion.trim();
+    const kind = /[*?]/.test(pattern) ? 'glob' : 'exact';
+    if (await saveExclusions([...exclusions, { kind, pattern }])) {
+      setNewExclusion('');
+    }
+  };
+
+  const handleRemoveExclusion = (index) => {
+    saveExclusions(exclusions.filter((rule, i) => i !== index));
+  };
+
+  const loadViolations = async (childId, offset = 0) => {
+    const result = await ipcRenderer?.invoke('epic:getViolations', {
+      childId: childId || undefined,
+      offset,
+      limit: VIOLATION_PAGE_SIZE
+    });
+    if (result?.success) {
+      setViolations(prev => (offset === 0 ? result.violations : [...prev, ...result.violations]));
+      setViolationTotal(result.total);
+    }
+  };
+
+  const handleViolationChildChange = (childId) => {
+    setViolationChildId(childId);
+    violationChildIdRef.current = childId;
+    loadViolations(childId);
+  };
+
+  const handleExportViolations = async (format) => {
+    const result = await ipcRenderer?.invoke('epic:exportViolations', {
+      format,
+      childId: violationChildId || undefined
+    });
+    if (!result?.success) {
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([result.content], { type: result.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleViewReport = async () => {
+    const result = await ipcRenderer?.invoke('epic:generateReport');
+    if (result?.success) {
+      setReportError(null);
+      setWeeklyReport(result);
+    } else {
+      setReportError(result?.error || 'Failed to generate the report');
+    }
+  };
+
+  const handleDownloadReport = (format) => {
+    const content = format === 'html' ? weeklyReport.html : weeklyReport.text;
+    const url = URL.createObjectURL(new Blob([content], { type: format === 'html' ? 'text/html' : 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `epic-weekly-report-${weeklyReport.report.to.slice(0, 10)}.${format === 'html' ? 'html' : 'txt'}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   const handleClearViolations = async () => {
-    const result = await ipcRenderer?.invoke('epic:clearViolations');
+    const result = await ipcRenderer?.invoke('epic:clearViolations', {
+      childId: violationChildId || undefined
+    });
     if (result?.success) {
       setViolations([]);
+      setViolationTotal(0);
+    }
+  };
+
+  const handleUninstall = async () => {
+    const confirmed = window.confirm(
+      'Remove Epic Games monitoring from every device and delete all limits, schedules and history?'
+    );
+    if (!confirmed) {
+      return;
     }
+
+    const result = await ipcRenderer?.invoke('epic:uninstall');
+    setUninstallResult(result);
+    loadData();
   };
 
   if (loading) {
@@ -161,6 +661,36 @@ export default function EpicSettings({ ipcRenderer }) {
             label="Monitor Fortnite Specifically"
           />
 
+          <FormControlLabel
+            control={
+              <Switch
+                checked={settings.observeMode}
+                onChange={(e) => handleObserveModeChange(e.target.checked)}
+              />
+            }
+            label="Observe Only (Nothing Is Blocked)"
+          />
+
+          <FormControlLabel
+            control={
+              <Switch
+                checked={settings.allowTimeRequests}
+                onChange={(e) => handleSettingChange('allowTimeRequests', e.target.checked)}
+              />
+            }
+            label="Let Children Request More Time"
+          />
+
+          <FormControlLabel
+            control={
+              <Switch
+                checked={settings.detectEpicLaunched}
+                onChange={(e) => handleSettingChange('detectEpicLaunched', e.target.checked)}
+              />
+            }
+            label="Detect Any Game Launched by Epic"
+          />
+
           <FormControlLabel
             control={
               <Switch
@@ -175,12 +705,64 @@ export default function EpicSettings({ ipcRenderer }) {
             <TextField
               label="Check Interval (seconds)"
               type="number"
-              value={settings.checkInterval / 1000}
-              onChange={(e) => handleSettingChange('checkInterval', parseInt(e.target.value) * 1000)}
-              helperText="How often to check for Epic Games processes"
+              value={checkIntervalText}
+              onChange={(e) => setCheckIntervalText(e.target.value)}
+              onBlur={handleCheckIntervalCommit}
+              helperText="How often to check for Epic Games processes (5-3600)"
+              inputProps={{ min: 5, max: 3600 }}
               style={{ width: 200 }}
             />
           </Box>
+
+          <Box style={{ marginTop: 16 }}>
+            <TextField
+              label="Warn before time runs out (minutes)"
+              value={thresholdsText}
+              onChange={(e) => setThresholdsText(e.target.value)}
+              onBlur={handleThresholdsCommit}
+              helperText="Comma-separated, e.g. 10, 5, 1. Sent to the child's device."
+              style={{ width: 280, marginRight: 16 }}
+            />
+            <TextField
+              label="Grace period (minutes)"
+              type="number"
+              key={`grace-${settings.gracePeriod}`}
+              defaultValue={settings.gracePeriod}
+              onBlur={(e) => handleNumberCommit('gracePeriod', e.target.value)}
+              helperText="Extra time after it runs out before games are closed (0 = none)"
+              inputProps={{ min: 0 }}
+              style={{ width: 280 }}
+            />
+          </Box>
+
+          <Box style={{ marginTop: 16 }}>
+            <TextField
+              label="Keep violations for (days)"
+              type="number"
+              key={`retention-${settings.violationRetentionDays}`}
+              defaultValue={settings.violationRetentionDays}
+              onBlur={(e) => handleNumberCommit('violationRetentionDays', e.target.value)}
+              helperText="0 = keep forever"
+              inputProps={{ min: 0 }}
+              style={{ width: 280, marginRight: 16 }}
+            />
+            <TextField
+              label="Alert when a child's device is offline for (minutes)"
+              type="number"
+              key={`offline-${settings.offlineAlertMinutes}`}
+              defaultValue={settings.offlineAlertMinutes}
+              onBlur={(e) => handleNumberCommit('offlineAlertMinutes', e.target.value)}
+              helperText="The agent may have been stopped or uninstalled (0 = never)"
+              inputProps={{ min: 0 }}
+              style={{ width: 280 }}
+            />
+          </Box>
+
+          {settingsError && (
+            <Typography variant="body2" color="error" style={{ marginTop: 8 }}>
+              {settingsError}
+            </Typography>
+          )}
         </CardContent>
       </Card>
 
@@ -209,7 +791,15 @@ export default function EpicSettings({ ipcRenderer }) {
                 <ComputerIcon style={{ marginRight: 12 }} />
                 <ListItemText
                   primary={agent.hostname}
-                  secondary={`${agent.platform} • ${agent.online ? 'Online' : 'Offline'}`}
+                  secondary={[
+                    agent.platform,
+                    agent.online
+                      ? 'Online'
+                      : `Offline, last seen ${agent.lastSeenAt ? new Date(agent.lastSeenAt).toLocaleString() : 'never'}`,
+                    agent.configuration?.error,
+                    agent.configuration?.nextRetryAt &&
+                      `next retry ${new Date(agent.configuration.nextRetryAt).toLocaleTimeString()}`
+                  ].filter(Boolean).join(' • ')}
                 />
                 <ListItemSecondaryAction>
                   {agent.online ? (
@@ -217,6 +807,30 @@ export default function EpicSettings({ ipcRenderer }) {
                   ) : (
                     <Chip icon={<ErrorIcon />} label="Offline" size="small" />
                   )}
+                  {agent.offlineAlertedAt && (
+                    <Chip
+                      label="Not responding"
+                      color="secondary"
+                      size="small"
+                      style={{ marginLeft: 8 }}
+                    />
+                  )}
+                  {agent.configuration && (
+                    <Chip
+                      label={CONFIGURATION_CHIPS[agent.configuration.status].label}
+                      color={CONFIGURATION_CHIPS[agent.configuration.status].color}
+                      variant="outlined"
+                      size="small"
+                      style={{ marginLeft: 8 }}
+                    />
+                  )}
+                  {agent.pendingChanges > 0 && (
+                    <Chip
+                      label={`${agent.pendingChanges} pending change${agent.pendingChanges === 1 ? '' : 's'}`}
+                      size="small"
+                      style={{ marginLeft: 8 }}
+                    />
+                  )}
                   <Select
                     value={agent.childId || ''}
                     onChange={(e) => handleLinkAgent(agent.id, e.target.value)}
@@ -248,22 +862,836 @@ export default function EpicSettings({ ipcRenderer }) {
         </CardContent>
       </Card>
 
+      {/* Shared PCs */}
+      <Card style={{ marginBottom: 20 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Shared PCs
+          </Typography>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Link each child's own account on a shared computer to that child.
+            Rules follow whoever is logged in, and play time and violations
+            are counted against the account running the game. Accounts that
+            aren't linked use the child the device is linked to.
+          </Typography>
+
+          {userLinkError && (
+            <Typography variant="body2" color="error" paragraph>
+              {userLinkError}
+            </Typography>
+          )}
+
+          {agents.map(agent => (
+            <Box key={agent.id} marginBottom={3}>
+              <Typography variant="subtitle1">{agent.hostname}</Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Account</TableCell>
+                    <TableCell>Child</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {getUserRows(agent).map(row => (
+                    <TableRow key={row.username}>
+                      <TableCell>
+                        {row.username}
+                        {row.active && (
+                          <Chip label="Logged in" size="small" style={{ marginLeft: 8 }} />
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Select
+                          value={row.childId}
+                          onChange={(e) => handleUserLinkChange(agent.id, row.username, e.target.value)}
+                          displayEmpty
+                          style={{ minWidth: 150 }}
+                        >
+                          <MenuItem value="">
+                            <em>Device default</em>
+                          </MenuItem>
+                          {children.map(child => (
+                            <MenuItem key={child.id} value={child.id}>
+                              {child.name}
+                            </MenuItem>
+                          ))}
+                        </Select>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  <TableRow>
+                    <TableCell>
+                      <TextField
+                        placeholder="Add account"
+                        size="small"
+                        value={newUsernames[agent.id] || ''}
+                        onChange={(e) => setNewUsernames(prev => ({ ...prev, [agent.id]: e.target.value }))}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        value=""
+                        onChange={(e) => handleAddUsername(agent.id, e.target.value)}
+                        displayEmpty
+                        disabled={!(newUsernames[agent.id] || '').trim()}
+                        style={{ minWidth: 150 }}
+                      >
+                        <MenuItem value="">
+                          <em>Link to...</em>
+                        </MenuItem>
+                        {children.map(child => (
+                          <MenuItem key={child.id} value={child.id}>
+                            {child.name}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                  </TableRow>
+                </TableBody>
+              </Table>
+            </Box>
+          ))}
+        </CardContent>
+      </Card>
+
+      {/* Epic Accounts */}
+      <Card style={{ marginBottom: 20 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Epic Accounts
+          </Typography>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Epic accounts signed in on your devices. An account follows its
+            child's rules on every device it is used on. New accounts are
+            linked to the child of the device they are found on.
+          </Typography>
+
+          {accountLinkError && (
+            <Typography variant="body2" color="error" paragraph>
+              {accountLinkError}
+            </Typography>
+          )}
+
+          {epicAccounts.length === 0 ? (
+            <Typography variant="body2">No Epic accounts found yet</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Account</TableCell>
+                  <TableCell>Devices</TableCell>
+                  <TableCell>Child</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {epicAccounts.map(account => (
+                  <TableRow key={account.accountId}>
+                    <TableCell>
+                      {account.displayName || 'Unnamed account'}
+                      <Typography variant="caption" color="textSecondary" display="block">
+                        {account.accountId}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {Object.keys(account.agents)
+                        .map(agentId => agents.find(a => a.id === agentId)?.hostname || agentId)
+                        .join(', ') || 'Not signed in'}
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        value={account.childId || ''}
+                        onChange={(e) => handleAccountLinkChange(account.accountId, e.target.value)}
+                        displayEmpty
+                        style={{ minWidth: 150 }}
+                      >
+                        <MenuItem value="">
+                          <em>Not linked</em>
+                        </MenuItem>
+                        {children.map(child => (
+                          <MenuItem key={child.id} value={child.id}>
+                            {child.name}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                      {account.linkedBy === 'auto' && (
+                        <Chip label="Auto" size="small" variant="outlined" style={{ marginLeft: 8 }} />
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Observation Summary */}
+      {observationSummary?.startedAt && (
+        <Card style={{ marginBottom: 20 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              What Your Children Play
+            </Typography>
+            <Typography variant="body2" color="textSecondary" paragraph>
+              {`Observed for ${observationSummary.days} day${observationSummary.days === 1 ? '' : 's'} ` +
+                `since ${new Date(observationSummary.startedAt).toLocaleDateString()} ` +
+                `(${observationSummary.detections} detection${observationSummary.detections === 1 ? '' : 's'}). `}
+              {observationSummary.ready
+                ? 'Suggested limits are the average daily play, rounded up to 15 minutes.'
+                : 'Suggestions firm up after a full week.'}
+            </Typography>
+
+            {Object.keys(observationSummary.children).length === 0 && (
+              <Typography variant="body2">No games played yet</Typography>
+            )}
+
+            {Object.entries(observationSummary.children).map(([childId, childGames]) => (
+              <Box key={childId} marginBottom={2}>
+                <Box display="flex" alignItems="center">
+                  <Typography variant="subtitle1" style={{ flexGrow: 1 }}>
+                    {children.find(c => c.id === childId)?.name || childId}
+                  </Typography>
+                  <Button size="small" color="primary" onClick={() => handleApplySuggestedLimits(childId)}>
+                    Use Suggested Limits
+                  </Button>
+                </Box>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Game</TableCell>
+                      <TableCell align="right">Sessions</TableCell>
+                      <TableCell align="right">Average / day</TableCell>
+                      <TableCell align="right">Suggested limit</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {childGames.map(row => (
+                      <TableRow key={row.game}>
+                        <TableCell>{row.game}</TableCell>
+                        <TableCell align="right">{row.sessions}</TableCell>
+                        <TableCell align="right">{row.averageMinutes} min</TableCell>
+                        <TableCell align="right">{row.suggestedMinutes} min</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Box>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Time Requests */}
+      {timeRequests.length > 0 && (
+        <Card style={{ marginBottom: 20 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Time Requests
+            </Typography>
+
+            {timeRequestError && (
+              <Typography variant="body2" color="error" paragraph>
+                {timeRequestError}
+              </Typography>
+            )}
+
+            <List>
+              {timeRequests.map(request => (
+                <ListItem key={request.id} divider>
+                  <ListItemText
+                    primary={`${children.find(c => c.id === request.childId)?.name ||
+                      agents.find(a => a.id === request.agentId)?.hostname || 'Unknown'} wants ` +
+                      `${request.minutes} more minute(s) of ${request.game || 'Epic Games'}`}
+                    secondary={[
+                      new Date(request.requestedAt).toLocaleString(),
+                      request.reason && `"${request.reason}"`
+                    ].filter(Boolean).join(' • ')}
+                  />
+                  <ListItemSecondaryAction>
+                    <TextField
+                      label="Minutes"
+                      type="number"
+                      size="small"
+                      value={approveMinutes[request.id] ?? request.minutes}
+                      onChange={(e) => setApproveMinutes(prev => ({ ...prev, [request.id]: e.target.value }))}
+                      inputProps={{ min: 1 }}
+                      style={{ width: 90 }}
+                    />
+                    <Button
+                      color="primary"
+                      onClick={() => handleAnswerTimeRequest(request, true)}
+                      style={{ marginLeft: 8 }}
+                    >
+                      Approve
+                    </Button>
+                    <Button onClick={() => handleAnswerTimeRequest(request, false)}>
+                      Deny
+                    </Button>
+                  </ListItemSecondaryAction>
+                </ListItem>
+              ))}
+            </List>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Extra Time */}
+      <Card style={{ marginBottom: 20 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Extra Time
+          </Typography>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Unlock Epic Games, or one game, for a child or a device right now.
+            The normal rules take over again when the time is up.
+          </Typography>
+
+          <Box display="flex" alignItems="center" flexWrap="wrap">
+            <Select
+              value={grantForm.target}
+              onChange={(e) => setGrantForm({ ...grantForm, target: e.target.value })}
+              displayEmpty
+              style={{ minWidth: 180, marginRight: 12 }}
+            >
+              <MenuItem value="">
+                <em>Child or device</em>
+              </MenuItem>
+              {children.map(child => (
+                <MenuItem key={`child:${child.id}`} value={`child:${child.id}`}>
+                  {child.name}
+                </MenuItem>
+              ))}
+              {agents.map(agent => (
+                <MenuItem key={`agent:${agent.id}`} value={`agent:${agent.id}`}>
+                  {agent.hostname} (device)
+                </MenuItem>
+              ))}
+            </Select>
+            <Select
+              value={grantForm.game}
+              onChange={(e) => setGrantForm({ ...grantForm, game: e.target.value })}
+              displayEmpty
+              style={{ minWidth: 160, marginRight: 12 }}
+            >
+              <MenuItem value="">
+                <em>All of Epic Games</em>
+              </MenuItem>
+              {games.map(game => (
+                <MenuItem key={game} value={game}>
+                  {game}
+                </MenuItem>
+              ))}
+            </Select>
+            <TextField
+              label="Minutes"
+              type="number"
+              size="small"
+              value={grantForm.minutes}
+              onChange={(e) => setGrantForm({ ...grantForm, minutes: e.target.value })}
+              inputProps={{ min: 1 }}
+              style={{ width: 100, marginRight: 12 }}
+            />
+            <Button
+              variant="contained"
+              color="primary"
+              onClick={handleGrantTime}
+              disabled={!grantForm.target}
+            >
+              Grant
+            </Button>
+          </Box>
+
+          {grantError && (
+            <Typography variant="body2" color="error" style={{ marginTop: 8 }}>
+              {grantError}
+            </Typography>
+          )}
+
+          <List dense>
+            {grants.map(grant => (
+              <ListItem key={grant.id} divider>
+                <ListItemText
+                  primary={`${grant.game || 'Epic Games'} for ${describeGrantTarget(grant)}`}
+                  secondary={`Until ${new Date(grant.expiresAt).toLocaleTimeString()}${grant.reason ? ` • ${grant.reason}` : ''}`}
+                />
+                <ListItemSecondaryAction>
+                  <Button size="small" onClick={() => handleRevokeGrant(grant.id)}>
+                    End now
+                  </Button>
+                </ListItemSecondaryAction>
+              </ListItem>
+            ))}
+          </List>
+        </CardContent>
+      </Card>
+
+      {/* Per-Game Daily Limits */}
+      <Card style={{ marginBottom: 20 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Per-Game Daily Limits
+          </Typography>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Minutes each child may play a game per day. Leave blank for no limit;
+            only the game over its limit is blocked.
+          </Typography>
+
+          {children.length === 0 && (
+            <Typography variant="body2">No children available from Allow2</Typography>
+          )}
+
+          {children.map(child => (
+            <Box key={child.id} marginBottom={2}>
+              <Typography variant="subtitle1">{child.name}</Typography>
+              <List dense>
+                {games.map(game => (
+                  <ListItem key={game} divider>
+                    <ListItemText
+                      primary={game}
+                      secondary={formatMinutesPlayed(child.id, game)}
+                    />
+                    <ListItemSecondaryAction>
+                      <TextField
+                        label="Minutes / day"
+                        type="number"
+                        size="small"
+                        key={`${child.id}:${game}:${gameLimits[child.id]?.[game] ?? ''}`}
+                        defaultValue={gameLimits[child.id]?.[game] ?? ''}
+                        onBlur={(e) => handleGameLimitChange(child.id, game, e.target.value)}
+                        inputProps={{ min: 0 }}
+                        style={{ width: 120 }}
+                      />
+                    </ListItemSecondaryAction>
+                  </ListItem>
+                ))}
+              </List>
+            </Box>
+          ))}
+        </CardContent>
+      </Card>
+
+      {/* Enforcement */}
+      {enforcement && (
+        <Card style={{ marginBottom: 20 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Enforcement
+            </Typography>
+            <Typography variant="body2" color="textSecondary" paragraph>
+              What happens when a game runs while it isn't allowed. A child's
+              setting for a game wins over their overall setting, which wins
+              over the setting for everyone.
+            </Typography>
+
+            {enforcementError && (
+              <Typography variant="body2" color="error" paragraph>
+                {enforcementError}
+              </Typography>
+            )}
+
+            <Box style={{ overflowX: 'auto' }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell />
+                    <TableCell>All games</TableCell>
+                    {games.map(game => (
+                      <TableCell key={game}>{game}</TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  <TableRow>
+                    <TableCell>Everyone</TableCell>
+                    <TableCell>
+                      {renderModeSelect(enforcement.mode, mode => handleEnforcementChange({ mode }), { inherit: false })}
+                    </TableCell>
+                    {games.map(game => (
+                      <TableCell key={game}>
+                        {renderModeSelect(enforcement.games[game], mode => handleEnforcementChange({ game, mode }))}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                  {children.map(child => (
+                    <TableRow key={child.id}>
+                      <TableCell>{child.name}</TableCell>
+                      <TableCell>
+                        {renderModeSelect(enforcement.children[child.id]?.mode,
+                          mode => handleEnforcementChange({ childId: child.id, mode }))}
+                      </TableCell>
+                      {games.map(game => (
+                        <TableCell key={game}>
+                          {renderModeSelect(enforcement.children[child.id]?.games[game],
+                            mode => handleEnforcementChange({ childId: child.id, game, mode }))}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Box>
+
+            <TextField
+              label="Seconds to close before forcing it"
+              type="number"
+              size="small"
+              defaultValue={enforcement.closeTimeout}
+              onBlur={(e) => handleEnforcementChange({ closeTimeout: parseInt(e.target.value, 10) })}
+              inputProps={{ min: 1, max: 600 }}
+              style={{ marginTop: 16, width: 260 }}
+            />
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Play Schedule */}
+      <Card style={{ marginBottom: 20 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Play Schedule
+          </Typography>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Hours when Epic Games may be played, on top of the Allow2 quota.
+            Click an hour to allow (green) or block (grey) it.
+          </Typography>
+
+          <Select
+            value={scheduleChildId}
+            onChange={(e) => handleSelectScheduleChild(e.target.value)}
+            displayEmpty
+            style={{ minWidth: 200, marginBottom: 16 }}
+          >
+            <MenuItem value="">
+              <em>Select a child</em>
+            </MenuItem>
+            {children.map(child => (
+              <MenuItem key={child.id} value={child.id}>
+                {child.name}
+              </MenuItem>
+            ))}
+          </Select>
+
+          {scheduleDraft && (
+            <Box>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={scheduleDraft.enabled}
+                    onChange={(e) => setScheduleDraft({ ...scheduleDraft, enabled: e.target.checked })}
+                  />
+                }
+                label="Enforce schedule"
+              />
+
+              <Box style={{ overflowX: 'auto', opacity: scheduleDraft.enabled ? 1 : 0.5 }}>
+                <Box display="flex" style={{ marginLeft: 90 }}>
+                  {scheduleDraft.days[0].map((allowed, hour) => (
+                    <Typography key={hour} variant="caption" style={{ width: 22, textAlign: 'center' }}>
+                      {hour % 3 === 0 ? hour : ''}
+                    </Typography>
+                  ))}
+                </Box>
+                {DAYS.map((dayName, day) => (
+                  <Box key={dayName} display="flex" alignItems="center">
+                    <Typography variant="body2" style={{ width: 90 }}>
+                      {dayName}
+                    </Typography>
+                    {scheduleDraft.days[day].map((allowed, hour) => (
+                      <Box
+                        key={hour}
+                        onClick={() => handleToggleScheduleHour(day, hour)}
+                        title={`${dayName} ${hour}:00-${hour + 1}:00 ${allowed ? 'allowed' : 'blocked'}`}
+                        style={{
+                          width: 20,
+                          height: 20,
+                          margin: 1,
+                          cursor: 'pointer',
+                          backgroundColor: allowed ? '#4caf50' : '#bdbdbd'
+                        }}
+                      />
+                    ))}
+                  </Box>
+                ))}
+              </Box>
+
+              <Box marginTop={2}>
+                <Button variant="contained" color="primary" size="small" onClick={handleSaveSchedule}>
+                  Save Schedule
+                </Button>
+                <Button
+                  size="small"
+                  onClick={() => setScheduleDraft({ ...defaultSchedule, enabled: scheduleDraft.enabled })}
+                  style={{ marginLeft: 8 }}
+                >
+                  Allow All Hours
+                </Button>
+              </Box>
+              {scheduleError && (
+                <Typography variant="body2" color="error" style={{ marginTop: 8 }}>
+                  {scheduleError}
+                </Typography>
+              )}
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Custom Games & Processes */}
+      <Card style={{ marginBottom: 20 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Custom Games &amp; Processes
+          </Typography>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Add Epic titles or launcher processes the built-in catalog doesn't know yet.
+          </Typography>
+
+          <List dense>
+            {catalogEntries.filter(entry => entry.custom).length === 0 && (
+              <ListItem>
+                <ListItemText primary="No custom entries" />
+              </ListItem>
+            )}
+
+            {catalogEntries.filter(entry => entry.custom).map(entry => (
+              <ListItem key={entry.id} divider>
+                <ListItemText
+                  primary={`${entry.name} (${entry.type})`}
+                  secondary={Object.entries(entry.processes)
+                    .map(([platform, names]) => `${platform}: ${names.join(', ')}`)
+                    .join(' • ')}
+                />
+                <ListItemSecondaryAction>
+                  <Button
+                    size="small"
+                    startIcon={<DeleteIcon />}
+                    onClick={() => handleRemoveCatalogEntry(entry.id)}
+                  >
+                    Remove
+                  </Button>
+                </ListItemSecondaryAction>
+              </ListItem>
+            ))}
+          </List>
+
+          <Box display="flex" alignItems="flex-end" flexWrap="wrap" marginTop={2}>
+            <TextField
+              label="Name"
+              value={newEntry.name}
+              onChange={(e) => setNewEntry({ ...newEntry, name: e.target.value })}
+              style={{ width: 180, marginRight: 12 }}
+            />
+            <Select
+              value={newEntry.type}
+              onChange={(e) => setNewEntry({ ...newEntry, type: e.target.value })}
+              style={{ marginRight: 12 }}
+            >
+              <MenuItem value="game">Game</MenuItem>
+              <MenuItem value="launcher">Launcher</MenuItem>
+              <MenuItem value="helper">Helper</MenuItem>
+            </Select>
+            <Select
+              value={newEntry.platform}
+              onChange={(e) => setNewEntry({ ...newEntry, platform: e.target.value })}
+              style={{ marginRight: 12 }}
+            >
+              <MenuItem value="all">All platforms</MenuItem>
+              <MenuItem value="win32">Windows</MenuItem>
+              <MenuItem value="darwin">macOS</MenuItem>
+              <MenuItem value="linux">Linux</MenuItem>
+            </Select>
+            <TextField
+              label="Process names"
+              value={newEntry.processes}
+              onChange={(e) => setNewEntry({ ...newEntry, processes: e.target.value })}
+              helperText="Comma-separated, e.g. MyGame-Win64-Shipping.exe"
+              style={{ width: 280, marginRight: 12 }}
+            />
+            <Button
+              variant="contained"
+              color="primary"
+              size="small"
+              onClick={handleAddCatalogEntry}
+              disabled={!newEntry.name || !newEntry.processes}
+            >
+              Add
+            </Button>
+          </Box>
+
+          <Typography variant="subtitle2" style={{ marginTop: 24 }}>
+            Never treat as Epic
+          </Typography>
+          <Typography variant="body2" color="textSecondary">
+            Processes that are wrongly matched, e.g. an unrelated app with a similar name.
+          </Typography>
+
+          <List dense>
+            {exclusions.map((rule, index) => (
+              <ListItem key={`${rule.kind}-${rule.pattern}`} divider>
+                <ListItemText primary={rule.pattern} secondary={rule.kind} />
+                <ListItemSecondaryAction>
+                  <Button
+                    size="small"
+                    startIcon={<DeleteIcon />}
+                    onClick={() => handleRemoveExclusion(index)}
+                  >
+                    Remove
+                  </Button>
+                </ListItemSecondaryAction>
+              </ListItem>
+            ))}
+          </List>
+
+          <Box display="flex" alignItems="flex-end" marginTop={1}>
+            <TextField
+              label="Process name"
+              value={newExclusion}
+              onChange={(e) => setNewExclusion(e.target.value)}
+              helperText="Exact name, or a pattern with * and ?"
+              style={{ width: 280, marginRight: 12 }}
+            />
+            <Button
+              size="small"
+              variant="outlined"
+              onClick={handleAddExclusion}
+              disabled={!newExclusion.trim()}
+            >
+              Exclude
+            </Button>
+          </Box>
+
+          {catalogError && (
+            <Typography variant="body2" color="error" style={{ marginTop: 8 }}>
+              {catalogError}
+            </Typography>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Weekly Report */}
+      <Card style={{ marginBottom: 20 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Weekly Report
+          </Typography>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Each child's Epic Games time over the last seven days, per game and
+            device, with blocked attempts, compared with the week before.
+          </Typography>
+
+          <Button variant="outlined" color="primary" onClick={handleViewReport}>
+            View Weekly Report
+          </Button>
+          {reportError && (
+            <Typography variant="body2" color="error" style={{ marginTop: 8 }}>
+              {reportError}
+            </Typography>
+          )}
+
+          <Box display="flex" alignItems="center" flexWrap="wrap" style={{ marginTop: 16 }}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={settings.weeklyReport}
+                  onChange={(e) => handleSettingChange('weeklyReport', e.target.checked)}
+                />
+              }
+              label="Send it to me every week on"
+            />
+            <Select
+              value={settings.weeklyReportDay}
+              onChange={(e) => handleSettingChange('weeklyReportDay', e.target.value)}
+              disabled={!settings.weeklyReport}
+              style={{ minWidth: 120, marginRight: 12 }}
+            >
+              {DAYS.map((dayName, day) => (
+                <MenuItem key={dayName} value={day}>{dayName}</MenuItem>
+              ))}
+            </Select>
+            <Select
+              value={settings.weeklyReportHour}
+              onChange={(e) => handleSettingChange('weeklyReportHour', e.target.value)}
+              disabled={!settings.weeklyReport}
+              style={{ minWidth: 90 }}
+            >
+              {Array.from({ length: 24 }, (value, hour) => (
+                <MenuItem key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</MenuItem>
+              ))}
+            </Select>
+          </Box>
+        </CardContent>
+      </Card>
+
+      <Dialog open={Boolean(weeklyReport)} onClose={() => setWeeklyReport(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Weekly Report</DialogTitle>
+        <DialogContent>
+          {weeklyReport && (
+            <iframe
+              title="Weekly report"
+              srcDoc={weeklyReport.html}
+              sandbox=""
+              style={{ width: '100%', height: 500, border: 'none' }}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button startIcon={<GetAppIcon />} onClick={() => handleDownloadReport('html')}>
+            HTML
+          </Button>
+          <Button startIcon={<GetAppIcon />} onClick={() => handleDownloadReport('text')}>
+            Text
+          </Button>
+          <Button color="primary" onClick={() => setWeeklyReport(null)}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Violation History */}
       <Card>
         <CardContent>
           <Box display="flex" justifyContent="space-between" alignItems="center">
             <Typography variant="h6">
-              Recent Violations ({violations.length})
+              Violations ({violationTotal})
             </Typography>
-            {violations.length > 0 && (
+            <Box display="flex" alignItems="center">
+              <Select
+                value={violationChildId}
+                onChange={(e) => handleViolationChildChange(e.target.value)}
+                displayEmpty
+                style={{ minWidth: 150, marginRight: 12 }}
+              >
+                <MenuItem value="">All children</MenuItem>
+                {children.map(child => (
+                  <MenuItem key={child.id} value={child.id}>{child.name}</MenuItem>
+                ))}
+              </Select>
               <Button
-                startIcon={<DeleteIcon />}
-                onClick={handleClearViolations}
                 size="small"
+                startIcon={<GetAppIcon />}
+                onClick={() => handleExportViolations('csv')}
+                disabled={violationTotal === 0}
               >
-                Clear History
+                CSV
               </Button>
-            )}
+              <Button
+                size="small"
+                startIcon={<GetAppIcon />}
+                onClick={() => handleExportViolations('json')}
+                disabled={violationTotal === 0}
+              >
+                JSON
+              </Button>
+              {violations.length > 0 && (
+                <Button
+                  startIcon={<DeleteIcon />}
+                  onClick={handleClearViolations}
+                  size="small"
+                >
+                  Clear History
+                </Button>
+              )}
+            </Box>
           </Box>
 
           <List>
@@ -279,12 +1707,53 @@ export default function EpicSettings({ ipcRenderer }) {
             {violations.map(violation => (
               <ListItem key={violation.id} divider>
                 <ListItemText
-                  primary={`${violation.processName} blocked on ${violation.agentHostname}`}
+                  primary={`${violation.game || violation.processName} blocked on ${violation.agentHostname}`}
                   secondary={new Date(violation.timestamp).toLocaleString()}
                 />
               </ListItem>
             ))}
           </List>
+
+          {violations.length < violationTotal && (
+            <Button
+              size="small"
+              onClick={() => loadViolations(violationChildId, violations.length)}
+            >
+              Load More
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Uninstall */}
+      <Card style={{ marginTop: 20 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Uninstall
+          </Typography>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Removes every Epic Games policy from every device so nothing stays blocked, then
+            clears all limits, schedules, history and settings.
+          </Typography>
+          <Button
+            variant="outlined"
+            color="secondary"
+            startIcon={<DeleteIcon />}
+            onClick={handleUninstall}
+          >
+            Uninstall and Restore Devices
+          </Button>
+          {uninstallResult && (
+            <Typography
+              variant="body2"
+              color={uninstallResult.success ? 'textSecondary' : 'error'}
+              style={{ marginTop: 8 }}
+            >
+              {uninstallResult.success
+                ? `Removed ${uninstallResult.removed} policies. Devices are unrestricted.`
+                : uninstallResult.error}
+            </Typography>
+          )}
         </CardContent>
       </Card>
     </Box>
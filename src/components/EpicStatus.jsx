@@ -7,21 +7,29 @@ import {
   Typography,
   Chip,
   Box,
+  Button,
   LinearProgress
 } from '@material-ui/core';
 import {
   CheckCircle as CheckCircleIcon,
   Error as ErrorIcon,
-  Warning as WarningIcon
+  Warning as WarningIcon,
+  Visibility as VisibilityIcon
 } from '@material-ui/icons';
+import PlayingNow from './PlayingNow.jsx';
+import PlaytimeCharts from './PlaytimeCharts.jsx';
 
 /**
  * Epic Games Status Component
  *
  * Real-time status display showing:
  * - Overall monitoring status
+ * - Observe mode banner (nothing is being blocked)
  * - Agent online/offline status
  * - Recent violation count
+ * - Extra time currently granted
+ * - Games being played right now and the time left
+ * - Playtime charts and trends
  * - Quick stats
  */
 export default function EpicStatus({ ipcRenderer }) {
@@ -30,6 +38,7 @@ export default function EpicStatus({ ipcRenderer }) {
     agentCount: 0,
     onlineAgents: 0,
     recentViolations: 0,
+    grants: [],
     settings: {}
   });
   const [loading, setLoading] = useState(true);
@@ -46,10 +55,12 @@ export default function EpicStatus({ ipcRenderer }) {
     };
 
     ipcRenderer?.on('epicViolation', handleViolation);
+    ipcRenderer?.on('epicGrantsChanged', loadStatus);
 
     return () => {
       clearInterval(interval);
       ipcRenderer?.removeListener('epicViolation', handleViolation);
+      ipcRenderer?.removeListener('epicGrantsChanged', loadStatus);
     };
   }, [ipcRenderer]);
 
@@ -66,6 +77,10 @@ export default function EpicStatus({ ipcRenderer }) {
     }
   };
 
+  const handleRevokeGrant = async (grantId) => {
+    await ipcRenderer?.invoke('epic:revokeGrant', { grantId });
+  };
+
   if (loading) {
     return <LinearProgress />;
   }
@@ -104,6 +119,23 @@ export default function EpicStatus({ ipcRenderer }) {
           {getStatusText()}
         </Typography>
 
+        {status.observing && (
+          <Box
+            display="flex"
+            alignItems="center"
+            marginBottom={2}
+            padding={1}
+            style={{ backgroundColor: '#fff3e0', borderRadius: 4 }}
+          >
+            <VisibilityIcon style={{ color: '#ff9800', marginRight: 8 }} />
+            <Typography variant="body2">
+              Observe mode: nothing is being blocked. Play is recorded
+              {status.observedSince ? ` since ${new Date(status.observedSince).toLocaleDateString()}` : ''} to
+              suggest limits.
+            </Typography>
+          </Box>
+        )}
+
         <Box display="flex" gap={1} flexWrap="wrap">
           <Chip
             label={`${status.agentCount} Agent${status.agentCount === 1 ? '' : 's'}`}
@@ -122,6 +154,30 @@ export default function EpicStatus({ ipcRenderer }) {
           />
         </Box>
 
+        {status.grants?.length > 0 && (
+          <Box marginTop={2}>
+            <Typography variant="subtitle2">Extra time</Typography>
+            {status.grants.map(grant => (
+              <Box key={grant.id} display="flex" alignItems="center">
+                <Typography variant="body2" style={{ flexGrow: 1 }}>
+                  {grant.game || 'Epic Games'} unlocked until {new Date(grant.expiresAt).toLocaleTimeString()}
+                </Typography>
+                <Button size="small" onClick={() => handleRevokeGrant(grant.id)}>
+                  End now
+                </Button>
+              </Box>
+            ))}
+          </Box>
+        )}
+
+        <Box marginTop={2}>
+          <PlayingNow ipcRenderer={ipcRenderer} />
+        </Box>
+
+        <Box marginTop={2}>
+          <PlaytimeCharts ipcRenderer={ipcRenderer} />
+        </Box>
+
         {status.settings && (
           <Box marginTop={2}>
             <Typography variant="caption" color="textSecondary">
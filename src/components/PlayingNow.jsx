@@ -0,0 +1,142 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  Box,
+  Chip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@material-ui/core';
+import { formatDuration } from '../services/WeeklyReport.js';
+
+const LIMIT_LABELS = {
+  grant: 'extra time',
+  quota: 'Allow2 quota',
+  schedule: 'schedule',
+  'game-limit': 'daily game limit',
+  grace: 'grace period'
+};
+
+/**
+ * Playing Now
+ *
+ * Live list of the Epic games running on every device: the device, the
+ * child, the game, when it started and how long it can go on (and which
+ * rule ends it). Updated from the plugin's push events.
+ */
+export default function PlayingNow({ ipcRenderer }) {
+  const [sessions, setSessions] = useState([]);
+  const [childNames, setChildNames] = useState({}); // From Allow2
+
+  useEffect(() => {
+    const loadChildren = async () => {
+      try {
+        const result = await ipcRenderer?.invoke('allow2:getChildren');
+        if (result?.success) {
+          setChildNames(Object.fromEntries(result.children.map(child => [child.id, child.name])));
+        }
+      } catch (error) {
+        console.error('[Epic Status] Failed to load children:', error);
+      }
+    };
+    loadChildren();
+  }, [ipcRenderer]);
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        const result = await ipcRenderer?.invoke('epic:getActiveSessions');
+        if (result?.success) {
+          setSessions(result.sessions);
+        }
+      } catch (error) {
+        console.error('[Epic Status] Failed to load active sessions:', error);
+      }
+    };
+
+    const handleActiveSessions = (event, { sessions }) => {
+      setSessions(sessions);
+    };
+
+    loadSessions();
+
+    ipcRenderer?.on('epicActiveSessions', handleActiveSessions);
+    // Extra time changes what is left
+    ipcRenderer?.on('epicGrantsChanged', loadSessions);
+
+    return () => {
+      ipcRenderer?.removeListener('epicActiveSessions', handleActiveSessions);
+      ipcRenderer?.removeListener('epicGrantsChanged', loadSessions);
+    };
+  }, [ipcRenderer]);
+
+  const formatRemaining = (session) => {
+    if (session.remainingSeconds === null) {
+      return session.childId ? 'No limit' : '-';
+    }
+    if (session.remainingSeconds === 0) {
+      return `Time is up (${LIMIT_LABELS[session.limitedBy]})`;
+    }
+    return `${formatDuration(session.remainingSeconds)} left (${LIMIT_LABELS[session.limitedBy]})`;
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle1">
+        Playing now
+      </Typography>
+
+      {sessions.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">
+          No Epic games are running
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Device</TableCell>
+              <TableCell>Child</TableCell>
+              <TableCell>Game</TableCell>
+              <TableCell>Started</TableCell>
+              <TableCell>Remaining</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {sessions.map(session => (
+              <TableRow key={`${session.agentId}:${session.childId}:${session.game}`}>
+                <TableCell>
+                  {session.hostname}
+                  {!session.online && (
+                    <Chip label="Offline" size="small" style={{ marginLeft: 8 }} />
+                  )}
+                </TableCell>
+                <TableCell>
+                  {session.childId
+                    ? childNames[session.childId] || session.childId
+                    : <em>Not linked</em>}
+                </TableCell>
+                <TableCell>{session.game}</TableCell>
+                <TableCell>
+                  {new Date(session.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  {' '}({formatDuration(session.playedSeconds)})
+                </TableCell>
+                <TableCell>
+                  <Typography
+                    variant="body2"
+                    color={session.remainingSeconds !== null && session.remainingSeconds <= 10 * 60 ? 'secondary' : 'initial'}
+                  >
+                    {formatRemaining(session)}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+}
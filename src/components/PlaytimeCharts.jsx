@@ -0,0 +1,237 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  ButtonGroup,
+  Select,
+  MenuItem
+} from '@material-ui/core';
+import { DAYS } from '../services/ScheduleRules.js';
+import { formatDuration } from '../services/WeeklyReport.js';
+
+// Colours for games, assigned in order of total play time
+const GAME_COLORS = ['#3f51b5', '#f50057', '#ff9800', '#4caf50', '#9c27b0', '#00bcd4', '#795548', '#607d8b'];
+
+const CHART_HEIGHT = 140;
+
+/**
+ * Playtime Charts
+ *
+ * Dashboard of Epic Games play for everyone or one child:
+ * - Daily (last 7 days) or weekly (last 8 weeks) time, stacked per game
+ * - Heatmap of play by day of week and hour of day (last 4 weeks)
+ * - Top games in the last 7 days
+ *
+ * Refreshed whenever the plugin reports play time changing.
+ */
+export default function PlaytimeCharts({ ipcRenderer }) {
+  const [children, setChildren] = useState([]); // From Allow2
+  const [childId, setChildId] = useState('');
+  const [view, setView] = useState('daily');
+  const [trends, setTrends] = useState(null);
+  const [childrenError, setChildrenError] = useState(null);
+  const [trendsError, setTrendsError] = useState(null);
+
+  useEffect(() => {
+    const loadChildren = async () => {
+      try {
+        const result = await ipcRenderer?.invoke('allow2:getChildren');
+        if (result?.success) {
+          setChildren(result.children);
+          setChildrenError(null);
+        } else {
+          setChildrenError(result?.error || 'Failed to load children');
+        }
+      } catch (error) {
+        console.error('[Epic Status] Failed to load children:', error);
+        setChildrenError('Failed to load children');
+      }
+    };
+    loadChildren();
+  }, [ipcRenderer]);
+
+  useEffect(() => {
+    const loadTrends = async () => {
+      try {
+        const result = await ipcRenderer?.invoke('epic:getPlaytimeTrends', { childId: childId || undefined });
+        if (result?.success) {
+          setTrends(result.trends);
+          setTrendsError(null);
+        } else {
+          setTrendsError(result?.error || 'Failed to load playtime');
+        }
+      } catch (error) {
+        console.error('[Epic Status] Failed to load playtime trends:', error);
+        setTrendsError('Failed to load playtime');
+      }
+    };
+
+    loadTrends();
+
+    ipcRenderer?.on('epicSessionEnded', loadTrends);
+    ipcRenderer?.on('epicPlaytimeUpdated', loadTrends);
+
+    return () => {
+      ipcRenderer?.removeListener('epicSessionEnded', loadTrends);
+      ipcRenderer?.removeListener('epicPlaytimeUpdated', loadTrends);
+    };
+  }, [ipcRenderer, childId]);
+
+  if (!trends) {
+    return trendsError && (
+      <Typography variant="body2" color="error">{trendsError}</Typography>
+    );
+  }
+
+  const colors = Object.fromEntries(trends.games.map((game, index) => [game, GAME_COLORS[index % GAME_COLORS.length]]));
+  const bars = view === 'daily'
+    ? trends.daily.map(day => ({
+      key: day.date,
+      label: parseDateKey(day.date).toLocaleDateString(undefined, { weekday: 'short' }),
+      games: day.games
+    }))
+    : trends.weekly.map(week => ({
+      key: week.weekStart,
+      label: parseDateKey(week.weekStart).toLocaleDateString(undefined, { day: 'numeric', month: 'short' }),
+      games: week.games
+    }));
+  const maxBar = Math.max(1, ...bars.map(bar => sumSeconds(bar.games)));
+  const maxCell = Math.max(1, ...trends.heatmap.flat());
+  const maxGame = Math.max(1, ...trends.topGames.map(game => game.seconds));
+
+  return (
+    <Box>
+      <Box display="flex" alignItems="center" marginBottom={1}>
+        <Typography variant="subtitle1" style={{ flexGrow: 1 }}>
+          Playtime
+        </Typography>
+        <Select
+          value={childId}
+          onChange={(e) => setChildId(e.target.value)}
+          displayEmpty
+          style={{ minWidth: 140, marginRight: 12 }}
+        >
+          <MenuItem value="">All children</MenuItem>
+          {children.map(child => (
+            <MenuItem key={child.id} value={child.id}>{child.name}</MenuItem>
+          ))}
+        </Select>
+        <ButtonGroup size="small">
+          <Button variant={view === 'daily' ? 'contained' : 'outlined'} onClick={() => setView('daily')}>
+            Daily
+          </Button>
+          <Button variant={view === 'weekly' ? 'contained' : 'outlined'} onClick={() => setView('weekly')}>
+            Weekly
+          </Button>
+        </ButtonGroup>
+      </Box>
+
+      {(childrenError || trendsError) && (
+        <Typography variant="body2" color="error" style={{ marginBottom: 8 }}>
+          {childrenError || trendsError}
+        </Typography>
+      )}
+
+      {/* Stacked time per game */}
+      <Box display="flex" alignItems="flex-end" style={{ height: CHART_HEIGHT + 20 }}>
+        {bars.map(bar => (
+          <Box key={bar.key} flex={1} display="flex" flexDirection="column" alignItems="center" style={{ margin: '0 2px' }}>
+            <Box
+              display="flex"
+              flexDirection="column-reverse"
+              width="100%"
+              style={{ height: CHART_HEIGHT * sumSeconds(bar.games) / maxBar }}
+              title={`${bar.label}: ${formatDuration(sumSeconds(bar.games))}`}
+            >
+              {trends.games.filter(game => bar.games[game]).map(game => (
+                <div
+                  key={game}
+                  title={`${game}: ${formatDuration(bar.games[game])}`}
+                  style={{ flexGrow: bar.games[game], backgroundColor: colors[game] }}
+                />
+              ))}
+            </Box>
+            <Typography variant="caption" color="textSecondary">{bar.label}</Typography>
+          </Box>
+        ))}
+      </Box>
+
+      {trends.games.length > 0 ? (
+        <Box display="flex" flexWrap="wrap" marginTop={1}>
+          {trends.games.map(game => (
+            <Box key={game} display="flex" alignItems="center" marginRight={2}>
+              <span style={{ width: 10, height: 10, marginRight: 4, backgroundColor: colors[game], display: 'inline-block' }} />
+              <Typography variant="caption">{game}</Typography>
+            </Box>
+          ))}
+        </Box>
+      ) : (
+        <Typography variant="body2" color="textSecondary">No play recorded yet</Typography>
+      )}
+
+      {/* When they play */}
+      <Typography variant="subtitle2" style={{ marginTop: 16 }}>
+        When they play (last 4 weeks)
+      </Typography>
+      <table style={{ borderCollapse: 'collapse', width: '100%', tableLayout: 'fixed' }}>
+        <tbody>
+          {trends.heatmap.map((hours, day) => (
+            <tr key={DAYS[day]}>
+              <td style={{ width: 36 }}>
+                <Typography variant="caption">{DAYS[day].slice(0, 3)}</Typography>
+              </td>
+              {hours.map((seconds, hour) => (
+                <td
+                  key={hour}
+                  title={`${DAYS[day]} ${String(hour).padStart(2, '0')}:00 - ${formatDuration(seconds)}`}
+                  style={{
+                    height: 14,
+                    border: '1px solid #fff',
+                    backgroundColor: seconds > 0 ? `rgba(63, 81, 181, ${0.15 + 0.85 * seconds / maxCell})` : '#f5f5f5'
+                  }}
+                />
+              ))}
+            </tr>
+          ))}
+          <tr>
+            <td />
+            {Array.from({ length: 24 }, (value, hour) => (
+              <td key={hour}>
+                {hour % 6 === 0 && <Typography variant="caption" color="textSecondary">{hour}</Typography>}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+
+      {/* Top games */}
+      {trends.topGames.length > 0 && (
+        <Box marginTop={2}>
+          <Typography variant="subtitle2">Top games this week</Typography>
+          {trends.topGames.map(({ game, seconds }) => (
+            <Box key={game} display="flex" alignItems="center" marginTop={0.5}>
+              <Typography variant="body2" style={{ width: 140 }} noWrap>{game}</Typography>
+              <Box flex={1} marginRight={1}>
+                <div style={{ width: `${100 * seconds / maxGame}%`, height: 8, backgroundColor: colors[game] }} />
+              </Box>
+              <Typography variant="caption" style={{ width: 60, textAlign: 'right' }}>{formatDuration(seconds)}</Typography>
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+function sumSeconds(games) {
+  return Object.values(games).reduce((total, seconds) => total + seconds, 0);
+}
+
+// `YYYY-MM-DD` as local midnight
+function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
@@ -14,7 +14,46 @@
 
 'use strict';
 
-import EpicMonitor from './services/EpicMonitor.js';
+import ProcessCatalog, { CATALOG_VERSION, PLATFORMS } from './services/ProcessCatalog.js';
+import ProcessMatcher, { EPIC_LAUNCH_ARGUMENTS, normalizeProcess, validateRule } from './services/ProcessMatcher.js';
+import GameUsageTracker, { toDateKey } from './services/GameUsageTracker.js';
+import PlaytimeStore from './services/PlaytimeStore.js';
+import { buildTrends } from './services/PlaytimeTrends.js';
+import { describeActiveSessions } from './services/ActiveSessions.js';
+import ViolationStore from './services/ViolationStore.js';
+import PolicyReconciler, { PLUGIN_NAME } from './services/PolicyReconciler.js';
+import PolicyOutbox from './services/PolicyOutbox.js';
+import AgentStatus from './services/AgentStatus.js';
+import { getOverdueAgents, getSilentSince, markOffline, markSeen, minutesSince } from './services/AgentHeartbeat.js';
+import UserLinks from './services/UserLinks.js';
+import AccountLinks from './services/AccountLinks.js';
+import TimeGrants from './services/TimeGrants.js';
+import TimeRequests from './services/TimeRequests.js';
+import ObservationLog from './services/ObservationLog.js';
+import {
+  getViolationActions,
+  isClosingMode,
+  resolveMode,
+  setMode,
+  ENFORCEMENT_MODES
+} from './services/EnforcementModes.js';
+import QuotaWarnings from './services/QuotaWarnings.js';
+import { createDefaultState, loadState, validateSettings } from './services/StateSchema.js';
+import {
+  buildWeeklyReport,
+  getNextReportTime,
+  renderReportHtml,
+  renderReportText,
+  summarizeReport
+} from './services/WeeklyReport.js';
+import {
+  createDefaultSchedule,
+  getSecondsUntilBlocked,
+  isAllowedAt,
+  validateSchedule
+} from './services/ScheduleRules.js';
+import { EpicLibraryScanner, createAgentFileSystem } from './EpicLibraryScanner.js';
+import { detectLauncherAccounts } from './LauncherAccounts.js';
 import EpicSettings from './components/EpicSettings.jsx';
 import EpicStatus from './components/EpicStatus.jsx';
 
@@ -30,21 +69,27 @@ const epicPlugin = {
   displayName: 'Epic Games',
 
   // Plugin state
-  state: {
-    enabled: false,
-    agents: [],
-    violations: [],
-    settings: {
-      monitorFortnite: true,
-      monitorAllGames: true,
-      checkInterval: 30000, // 30 seconds
-      enableNotifications: true
-    }
-  },
+  state: createDefaultState(),
 
   // Plugin context (set by host app)
   context: null,
 
+  // Last Allow2 state per child (plus receivedAt), used when re-evaluating
+  // game limits and warning before the quota runs out
+  childStates: new Map(),
+
+  // childId -> Set of games currently blocked by their daily limit
+  limitedGames: new Map(),
+
+  // childId -> whether their schedule allowed play at the last check
+  scheduleStates: new Map(),
+
+  // Configuration status of each agent
+  agentStatus: new AgentStatus(),
+
+  // agentId -> timer for the next configuration retry
+  retryTimers: new Map(),
+
   /**
    * Plugin initialization
    * Called when plugin is loaded by allow2automate
@@ -53,7 +98,16 @@ const epicPlugin = {
     console.log('[Epic] Initializing Epic Games plugin...');
 
     this.context = context;
-    this.state = loadedState || this.state;
+    this.unloaded = false;
+    const { state, fromVersion, repairs } = loadState(loadedState || this.state);
+    if (fromVersion !== null && fromVersion < state.version) {
+      console.log(`[Epic] Migrated saved state from version ${fromVersion} to ${state.version}`);
+    }
+    if (repairs.length > 0) {
+      console.warn(`[Epic] Reset invalid saved state to defaults: ${repairs.join(', ')}`);
+    }
+    this.state = state;
+    this.createStateServices(context.services?.agent);
 
     // Check if Agent Service is available
     const agentService = context.services?.agent;
@@ -66,209 +120,1599 @@ const epicPlugin = {
       return;
     }
 
-    // Initialize Epic monitor
-    this.monitor = new EpicMonitor(agentService, context.allow2);
+    this.quotaWarnings = new QuotaWarnings();
 
     // Get all available agents
     const agents = await agentService.listAgents();
     console.log(`[Epic] Found ${agents.length} agent(s) on network`);
 
-    this.state.agents = agents;
-
-    // Configure Epic monitoring on each agent
-    for (const agent of agents) {
+    // Keep offline agents that still have changes waiting for them, or
+    // belong to a child so their absence is noticed. Offline time is only
+    // counted from now, not while this app wasn't running.
+    const waiting = this.state.agents
+      .filter(agent => !agents.some(a => a.id === agent.id) &&
+        (this.reconciler.getPendingCount(agent.id) > 0 || this.isAgentLinked(agent)))
+      .map(agent => ({ ...agent, online: false, offlineSince: agent.offlineAlertedAt ? agent.offlineSince : null }));
+    waiting.forEach(agent => markOffline(agent));
+    agents.forEach(agent => markSeen(agent));
+    this.state.agents = [...agents, ...waiting];
+
+    // Configure Epic monitoring on each agent (failures are retried per
+    // agent and never stop the others)
+    for (const agent of this.state.agents) {
       await this.configureEpicPolicy(agent, agentService);
     }
 
     // Listen for Allow2 state changes (quota updates, pause/unpause)
+    // (Ignored once unloaded, so devices are not locked down again)
     context.allow2.on('stateChange', async (childId, newState) => {
+      if (this.unloaded) {
+        return;
+      }
       console.log(`[Epic] Allow2 state changed for child ${childId}`);
-      const childAgents = agents.filter(a => a.childId === childId);
+      this.rememberChildState(childId, newState);
+      const childAgents = this.getChildAgents(childId);
 
       for (const agent of childAgents) {
         await this.updateEpicPolicy(agent, newState, agentService);
       }
     });
 
-    // Listen for new agents joining the network
-    agentService.on('agentDiscovered', async (agent) => {
-      console.log(`[Epic] New agent discovered: ${agent.hostname}`);
-      this.state.agents.push(agent);
+    // Listen for agents joining (or coming back to) the network; queued
+    // policy changes are replayed before anything new is applied
+    agentService.on('agentDiscovered', async (discovered) => {
+      if (this.unloaded) {
+        // Still deliver queued removals so devices end up unrestricted
+        await this.flushOutbox(discovered);
+        return;
+      }
+      console.log(`[Epic] New agent discovered: ${discovered.hostname}`);
+      let agent = this.state.agents.find(a => a.id === discovered.id);
+      if (agent) {
+        Object.assign(agent, discovered, { online: true, childId: agent.childId ?? discovered.childId });
+      } else {
+        agent = { ...discovered, online: true };
+        this.state.agents.push(agent);
+      }
+      const alerted = markSeen(agent);
+      if (alerted) {
+        this.reportAgentBackOnline(agent, alerted);
+      }
+      this.agentStatus.reset(agent.id);
       await this.configureEpicPolicy(agent, agentService);
 
       // Notify renderer
       context.sendToRenderer?.('epicAgentDiscovered', { agent });
     });
 
-    // Listen for agents going offline
+    // Listen for agents going offline; they are kept so policy changes can
+    // be queued for them
     agentService.on('agentLost', (agentId) => {
       console.log(`[Epic] Agent lost: ${agentId}`);
-      this.state.agents = this.state.agents.filter(a => a.id !== agentId);
+      for (const entry of this.usageTracker.stopAgent(agentId)) {
+        this.finishSession(entry);
+      }
+      const agent = this.state.agents.find(a => a.id === agentId);
+      if (agent) {
+        agent.online = false;
+        markOffline(agent);
+      }
+
+      // No point retrying until it is discovered again
+      if (this.retryTimers.has(agentId)) {
+        this.clearRetry(agentId);
+        const { error } = this.agentStatus.get(agentId);
+        this.emitAgentStatus(agentId, this.agentStatus.markFailed(agentId, error, { retry: false }));
+      }
 
       // Notify renderer
-      context.sendToRenderer?.('epicAgentLost', { agentId });
+      context.sendToRenderer?.('epicAgentLost', {
+        agentId,
+        lastSeenAt: agent?.lastSeenAt || null,
+        offlineSince: agent?.offlineSince || null
+      });
+    });
+
+    // Agents check in periodically while they are running
+    agentService.on('heartbeat', ({ agentId }) => {
+      this.markAgentSeen(agentId);
+    });
+
+    // Someone else logged in on a shared PC: apply their child's rules
+    agentService.on('userChanged', async ({ agentId, username }) => {
+      this.markAgentSeen(agentId);
+      const agent = this.state.agents.find(a => a.id === agentId);
+      if (this.unloaded || !agent || agent.currentUser === username) {
+        return;
+      }
+      console.log(`[Epic] User ${username || '(none)'} is now active on ${agent.hostname}`);
+      agent.currentUser = username || null;
+      await this.refreshAgentPolicies(agent);
     });
 
     // Listen for violation reports from agents
     agentService.on('violation', (violationData) => {
-      if (this.isEpicProcess(violationData.processName)) {
+      this.markAgentSeen(violationData.agentId);
+      if (this.isEpicProcess(violationData)) {
         this.handleViolation(violationData);
       }
     });
 
-    // Setup IPC handlers for renderer communication
-    this.setupIPCHandlers(context);
+    // A blocked child asked for more time
+    agentService.on('timeRequested', async (requestData) => {
+      this.markAgentSeen(requestData.agentId);
+      if (!this.unloaded) {
+        await this.handleTimeRequest(requestData);
+      }
+    });
+
+    // Track game play time for per-game daily limits
+    agentService.on('processStarted', async (processData) => {
+      this.markAgentSeen(processData.agentId);
+      if (!this.unloaded && this.isEpicProcess(processData)) {
+        await this.handleProcessStarted(processData);
+      }
+    });
+
+    agentService.on('processStopped', (processData) => {
+      this.markAgentSeen(processData.agentId);
+      const entry = this.usageTracker.stop(processData);
+      this.finishSession(entry, processData.timestamp);
+    });
+
+    // Accrue play time and enforce per-game limits and schedules every minute
+    this.usageDay = toDateKey(Date.now());
+    this.usageTimer = setInterval(() => {
+      this.checkAgentHeartbeats();
+      this.checkGameLimits()
+        .then(() => this.checkSchedules())
+        .then(() => this.checkWeeklyReport())
+        .then(() => this.emitPlaytimeUpdated())
+        .catch(error => {
+          console.error('[Epic] Failed to run periodic checks:', error);
+        });
+    }, 60000);
+
+    // Expire grants that ran out while the app was closed, and time the rest
+    await this.expireGrants();
+
+    // Setup IPC handlers for renderer communication
+    this.setupIPCHandlers(context);
+
+    console.log('[Epic] Plugin initialized successfully');
+    this.state.enabled = true;
+  },
+
+  /**
+   * Create the services backed by persisted state; they keep references to
+   * the state's arrays and objects and mutate them in place
+   */
+  createStateServices(agentService) {
+    this.catalog = new ProcessCatalog(this.state.customProcesses);
+    this.matcher = new ProcessMatcher(this.catalog, this.state.processExclusions);
+    this.violationLog = new ViolationStore(this.state.violations, {
+      retentionDays: this.state.settings.violationRetentionDays
+    });
+    this.usageTracker = new GameUsageTracker(this.state.gameUsage);
+    this.playtime = new PlaytimeStore(this.state.sessions);
+    this.userLinks = new UserLinks(this.state.userLinks);
+    this.accountLinks = new AccountLinks(this.state.epicAccounts);
+    this.timeGrants = new TimeGrants(this.state.grants);
+    this.timeRequests = new TimeRequests(this.state.timeRequests);
+    this.observations = new ObservationLog(this.state.observation);
+    if (agentService) {
+      this.reconciler = new PolicyReconciler(agentService, this.state.policies, new PolicyOutbox(this.state.outbox));
+    }
+  },
+
+  /**
+   * Configure Epic Games monitoring policy on an agent
+   *
+   * Discovers the agent's installed games, then reconciles its policies.
+   * Never throws: a failure marks the agent and, while it is online,
+   * schedules a retry with exponential backoff.
+   *
+   * @returns {Promise<Object|null>} the reconcile result, or null on failure
+   */
+  async configureEpicPolicy(agent, agentService) {
+    console.log(`[Epic] Configuring monitoring on agent: ${agent.hostname} (${agent.platform})`);
+    this.clearRetry(agent.id);
+    this.emitAgentStatus(agent.id, this.agentStatus.markPending(agent.id));
+
+    try {
+      if (agent.online !== false) {
+        await this.discoverInstalledGames(agent, agentService);
+        await this.detectEpicAccounts(agent, agentService);
+      }
+      const result = await this.applyAgentPolicies(agent);
+
+      if (agent.online === false) {
+        return result; // Stays pending until the agent reconnects
+      }
+      if (result.pending > 0) {
+        throw new Error(`${result.pending} policy change(s) could not be delivered`);
+      }
+
+      this.emitAgentStatus(agent.id, this.agentStatus.markConfigured(agent.id));
+      return result;
+    } catch (error) {
+      console.error(`[Epic] Failed to configure agent ${agent.hostname}:`, error);
+      const status = this.agentStatus.markFailed(agent.id, error, { retry: agent.online !== false });
+      this.emitAgentStatus(agent.id, status);
+      if (status.nextRetryAt) {
+        this.scheduleRetry(agent.id, status.nextRetryAt - Date.now());
+      }
+      return null;
+    }
+  },
+
+  /**
+   * Configure an agent again after a delay
+   */
+  scheduleRetry(agentId, delay) {
+    this.clearRetry(agentId);
+    this.retryTimers.set(agentId, setTimeout(() => {
+      this.retryTimers.delete(agentId);
+      const agent = this.state.agents.find(a => a.id === agentId);
+      if (agent && !this.unloaded) {
+        console.log(`[Epic] Retrying configuration of ${agent.hostname}`);
+        this.configureEpicPolicy(agent, this.context.services.agent);
+      }
+    }, delay));
+  },
+
+  clearRetry(agentId) {
+    clearTimeout(this.retryTimers.get(agentId));
+    this.retryTimers.delete(agentId);
+  },
+
+  /**
+   * Tell the renderer an agent's configuration status changed
+   */
+  emitAgentStatus(agentId, status) {
+    this.context?.sendToRenderer?.('epicAgentStatus', { agentId, ...status });
+  },
+
+  /**
+   * Bring an agent's policies in line with the desired set, creating,
+   * updating and deleting only what differs
+   *
+   * @param {Object} agent
+   * @param {Object} [allow2State] - defaults to the child's last known state
+   */
+  async reconcileAgentPolicies(agent, allow2State) {
+    try {
+      return await this.applyAgentPolicies(agent, allow2State);
+    } catch (error) {
+      console.error(`[Epic] Failed to reconcile policies on ${agent.hostname}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Same as reconcileAgentPolicies, but errors are thrown to the caller
+   */
+  async applyAgentPolicies(agent, allow2State) {
+    const desired = this.buildDesiredPolicies(agent, allow2State);
+    const result = await this.reconciler.reconcile(agent.id, desired, { offline: agent.online === false });
+
+    console.log(`[Epic] Reconciled policies on ${agent.hostname}: ${result.created} created, ` +
+      `${result.updated} updated, ${result.deleted} deleted, ${result.unchanged} unchanged, ` +
+      `${result.replayed} replayed, ${result.pending} pending`);
+    if (result.queued > 0 || result.replayed > 0) {
+      this.context?.sendToRenderer?.('epicOutboxChanged', { agentId: agent.id, pending: result.pending });
+    }
+    return result;
+  },
+
+  /**
+   * Deliver an agent's queued policy changes without applying anything new
+   */
+  async flushOutbox(agent) {
+    if (!this.reconciler || this.reconciler.getPendingCount(agent.id) === 0) {
+      return;
+    }
+
+    try {
+      const { replayed, pending } = await this.reconciler.flush(agent.id);
+      console.log(`[Epic] Replayed ${replayed} queued policy change(s) on ${agent.hostname}, ${pending} pending`);
+      this.context?.sendToRenderer?.('epicOutboxChanged', { agentId: agent.id, pending });
+    } catch (error) {
+      console.error(`[Epic] Failed to replay queued policy changes on ${agent.hostname}:`, error);
+    }
+  },
+
+  /**
+   * Reconcile every known agent, e.g. after settings or the catalog changed
+   */
+  async reconcileAllAgents() {
+    for (const agent of this.state.agents) {
+      await this.reconcileAgentPolicies(agent);
+    }
+  },
+
+  /**
+   * The full Epic policy set an agent should have right now: the launcher
+   * policy plus, when monitoring all games, one policy per game process
+   */
+  buildDesiredPolicies(agent, allow2State = this.childStates.get(this.getAgentChildId(agent))) {
+    const childId = this.getAgentChildId(agent);
+    const observing = this.state.settings.observeMode;
+    const epicAllowed = this.isEpicAllowed(agent, allow2State);
+
+    // A game unlocked on its own still needs the launcher to start it
+    const launcherAllowed = epicAllowed || this.timeGrants.hasAny({ agentId: agent.id, childId });
+    const policies = [this.buildLauncherPolicy(agent, launcherAllowed)];
+
+    if (this.state.settings.monitorAllGames) {
+      for (const gameName of this.getGameProcessNames(agent)) {
+        const game = this.getGameName(agent, gameName);
+        const granted = Boolean(this.timeGrants.find({ agentId: agent.id, childId, game }));
+        const allowed = observing || granted || (epicAllowed && !this.isGameBlocked(childId, game));
+        policies.push(this.buildGamePolicy(agent, gameName, allowed));
+      }
+    }
+
+    return policies;
+  },
+
+  /**
+   * Policy for the Epic launcher and its helper processes
+   */
+  buildLauncherPolicy(agent, allowed) {
+    const processNames = this.getEpicProcessNames(agent.platform);
+
+    return {
+      processName: processNames.launcher[0],
+      processAlternatives: processNames.launcher,
+      match: this.getPolicyMatch(
+        this.catalog.getEntriesFor(agent.platform, ['launcher', 'helper']),
+        agent.platform,
+        this.state.settings.detectEpicLaunched ? EPIC_LAUNCH_ARGUMENTS : []
+      ),
+      allowed,
+      checkInterval: this.state.settings.checkInterval,
+      actions: this.getPolicyActions(agent),
+      metadata: {
+        plugin: PLUGIN_NAME,
+        category: 'gaming',
+        platform: agent.platform,
+        catalogVersion: CATALOG_VERSION
+      }
+    };
+  },
+
+  /**
+   * What the agent does when a process runs while not allowed, following
+   * the enforcement mode for the agent's child and the game (none for the
+   * launcher)
+   */
+  getPolicyActions(agent, game = null) {
+    const mode = resolveMode(this.state.enforcement, this.getAgentChildId(agent), game);
+    return {
+      onDetected: 'check-quota',
+      ...getViolationActions(mode, this.state.enforcement.closeTimeout),
+      allowTimeRequest: this.state.settings.allowTimeRequests
+    };
+  },
+
+  /**
+   * Policy for one game process
+   */
+  buildGamePolicy(agent, gameName, allowed) {
+    const installedGame = this.findInstalledGame(agent.id, gameName);
+    const catalogEntry = this.matchProcess(agent, gameName)?.entry;
+    const installRules = installedGame?.installLocation
+      ? [{ kind: 'path', pattern: installedGame.installLocation }]
+      : [];
+
+    return {
+      processName: gameName,
+      match: this.getPolicyMatch(catalogEntry ? [catalogEntry] : [], agent.platform, installRules),
+      allowed,
+      checkInterval: this.state.settings.checkInterval,
+      actions: this.getPolicyActions(agent, this.getGameName(agent, gameName)),
+      metadata: {
+        plugin: PLUGIN_NAME,
+        category: 'gaming',
+        type: 'game',
+        platform: agent.platform,
+        catalogVersion: CATALOG_VERSION,
+        game: this.getGameName(agent, gameName),
+        appName: installedGame?.appName || catalogEntry?.appName || null
+      }
+    };
+  },
+
+  /**
+   * The child an agent's rules apply to: the one linked to the given OS
+   * account (e.g. a process owner), else to the logged-in account, else
+   * to the agent itself
+   */
+  getAgentChildId(agent, username = agent.currentUser) {
+    return this.userLinks.resolve({ id: agent.id }, username) ||
+      this.accountLinks.resolveChild(agent.id) ||
+      agent.childId ||
+      null;
+  },
+
+  /**
+   * Agents whose rules currently follow a child
+   */
+  getChildAgents(childId) {
+    return this.state.agents.filter(agent => this.getAgentChildId(agent) === childId);
+  },
+
+  /**
+   * Whether an agent is used by any child (directly or through linked
+   * OS accounts)
+   */
+  isAgentLinked(agent) {
+    return Boolean(agent.childId) || this.userLinks.getLinks(agent.id).length > 0;
+  },
+
+  /**
+   * An online agent reported something (a heartbeat, process or
+   * violation): keep its last-seen time, and close any offline alert
+   */
+  markAgentSeen(agentId, now = Date.now()) {
+    const agent = this.state.agents.find(a => a.id === agentId);
+    if (!agent || agent.online === false) {
+      return; // Agents coming back are handled on discovery
+    }
+    const alerted = markSeen(agent, now);
+    if (alerted) {
+      this.reportAgentBackOnline(agent, alerted);
+    }
+  },
+
+  /**
+   * Alert the parent about children's devices that have been offline, or
+   * silent, too long (the agent may have been stopped or uninstalled)
+   */
+  checkAgentHeartbeats(now = Date.now()) {
+    const linked = this.state.agents.filter(agent => this.isAgentLinked(agent));
+    for (const agent of getOverdueAgents(linked, this.state.settings.offlineAlertMinutes, now)) {
+      markOffline(agent, Date.parse(getSilentSince(agent)));
+      this.reportAgentOffline(agent, now);
+    }
+  },
+
+  reportAgentOffline(agent, now = Date.now()) {
+    agent.offlineAlertedAt = new Date(now).toISOString();
+
+    const childId = this.getAgentChildId(agent);
+    const hours = childId && this.isWithinSchedule(childId, new Date(now)) ? 'allowed' : 'blocked';
+    const minutes = minutesSince(agent.offlineSince, now);
+    const message = `${agent.hostname} has been offline for ${minutes} minutes during ${hours} hours. ` +
+      'Epic Games is not being monitored on it; check that the agent is still running.';
+    console.warn(`[Epic] ${message}`);
+
+    this.context.notify?.({
+      title: 'Epic Games Device Offline',
+      body: message,
+      icon: 'epic-icon.png'
+    });
+    this.context.logActivity?.({
+      type: 'epic_agent_offline',
+      plugin: PLUGIN_NAME,
+      message,
+      timestamp: agent.offlineAlertedAt,
+      metadata: {
+        agentId: agent.id,
+        hostname: agent.hostname,
+        childId,
+        lastSeenAt: agent.lastSeenAt || null,
+        offlineSince: agent.offlineSince,
+        hours
+      }
+    });
+    this.context.sendToRenderer?.('epicAgentOffline', {
+      agentId: agent.id,
+      lastSeenAt: agent.lastSeenAt || null,
+      offlineSince: agent.offlineSince,
+      offlineAlertedAt: agent.offlineAlertedAt
+    });
+  },
+
+  /**
+   * Close the loop on an offline alert once the device is back
+   */
+  reportAgentBackOnline(agent, { offlineSince }) {
+    const message = `${agent.hostname} is back online after ${minutesSince(offlineSince)} minutes`;
+    console.log(`[Epic] ${message}`);
+
+    this.context.logActivity?.({
+      type: 'epic_agent_online',
+      plugin: PLUGIN_NAME,
+      message,
+      timestamp: agent.lastSeenAt,
+      metadata: { agentId: agent.id, hostname: agent.hostname, offlineSince }
+    });
+    this.context.sendToRenderer?.('epicAgentOnline', { agentId: agent.id, lastSeenAt: agent.lastSeenAt });
+  },
+
+  /**
+   * Reconcile an agent against the child it currently belongs to, fetching
+   * that child's Allow2 state if it isn't known yet
+   */
+  async refreshAgentPolicies(agent) {
+    const childId = this.getAgentChildId(agent);
+    if (childId && !this.childStates.has(childId)) {
+      try {
+        this.rememberChildState(childId, await this.context.allow2.getChildState(childId));
+      } catch (error) {
+        console.error(`[Epic] Failed to get Allow2 state for child ${childId}:`, error);
+      }
+    }
+
+    const allow2State = this.childStates.get(childId);
+    if (allow2State) {
+      return this.updateEpicPolicy(agent, allow2State, this.context.services.agent);
+    }
+    return this.reconcileAgentPolicies(agent);
+  },
+
+  /**
+   * Unlock Epic (or one game) for a child or device for some minutes, on
+   * top of the normal rules
+   *
+   * @param {Object} target - { childId | agentId, game, minutes, reason }
+   * @returns {Promise<Object>} the grant
+   * @throws {Error} when the target or duration is invalid
+   */
+  async grantTime(target) {
+    const grant = this.timeGrants.grant(target);
+    const subject = grant.agentId
+      ? this.state.agents.find(a => a.id === grant.agentId)?.hostname || grant.agentId
+      : `child ${grant.childId}`;
+    const message = `${grant.game || 'Epic Games'} unlocked for ${subject} for ${grant.minutes} minute(s)`;
+    console.log(`[Epic] ${message}`);
+
+    this.context.logActivity?.({
+      type: 'epic_time_granted',
+      plugin: PLUGIN_NAME,
+      message,
+      timestamp: grant.grantedAt,
+      metadata: grant
+    });
+
+    await this.refreshGrantAgents(grant);
+    this.scheduleGrantExpiry();
+    this.context.sendToRenderer?.('epicGrantsChanged', { grants: this.timeGrants.getActive() });
+    return grant;
+  },
+
+  /**
+   * End a grant early
+   */
+  async revokeGrant(grantId) {
+    const grant = this.timeGrants.revoke(grantId);
+    if (grant) {
+      console.log(`[Epic] Grant ${grantId} ended early`);
+      await this.refreshGrantAgents(grant);
+      this.scheduleGrantExpiry();
+      this.context.sendToRenderer?.('epicGrantsChanged', { grants: this.timeGrants.getActive() });
+    }
+    return grant;
+  },
+
+  /**
+   * Drop expired grants and let the normal rules take over again on the
+   * devices they covered
+   */
+  async expireGrants() {
+    const expired = this.timeGrants.takeExpired();
+    for (const grant of expired) {
+      console.log(`[Epic] Grant ended: ${grant.game || 'Epic Games'} for ${grant.agentId || `child ${grant.childId}`}`);
+      await this.refreshGrantAgents(grant);
+    }
+
+    this.scheduleGrantExpiry();
+    if (expired.length > 0) {
+      this.context.sendToRenderer?.('epicGrantsChanged', { grants: this.timeGrants.getActive() });
+    }
+  },
+
+  /**
+   * Wake up when the next grant expires
+   */
+  scheduleGrantExpiry() {
+    clearTimeout(this.grantTimer);
+    this.grantTimer = null;
+
+    const nextExpiry = this.timeGrants.getNextExpiry();
+    if (nextExpiry === null || this.unloaded) {
+      return;
+    }
+    this.grantTimer = setTimeout(() => {
+      this.expireGrants().catch(error => {
+        console.error('[Epic] Failed to expire grants:', error);
+      });
+    }, Math.max(0, nextExpiry - Date.now()));
+  },
+
+  /**
+   * Record a child's request for more time and tell the parent
+   */
+  async handleTimeRequest(requestData) {
+    const agent = this.state.agents.find(a => a.id === requestData.agentId);
+    if (!agent) {
+      return null;
+    }
+    if (!this.state.settings.allowTimeRequests) {
+      console.log(`[Epic] Ignoring time request from ${agent.hostname}: requests are turned off`);
+      return null;
+    }
+
+    const { request, created } = this.timeRequests.add(requestData, {
+      childId: this.getAgentChildId(agent, requestData.username)
+    });
+    const message = `More time requested for ${request.game || 'Epic Games'} on ${agent.hostname}` +
+      (request.reason ? `: "${request.reason}"` : '');
+    console.log(`[Epic] ${message}`);
+
+    if (created) {
+      this.context.notify?.({
+        title: 'More Time Requested',
+        body: message,
+        icon: 'epic-icon.png'
+      });
+      this.context.logActivity?.({
+        type: 'epic_time_requested',
+        plugin: PLUGIN_NAME,
+        message,
+        timestamp: request.requestedAt,
+        metadata: request
+      });
+    }
+
+    this.context.sendToRenderer?.('epicTimeRequest', request);
+    return request;
+  },
+
+  /**
+   * Approve (granting the time) or deny a pending request, and tell the
+   * child's device
+   *
+   * @param {string} requestId
+   * @param {boolean} approve
+   * @param {Object} [options] - { minutes } overrides the minutes asked for
+   * @returns {Promise<Object>} the answered request
+   * @throws {Error} when the request is unknown or already answered, or the
+   *   minutes are invalid
+   */
+  async answerTimeRequest(requestId, approve, { minutes } = {}) {
+    const request = this.timeRequests.get(requestId);
+    if (!request) {
+      throw new Error('Request not found');
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`Request was already ${request.status}`);
+    }
+
+    let grant = null;
+    if (approve) {
+      // Unknown child: unlock the device it came from
+      grant = await this.grantTime({
+        childId: request.childId,
+        agentId: request.childId ? null : request.agentId,
+        game: request.game,
+        minutes: minutes ?? request.minutes,
+        reason: request.reason ? `Requested: ${request.reason}` : 'Requested by child'
+      });
+    }
+    this.timeRequests.answer(requestId, approve ? 'approved' : 'denied', { grantId: grant?.id });
+
+    const subject = request.game || 'Epic Games';
+    const message = approve
+      ? `Your request was approved: ${grant.minutes} more minute(s) of ${subject}.`
+      : `Your request for more ${subject} time was declined.`;
+    try {
+      await this.context.services.agent.sendNotification(request.agentId, {
+        title: 'Epic Games',
+        message,
+        type: approve ? 'info' : 'warning',
+        metadata: { plugin: PLUGIN_NAME, requestId, game: request.game, approved: approve }
+      });
+    } catch (error) {
+      console.error(`[Epic] Failed to send request answer to agent ${request.agentId}:`, error);
+    }
+
+    console.log(`[Epic] Time request ${requestId} ${request.status}`);
+    this.context.sendToRenderer?.('epicTimeRequestAnswered', request);
+    return request;
+  },
+
+  async refreshGrantAgents(grant) {
+    const agents = grant.agentId
+      ? this.state.agents.filter(a => a.id === grant.agentId)
+      : this.getChildAgents(grant.childId);
+
+    for (const agent of agents) {
+      await this.refreshAgentPolicies(agent);
+    }
+  },
+
+  /**
+   * Whether Epic is allowed on an agent: the plugin is only observing, a
+   * parent unlocked it, or the child's Allow2 quota (or a running grace
+   * period) and schedule allow it. Default deny until the agent is linked
+   * and the child's state is known.
+   */
+  isEpicAllowed(agent, allow2State) {
+    if (this.state.settings.observeMode) {
+      return true;
+    }
+    const childId = this.getAgentChildId(agent);
+    if (this.timeGrants.find({ agentId: agent.id, childId })) {
+      return true; // Unlocked by a parent
+    }
+    if (!childId || !allow2State || allow2State.paused) {
+      return false;
+    }
+    if (!this.isWithinSchedule(childId)) {
+      return false;
+    }
+
+    // Quota ran out mid-game: keep playing until the grace period ends
+    return allow2State.quota > 0 || this.isInGracePeriod(childId);
+  },
+
+  /**
+   * Update Epic policy based on Allow2 state change
+   */
+  async updateEpicPolicy(agent, allow2State, agentService) {
+    const childId = this.getAgentChildId(agent);
+    if (!allow2State.paused && this.isWithinSchedule(childId)) {
+      if (allow2State.quota > 0) {
+        this.quotaWarnings?.endGrace(this.getQuotaKey(childId));
+      } else if (!this.state.settings.observeMode && !this.timeGrants.find({ agentId: agent.id, childId })) {
+        // The quota just ran out: a game in progress may get a grace period
+        this.beginGracePeriod(childId);
+      }
+    }
+
+    console.log(`[Epic] Updating policy on ${agent.hostname}: allowed=${this.isEpicAllowed(agent, allow2State)}`);
+    await this.reconcileAgentPolicies(agent, allow2State);
+  },
+
+  /**
+   * Discover the games installed on an agent from its Epic launcher manifests
+   *
+   * Agents without remote file access keep whatever was discovered before.
+   */
+  async discoverInstalledGames(agent, agentService) {
+    const agentFs = createAgentFileSystem(agentService, agent.id);
+    if (!agentFs) {
+      return this.state.installedGames[agent.id] || [];
+    }
+
+    try {
+      const scanner = new EpicLibraryScanner(null, {
+        fs: agentFs,
+        platform: agent.platform,
+        homeDir: agent.homeDir,
+        checkInterval: this.state.settings.checkInterval,
+        catalog: this.catalog
+      });
+      const policies = await scanner.start();
+
+      const games = policies
+        .filter(policy => policy.metadata.type === 'game')
+        .map(policy => ({
+          displayName: policy.metadata.game,
+          appName: policy.metadata.appName,
+          processName: policy.processName,
+          installLocation: policy.metadata.installLocation,
+          launcher: policy.metadata.launcher
+        }));
+
+      // Keep games detected from launch arguments that the scan doesn't list
+      const launched = (this.state.installedGames[agent.id] || [])
+        .filter(game => game.detectedFrom === 'arguments' &&
+          !games.some(scanned => scanned.processName === game.processName));
+      games.push(...launched);
+
+      this.state.installedGames[agent.id] = games;
+      console.log(`[Epic] Discovered ${games.length} installed game(s) on ${agent.hostname}`);
+
+      this.context?.sendToRenderer?.('epicGamesDiscovered', { agentId: agent.id, games });
+    } catch (error) {
+      console.error(`[Epic] Failed to discover installed games on ${agent.hostname}:`, error);
+    }
+
+    return this.state.installedGames[agent.id] || [];
+  },
+
+  /**
+   * Find the Epic accounts used on an agent from the launchers' local files
+   * and link any new account to the child using the device
+   *
+   * Agents without remote file access or a known home directory keep
+   * whatever was detected before. Never throws.
+   */
+  async detectEpicAccounts(agent, agentService) {
+    const agentFs = createAgentFileSystem(agentService, agent.id);
+    if (!agentFs || !agent.homeDir) {
+      return this.accountLinks.getForAgent(agent.id);
+    }
+
+    try {
+      const previousChildId = this.getAgentChildId(agent);
+      const detected = await detectLauncherAccounts(agentFs, { platform: agent.platform, homeDir: agent.homeDir });
+      let changed = this.accountLinks.record(agent.id, detected);
+
+      if (this.autoLinkEpicAccount(agent, this.userLinks.resolve(agent, agent.currentUser))) {
+        changed = true;
+      }
+
+      if (changed) {
+        console.log(`[Epic] Found ${detected.length} Epic account(s) on ${agent.hostname}`);
+        this.context?.sendToRenderer?.('epicAccountsChanged', { accounts: this.accountLinks.getAll() });
+      }
+
+      // The account may put the device under another child's rules
+      const childId = this.getAgentChildId(agent);
+      if (childId && childId !== previousChildId && !this.childStates.has(childId)) {
+        this.rememberChildState(childId, await this.context.allow2.getChildState(childId));
+      }
+    } catch (error) {
+      console.error(`[Epic] Failed to detect Epic accounts on ${agent.hostname}:`, error);
+    }
+
+    return this.accountLinks.getForAgent(agent.id);
+  },
+
+  /**
+   * Link the Epic account used on an agent to the child using the device,
+   * unless the account was linked before. Only a device with a single
+   * account says whose account it is.
+   *
+   * @returns {boolean} whether the account was linked
+   */
+  autoLinkEpicAccount(agent, childId) {
+    const [account, ...others] = this.accountLinks.getForAgent(agent.id);
+    if (!account || others.length > 0 || !this.accountLinks.autoLink(account.accountId, childId)) {
+      return false;
+    }
+
+    const message = `Epic account ${account.displayName || account.accountId} linked to child ${childId} ` +
+      `from ${agent.hostname}`;
+    console.log(`[Epic] ${message}`);
+    this.context?.logActivity?.({
+      type: 'epic_account_linked',
+      plugin: PLUGIN_NAME,
+      message,
+      timestamp: new Date().toISOString(),
+      metadata: { accountId: account.accountId, displayName: account.displayName, childId, agentId: agent.id }
+    });
+    return true;
+  },
+
+  /**
+   * Get game process names for an agent: the built-in list plus every
+   * game discovered on that agent
+   */
+  getGameProcessNames(agent) {
+    const processNames = this.getEpicProcessNames(agent.platform);
+    const discovered = (this.state.installedGames[agent.id] || []).map(game => game.processName);
+
+    return [...new Set([...processNames.games, ...discovered])];
+  },
+
+  /**
+   * Find a discovered game on an agent by its process name
+   */
+  findInstalledGame(agentId, processName) {
+    const games = this.state.installedGames[agentId] || [];
+    return games.find(game => game.processName === processName) || null;
+  },
+
+  /**
+   * Start tracking a game process reported by an agent and block it
+   * straight away if the child has already used up that game's limit
+   */
+  async handleProcessStarted(processData) {
+    const agent = this.state.agents.find(a => a.id === processData.agentId);
+    if (!agent) {
+      return;
+    }
+
+    // On shared PCs the game counts against whoever owns the process
+    const childId = this.getAgentChildId(agent, processData.username);
+    const game = this.getGameName(agent, processData.processName, processData);
+    if (this.state.settings.observeMode) {
+      this.recordObservation(agent, processData, { childId, game });
+    }
+    if (!game) {
+      return; // Launcher processes are governed by the Allow2 quota only
+    }
+
+    if (this.matchEpicLaunch(processData)) {
+      await this.rememberLaunchedGame(agent, processData, game);
+    }
+
+    this.usageTracker.start({
+      agentId: agent.id,
+      processName: processData.processName,
+      childId,
+      game,
+      timestamp: processData.timestamp
+    });
+    this.emitPlaytimeUpdated();
+
+    if (childId && !this.state.settings.observeMode && this.isGameOverLimit(childId, game)) {
+      await this.applyGameLimit(childId, game);
+    }
+  },
+
+  /**
+   * Record a detection made in observe mode and push it to the renderer
+   */
+  recordObservation(agent, processData, { childId, game, source }) {
+    const event = this.observations.record(processData, { hostname: agent.hostname, childId, game, source });
+    console.log(`[Epic] Observed ${game || processData.processName} on ${agent.hostname}`);
+    this.context.sendToRenderer?.('epicObserved', event);
+    return event;
+  },
+
+  /**
+   * In observe mode, tell the parent once a week of activity is summarized
+   */
+  checkObservation() {
+    if (!this.observations.isSummaryDue()) {
+      return;
+    }
+
+    const summary = this.observations.summarize(this.state.sessions);
+    this.observations.markSummaryNotified();
+    const message = 'A week of Epic Games activity has been observed. Review the suggested daily limits in Settings.';
+    console.log(`[Epic] ${message}`);
+
+    this.context.notify?.({
+      title: 'Epic Games Summary Ready',
+      body: message,
+      icon: 'epic-icon.png'
+    });
+    this.context.logActivity?.({
+      type: 'epic_observation_summary',
+      plugin: PLUGIN_NAME,
+      message,
+      timestamp: new Date().toISOString(),
+      metadata: summary
+    });
+    this.context.sendToRenderer?.('epicObservationSummary', summary);
+  },
+
+  /**
+   * Dashboard trends for everyone or one child, counting running games up
+   * to now
+   */
+  getPlaytimeTrends({ childId } = {}, now = Date.now()) {
+    const running = this.usageTracker.getActive(childId).map(entry => ({
+      childId: entry.childId,
+      game: entry.game,
+      start: new Date(entry.startedAt).toISOString(),
+      end: new Date(now).toISOString()
+    }));
+    return buildTrends([...this.state.sessions, ...running], { childId, now });
+  },
+
+  /**
+   * Tell the dashboard that play time moved on while games are running,
+   * and how long each game has left
+   */
+  emitPlaytimeUpdated() {
+    const playing = this.usageTracker.getActive().length;
+    if (playing > 0) {
+      this.context.sendToRenderer?.('epicPlaytimeUpdated', { playing });
+      this.emitActiveSessions();
+    }
+  },
+
+  /**
+   * Games running right now on every agent, with how long each can go on
+   */
+  getActiveSessions(now = Date.now()) {
+    const observing = this.state.settings.observeMode;
+    return describeActiveSessions(this.usageTracker.getActive(), {
+      agents: this.state.agents,
+      getLimits: entry => observing ? {} : this.getSessionLimits(entry, now),
+      now
+    });
+  },
+
+  /**
+   * Seconds left under each rule that applies to a running game (null
+   * where a rule does not apply)
+   */
+  getSessionLimits({ agentId, childId, game }, now = Date.now()) {
+    const grant = this.timeGrants.find({ agentId, childId, game }, now);
+    const limit = childId ? this.state.gameLimits[childId]?.[game] : null;
+
+    return {
+      grant: grant ? (Date.parse(grant.expiresAt) - now) / 1000 : null,
+      quota: childId ? this.getAllow2RemainingSeconds(childId) : null,
+      quotaGrace: childId ? this.quotaWarnings.getGraceRemaining(this.getQuotaKey(childId), now) : null,
+      schedule: childId ? getSecondsUntilBlocked(this.state.schedules[childId], new Date(now)) : null,
+      gameLimit: limit !== undefined && limit !== null ? this.usageTracker.getRemainingSeconds(childId, game, limit, now) : null,
+      gameGrace: childId ? this.quotaWarnings.getGraceRemaining(this.getQuotaKey(childId, game), now) : null
+    };
+  },
+
+  /**
+   * Push the games running right now to the renderer
+   */
+  emitActiveSessions() {
+    this.context?.sendToRenderer?.('epicActiveSessions', { sessions: this.getActiveSessions() });
+  },
+
+  /**
+   * Child names from Allow2, when the host provides them
+   */
+  async getChildNames() {
+    try {
+      const children = await this.context.allow2.getChildren?.();
+      return Object.fromEntries((children || []).map(child => [child.id, child.name]));
+    } catch (error) {
+      console.warn('[Epic] Failed to get child names:', error.message);
+      return {};
+    }
+  },
+
+  /**
+   * The weekly report (last seven days against the seven before) as data,
+   * plain text and HTML
+   */
+  async generateWeeklyReport({ childId } = {}, now = Date.now()) {
+    const report = buildWeeklyReport(this.playtime, this.state.violations, {
+      childId,
+      childNames: await this.getChildNames(),
+      agents: this.state.agents,
+      now
+    });
+    return { report, text: renderReportText(report), html: renderReportHtml(report) };
+  },
+
+  /**
+   * Send the scheduled weekly report once it is due
+   */
+  async checkWeeklyReport(now = Date.now()) {
+    const { weeklyReport, weeklyReportDay, weeklyReportHour } = this.state.settings;
+    const schedule = this.state.reportSchedule;
+    if (!weeklyReport) {
+      schedule.nextDueAt = null;
+      return;
+    }
+    if (!schedule.nextDueAt) {
+      schedule.nextDueAt = new Date(getNextReportTime(weeklyReportDay, weeklyReportHour, now)).toISOString();
+    }
+    if (now < Date.parse(schedule.nextDueAt)) {
+      return;
+    }
+
+    const { report, text } = await this.generateWeeklyReport({}, now);
+    schedule.lastSentAt = new Date(now).toISOString();
+    schedule.nextDueAt = new Date(getNextReportTime(weeklyReportDay, weeklyReportHour, now)).toISOString();
+    console.log('[Epic] Sending the weekly report');
+
+    this.context.notify?.({
+      title: 'Epic Games Weekly Report',
+      body: summarizeReport(report),
+      icon: 'epic-icon.png'
+    });
+    this.context.logActivity?.({
+      type: 'epic_weekly_report',
+      plugin: PLUGIN_NAME,
+      message: `Weekly report for ${report.children.length} child${report.children.length === 1 ? '' : 'ren'}`,
+      timestamp: report.generatedAt,
+      metadata: { from: report.from, to: report.to, text }
+    });
+    this.context.sendToRenderer?.('epicWeeklyReport', { report });
+  },
+
+  /**
+   * Turn observe mode on (starting a fresh observation period) or off
+   */
+  setObserveMode(observing) {
+    if (observing) {
+      this.observations.start();
+    }
+    this.limitedGames.clear();
+    this.quotaWarnings?.clear();
+
+    const message = observing
+      ? 'Epic Games observe mode started: nothing is blocked, play is recorded'
+      : 'Epic Games observe mode ended: rules are enforced again';
+    console.log(`[Epic] ${message}`);
+    this.context.logActivity?.({
+      type: observing ? 'epic_observe_started' : 'epic_observe_ended',
+      plugin: PLUGIN_NAME,
+      message,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  /**
+   * Store a finished play session and push it to the renderer
+   */
+  finishSession(entry, endedAt) {
+    if (!entry) {
+      return null;
+    }
+
+    const agent = this.state.agents.find(a => a.id === entry.agentId);
+    const session = this.playtime.record(entry, {
+      hostname: agent?.hostname,
+      endedAt: endedAt || Date.now()
+    });
+
+    console.log(`[Epic] Session ended: ${session.game} on ${session.agentHostname} (${session.duration}s)`);
+    this.context?.sendToRenderer?.('epicSessionEnded', session);
+    this.emitActiveSessions();
+    return session;
+  },
+
+  /**
+   * Accrue play time and block any game whose daily limit ran out
+   *
+   * At midnight usage resets, so every child's policies are re-evaluated.
+   */
+  async checkGameLimits() {
+    this.usageTracker.tick();
+
+    const today = toDateKey(Date.now());
+    if (today !== this.usageDay) {
+      this.usageDay = today;
+      this.limitedGames.clear();
+      this.quotaWarnings.clear();
+
+      const agentService = this.context.services.agent;
+      for (const [childId, allow2State] of this.childStates) {
+        for (const agent of this.getChildAgents(childId)) {
+          await this.updateEpicPolicy(agent, allow2State, agentService);
+        }
+      }
+    }
+
+    // Observing: nothing to warn about or enforce
+    if (this.state.settings.observeMode) {
+      this.checkObservation();
+      return;
+    }
+
+    this.checkQuotaWarnings();
+
+    for (const { childId, game } of this.usageTracker.getActive()) {
+      if (childId && this.isGameOverLimit(childId, game)) {
+        await this.applyGameLimit(childId, game);
+      }
+    }
+
+    // Enforce quotas whose grace period just ended
+    const agentService = this.context.services.agent;
+    for (const { childId, game } of this.quotaWarnings.takeExpired()) {
+      console.log(`[Epic] Grace period ended for child ${childId}${game ? ` (${game})` : ''}`);
+
+      if (game) {
+        await this.applyGameLimit(childId, game);
+      } else if (this.childStates.has(childId)) {
+        for (const agent of this.getChildAgents(childId)) {
+          await this.updateEpicPolicy(agent, this.childStates.get(childId), agentService);
+        }
+      }
+    }
+  },
+
+  /**
+   * Re-evaluate policies for every child whose schedule just opened or
+   * closed
+   */
+  async checkSchedules() {
+    const agentService = this.context.services.agent;
+
+    for (const childId of Object.keys(this.state.schedules)) {
+      const allowed = this.isWithinSchedule(childId);
+      if (this.scheduleStates.get(childId) === allowed) {
+        continue;
+      }
+
+      const firstCheck = !this.scheduleStates.has(childId);
+      this.scheduleStates.set(childId, allowed);
+      if (firstCheck && allowed) {
+        continue; // Nothing to change until the schedule first blocks
+      }
+
+      console.log(`[Epic] Schedule ${allowed ? 'opened' : 'closed'} for child ${childId}`);
+      await this.refreshChildPolicies(childId, agentService);
+      this.context.sendToRenderer?.('epicScheduleChanged', { childId, allowed });
+    }
+  },
+
+  /**
+   * Re-apply the effective policy on every agent linked to a child
+   */
+  async refreshChildPolicies(childId, agentService) {
+    const childAgents = this.getChildAgents(childId);
+    if (childAgents.length === 0) {
+      return;
+    }
+
+    let allow2State = this.childStates.get(childId);
+    if (!allow2State) {
+      allow2State = await this.context.allow2.getChildState(childId);
+      this.rememberChildState(childId, allow2State);
+    }
+
+    for (const agent of childAgents) {
+      await this.updateEpicPolicy(agent, allow2State, agentService);
+    }
+  },
+
+  /**
+   * Check whether a child's schedule allows play right now
+   */
+  isWithinSchedule(childId, date = new Date()) {
+    return isAllowedAt(this.state.schedules[childId], date);
+  },
+
+  /**
+   * Warn children who are playing when their Allow2 quota, schedule or a
+   * game's daily limit is about to run out
+   */
+  checkQuotaWarnings() {
+    const thresholds = this.state.settings.warningThresholds || [];
+    const playing = new Map(); // childId -> Set of games being played
+
+    for (const { childId, game } of this.usageTracker.getActive()) {
+      if (childId) {
+        playing.set(childId, (playing.get(childId) || new Set()).add(game));
+      }
+    }
+
+    for (const [childId, games] of playing) {
+      const remainingTimes = [
+        this.getAllow2RemainingSeconds(childId),
+        getSecondsUntilBlocked(this.state.schedules[childId])
+      ].filter(seconds => seconds !== null);
+
+      if (remainingTimes.length > 0) {
+        const remaining = Math.min(...remainingTimes);
+        const threshold = this.quotaWarnings.check(this.getQuotaKey(childId), remaining, thresholds);
+        if (threshold !== null) {
+          this.sendQuotaWarning(childId, null, threshold).catch(error => {
+            console.error(`[Epic] Failed to warn child ${childId}:`, error);
+          });
+        }
+      }
+
+      for (const game of games) {
+        const limit = this.state.gameLimits[childId]?.[game];
+        if (limit === undefined || limit === null) {
+          continue;
+        }
+
+        const remaining = this.usageTracker.getRemainingSeconds(childId, game, limit);
+        const threshold = this.quotaWarnings.check(this.getQuotaKey(childId, game), remaining, thresholds);
+        if (threshold !== null) {
+          this.sendQuotaWarning(childId, game, threshold).catch(error => {
+            console.error(`[Epic] Failed to warn child ${childId}:`, error);
+          });
+        }
+      }
+    }
+  },
+
+  /**
+   * Start the grace period for a child's Allow2 quota, or for one game's
+   * daily limit, that just ran out, and tell the child
+   *
+   * Grace is only granted when the child is playing at the moment the
+   * time runs out, and only once per quota.
+   *
+   * @returns {boolean} whether the grace period is running
+   */
+  beginGracePeriod(childId, game = null) {
+    const gracePeriod = this.state.settings.gracePeriod;
+    if (!childId || !(gracePeriod > 0) || !this.quotaWarnings) {
+      return false;
+    }
+
+    const key = this.getQuotaKey(childId, game);
+    if (!this.quotaWarnings.hasGrace(key)) {
+      const isPlaying = this.usageTracker.getActive(childId).some(entry => !game || entry.game === game);
+      if (!isPlaying) {
+        return false;
+      }
+
+      this.quotaWarnings.startGrace(key, gracePeriod, { childId, game });
+      this.sendQuotaWarning(childId, game, gracePeriod, { grace: true }).catch(error => {
+        console.error(`[Epic] Failed to warn child ${childId}:`, error);
+      });
+    }
+
+    return this.quotaWarnings.isInGrace(key);
+  },
+
+  /**
+   * Whether a child's Allow2 quota, or one game's daily limit, is in a
+   * running grace period
+   */
+  isInGracePeriod(childId, game = null) {
+    return Boolean(childId && this.quotaWarnings?.isInGrace(this.getQuotaKey(childId, game)));
+  },
+
+  /**
+   * Send a "time is almost up" notification to every agent linked to a child
+   */
+  async sendQuotaWarning(childId, game, minutes, { grace = false } = {}) {
+    const subject = game || 'Epic Games';
+    const plural = minutes === 1 ? '' : 's';
+    const message = grace
+      ? `Time is up. ${subject} will close in ${minutes} minute${plural} - save your game now.`
+      : `${subject} time ends in ${minutes} minute${plural}.`;
+
+    console.log(`[Epic] Warning child ${childId}: ${message}`);
+
+    const agentService = this.context.services.agent;
+    for (const agent of this.getChildAgents(childId)) {
+      try {
+        await agentService.sendNotification(agent.id, {
+          title: 'Epic Games',
+          message,
+          type: 'warning',
+          metadata: {
+            plugin: '@allow2/allow2automate-epic',
+            game,
+            minutesRemaining: minutes,
+            grace
+          }
+        });
+      } catch (error) {
+        console.error(`[Epic] Failed to send warning to ${agent.hostname}:`, error);
+      }
+    }
+
+    this.context.sendToRenderer?.('epicQuotaWarning', { childId, game, minutes, grace });
+  },
+
+  /**
+   * Remember the latest Allow2 state for a child
+   */
+  rememberChildState(childId, allow2State) {
+    this.childStates.set(childId, { ...allow2State, receivedAt: Date.now() });
+  },
+
+  /**
+   * Estimate how much of a child's Allow2 quota is left
+   *
+   * Allow2 reports `quota` as minutes remaining when the state was sent;
+   * this is only called while the child is playing, so the time since then
+   * has been used.
+   *
+   * @returns {number|null} seconds remaining, or null when unknown or paused
+   */
+  getAllow2RemainingSeconds(childId) {
+    const allow2State = this.childStates.get(childId);
+    if (!allow2State || allow2State.paused || typeof allow2State.quota !== 'number') {
+      return null;
+    }
+
+    const elapsed = (Date.now() - allow2State.receivedAt) / 1000;
+    return Math.max(0, allow2State.quota * 60 - elapsed);
+  },
+
+  /**
+   * Key identifying a child's Allow2 quota (game = null) or a game limit
+   */
+  getQuotaKey(childId, game = null) {
+    return game ? `${childId}:game:${game}` : `${childId}:allow2`;
+  },
+
+  /**
+   * Block a single game on every agent linked to a child, leaving the
+   * launcher and other games untouched
+   */
+  async applyGameLimit(childId, game) {
+    if (this.beginGracePeriod(childId, game)) {
+      return;
+    }
+
+    const limited = this.limitedGames.get(childId) || new Set();
+    if (limited.has(game)) {
+      return;
+    }
+    limited.add(game);
+    this.limitedGames.set(childId, limited);
+
+    console.log(`[Epic] Daily limit reached for ${game} (child ${childId})`);
+
+    for (const agent of this.getChildAgents(childId)) {
+      await this.reconcileAgentPolicies(agent);
+    }
+
+    this.context.sendToRenderer?.('epicGameLimitReached', { childId, game });
+  },
+
+  /**
+   * Check whether a game is blocked for a child: its daily limit is used
+   * up and no grace period is running
+   */
+  isGameBlocked(childId, game) {
+    return this.isGameOverLimit(childId, game) && !this.isInGracePeriod(childId, game);
+  },
+
+  /**
+   * Check whether a child has used up their daily limit for a game
+   */
+  isGameOverLimit(childId, game) {
+    const limit = this.state.gameLimits[childId]?.[game];
+    if (!childId || limit === undefined || limit === null || !this.usageTracker) {
+      return false;
+    }
+    return this.usageTracker.getRemainingSeconds(childId, game, limit) <= 0;
+  },
+
+  /**
+   * Resolve the game a process belongs to on an agent
+   *
+   * @param {Object} agent
+   * @param {string} processName
+   * @param {Object} [processData] - the full agent report (path, command line)
+   * @returns {string|null} the game's display name, or null for launchers
+   */
+  getGameName(agent, processName, processData) {
+    const installedGame = this.findInstalledGame(agent.id, processName);
+    if (installedGame) {
+      return installedGame.displayName;
+    }
+
+    const match = this.matchProcess(agent, { ...processData, processName });
+    if (match) {
+      return match.entry.type === 'game' ? match.entry.name : null;
+    }
 
-    console.log('[Epic] Plugin initialized successfully');
-    this.state.enabled = true;
+    const launch = this.matchEpicLaunch(processData);
+    if (launch) {
+      return this.getAppDisplayName(agent, launch.appName) ||
+        normalizeProcess(processName).name.replace(/\.exe$/i, '');
+    }
+
+    return null;
   },
 
   /**
-   * Configure Epic Games monitoring policy on an agent
+   * Detect a game started by the Epic launcher from its arguments, when
+   * that detection is enabled
+   *
+   * @returns {Object|null} { appName }
    */
-  async configureEpicPolicy(agent, agentService) {
-    console.log(`[Epic] Configuring monitoring on agent: ${agent.hostname} (${agent.platform})`);
+  matchEpicLaunch(processData) {
+    if (!this.state.settings.detectEpicLaunched || !processData) {
+      return null;
+    }
+    return this.matcher.matchEpicLaunch(processData);
+  },
 
-    // Platform-specific Epic process names
-    const processNames = this.getEpicProcessNames(agent.platform);
+  /**
+   * Resolve an Epic AppName to a game name: a game discovered on the agent,
+   * a catalog game, or the AppName itself
+   */
+  getAppDisplayName(agent, appName) {
+    if (!appName) {
+      return null;
+    }
 
-    try {
-      // Create policy for Epic launcher (main process)
-      await agentService.createPolicy(agent.id, {
-        processName: processNames.launcher[0],
-        processAlternatives: processNames.launcher,
-        allowed: false, // Default deny until quota checked
-        checkInterval: this.state.settings.checkInterval,
-        actions: {
-          onDetected: 'check-quota',
-          onViolation: 'kill-process'
-        },
-        metadata: {
-          plugin: '@allow2/allow2automate-epic',
-          category: 'gaming',
-          platform: agent.platform
-        }
-      });
+    const lower = appName.toLowerCase();
+    const installedGame = (this.state.installedGames[agent.id] || [])
+      .find(game => game.appName && game.appName.toLowerCase() === lower);
+    if (installedGame) {
+      return installedGame.displayName;
+    }
 
-      // If monitoring all games, create policies for Epic games
-      if (this.state.settings.monitorAllGames) {
-        for (const gameName of processNames.games) {
-          await agentService.createPolicy(agent.id, {
-            processName: gameName,
-            allowed: false,
-            checkInterval: this.state.settings.checkInterval,
-            actions: {
-              onDetected: 'check-quota',
-              onViolation: 'kill-process'
-            },
-            metadata: {
-              plugin: '@allow2/allow2automate-epic',
-              category: 'gaming',
-              type: 'game',
-              platform: agent.platform
-            }
-          });
-        }
-      }
+    const entry = this.catalog.getEntries()
+      .find(e => e.type === 'game' && e.appName && e.appName.toLowerCase() === lower);
+    return entry ? entry.name : appName;
+  },
 
-      console.log(`[Epic] Successfully configured monitoring on ${agent.hostname}`);
-    } catch (error) {
-      console.error(`[Epic] Failed to configure policy on ${agent.hostname}:`, error);
-      throw error;
+  /**
+   * Remember a game detected by its launch arguments as installed on the
+   * agent, so it gets its own policy and per-game limits apply to it
+   */
+  async rememberLaunchedGame(agent, processData, game) {
+    const processName = processData.processName;
+    if (this.getGameProcessNames(agent).includes(processName)) {
+      return;
     }
+
+    const launch = this.matchEpicLaunch(processData);
+    const games = this.state.installedGames[agent.id] || [];
+    games.push({
+      displayName: game,
+      appName: launch?.appName || null,
+      processName,
+      installLocation: null,
+      launcher: 'epic',
+      detectedFrom: 'arguments'
+    });
+    this.state.installedGames[agent.id] = games;
+
+    console.log(`[Epic] Detected Epic-launched game ${game} (${processName}) on ${agent.hostname}`);
+    this.context.sendToRenderer?.('epicGamesDiscovered', { agentId: agent.id, games });
+
+    await this.reconcileAgentPolicies(agent);
   },
 
   /**
-   * Update Epic policy based on Allow2 state change
+   * Match a process against the catalog, preferring the agent's platform
+   * rules (a Windows game may run under Wine on macOS/Linux)
+   *
+   * @returns {Object|null} { entry, rule }
    */
-  async updateEpicPolicy(agent, allow2State, agentService) {
-    const epicAllowed = !allow2State.paused && allow2State.quota > 0;
+  matchProcess(agent, processData) {
+    return this.matcher.match(processData, agent?.platform) || this.matcher.match(processData);
+  },
 
-    console.log(`[Epic] Updating policy on ${agent.hostname}: allowed=${epicAllowed}`);
+  /**
+   * Build the match rules sent with a policy, so agents identify processes
+   * the same way the plugin does
+   *
+   * @param {Object[]} entries - catalog entries covered by the policy
+   * @param {string} platform
+   * @param {Object[]} [extraRules] - e.g. a discovered game's install path
+   */
+  getPolicyMatch(entries, platform, extraRules = []) {
+    const rules = [...entries.flatMap(entry => this.matcher.getRules(entry, platform)), ...extraRules];
 
-    try {
-      // Update launcher policy
-      const processNames = this.getEpicProcessNames(agent.platform);
+    return {
+      rules: rules.filter(rule => !rule.exclude),
+      exclusions: [...this.matcher.getExclusions(platform), ...rules.filter(rule => rule.exclude)]
+    };
+  },
 
-      await agentService.updatePolicy(agent.id, {
-        processName: processNames.launcher[0],
-        allowed: epicAllowed
-      });
+  /**
+   * List the games limits can be set for: every catalog game plus every
+   * game discovered on any agent
+   */
+  getKnownGames() {
+    const games = new Set();
 
-      // Update game policies if monitoring all games
-      if (this.state.settings.monitorAllGames) {
-        for (const gameName of processNames.games) {
-          await agentService.updatePolicy(agent.id, {
-            processName: gameName,
-            allowed: epicAllowed
-          });
-        }
+    for (const entry of this.catalog.getEntries()) {
+      if (entry.type === 'game') {
+        games.add(entry.name);
+      }
+    }
+    for (const agentGames of Object.values(this.state.installedGames)) {
+      for (const game of agentGames) {
+        games.add(game.displayName);
       }
-
-      console.log(`[Epic] Policy updated successfully on ${agent.hostname}`);
-    } catch (error) {
-      console.error(`[Epic] Failed to update policy on ${agent.hostname}:`, error);
     }
+
+    return [...games].sort();
   },
 
   /**
-   * Get Epic process names for a platform
+   * Get Epic process names for a platform from the process catalog
    */
   getEpicProcessNames(platform) {
-    const processNames = {
-      win32: {
-        launcher: [
-          'EpicGamesLauncher.exe',
-          'EpicWebHelper.exe',
-          'UnrealEngineLauncher-Win64-Shipping.exe'
-        ],
-        games: [
-          'FortniteClient-Win64-Shipping.exe',
-          'FortniteLauncher.exe',
-          'RocketLeague.exe'
-        ]
-      },
-      darwin: {
-        launcher: [
-          'EpicGamesLauncher',
-          'Epic Games Launcher.app'
-        ],
-        games: [
-          'Fortnite.app',
-          'RocketLeague.app'
-        ]
-      },
-      linux: {
-        launcher: [
-          'EpicGamesLauncher',
-          'legendary' // Open-source Epic launcher alternative
-        ],
-        games: [
-          'FortniteClient-Linux-Shipping',
-          'RocketLeague'
-        ]
-      }
-    };
-
-    return processNames[platform] || processNames.win32;
+    return this.catalog.getProcessNames(platform);
   },
 
   /**
-   * Check if a process name is an Epic Games process
+   * Check if an agent process report is an Epic Games process: a game
+   * discovered on the reporting agent, a match in the process catalog, or
+   * a game the Epic launcher started
+   *
+   * @param {Object} processData - { agentId, processName, path, commandLine | args }
    */
-  isEpicProcess(processName) {
-    const epicProcessKeywords = [
-      'epicgameslauncher',
-      'epicwebhelper',
-      'unrealengine',
-      'fortniteclient',
-      'fortnitelauncher',
-      'rocketleague',
-      'legendary'
-    ];
+  isEpicProcess(processData) {
+    if (processData.agentId && this.findInstalledGame(processData.agentId, processData.processName)) {
+      return true;
+    }
 
-    const lowerProcessName = processName.toLowerCase();
-    return epicProcessKeywords.some(keyword => lowerProcessName.includes(keyword));
+    const agent = this.state.agents.find(a => a.id === processData.agentId);
+    return this.matchProcess(agent, processData) !== null || this.matchEpicLaunch(processData) !== null;
   },
 
   /**
@@ -278,46 +1722,59 @@ const epicPlugin = {
     console.log(`[Epic] Violation detected on agent ${violationData.agentId}: ${violationData.processName}`);
 
     // Add to violation log
-    const violation = {
-      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      agentId: violationData.agentId,
-      agentHostname: violationData.hostname || 'Unknown',
-      processName: violationData.processName,
-      timestamp: violationData.timestamp || new Date().toISOString(),
-      childId: violationData.childId
-    };
+    const agent = this.state.agents.find(a => a.id === violationData.agentId);
+    const childId = agent ? this.getAgentChildId(agent, violationData.username) : null;
+    const game = agent ? this.getGameName(agent, violationData.processName, violationData) : null;
 
-    this.state.violations.push(violation);
-
-    // Keep only last 100 violations
-    if (this.state.violations.length > 100) {
-      this.state.violations = this.state.violations.slice(-100);
+    // Policies allow everything while observing; anything reported is observed
+    if (this.state.settings.observeMode && agent) {
+      this.recordObservation(agent, violationData, { childId, game, source: 'violation' });
+      return;
     }
 
+    const enforcement = resolveMode(this.state.enforcement, childId, game);
+    const violation = this.violationLog.record(violationData, {
+      hostname: agent?.hostname,
+      childId,
+      game,
+      enforcement
+    });
+
     // Notify renderer
     if (this.context.sendToRenderer) {
       this.context.sendToRenderer('epicViolation', violation);
     }
 
+    const subject = game || 'Epic Games';
+    const closed = isClosingMode(enforcement);
+    const message = closed
+      ? `${subject} was blocked on ${violation.agentHostname}`
+      : `${subject} was played outside the rules on ${violation.agentHostname}` +
+        (enforcement === 'warn' ? ' (warned)' : '');
+
     // Log to activity feed
     if (this.context.logActivity) {
       this.context.logActivity({
-        type: 'epic_blocked',
+        type: closed ? 'epic_blocked' : `epic_violation_${enforcement}`,
         plugin: '@allow2/allow2automate-epic',
-        message: `Epic Games was blocked on ${violation.agentHostname}`,
+        message,
         timestamp: violation.timestamp,
         metadata: {
           processName: violationData.processName,
-          agentId: violationData.agentId
+          agentId: violationData.agentId,
+          enforcement
         }
       });
     }
 
-    // Send notification if enabled
-    if (this.state.settings.enableNotifications && this.context.notify) {
+    // Warn-only: the agent already told the child to stop (policy action
+    // `notify`), so nothing more is sent to the device
+
+    // Send notification if enabled (log-only never notifies)
+    if (enforcement !== 'log' && this.state.settings.enableNotifications && this.context.notify) {
       this.context.notify({
-        title: 'Epic Games Blocked',
-        body: `Epic Games was blocked on ${violation.agentHostname}`,
+        title: closed ? 'Epic Games Blocked' : 'Epic Games Warning',
+        body: message,
         icon: 'epic-icon.png'
       });
     }
@@ -343,25 +1800,255 @@ const epicPlugin = {
           hostname: agent.hostname,
           platform: agent.platform,
           online: agent.online,
-          childId: agent.childId
+          childId: agent.childId,
+          currentUser: agent.currentUser || null,
+          users: agent.users || [],
+          userLinks: this.userLinks.getLinks(agent.id),
+          activeChildId: this.getAgentChildId(agent),
+          pendingChanges: this.reconciler?.getPendingCount(agent.id) || 0,
+          configuration: this.agentStatus.get(agent.id),
+          epicAccounts: this.accountLinks.getForAgent(agent.id).map(account => account.accountId),
+          lastSeenAt: agent.lastSeenAt || null,
+          offlineSince: agent.offlineSince || null,
+          offlineAlertedAt: agent.offlineAlertedAt || null
         }))
       };
     });
 
+    // Get games discovered from launcher manifests, optionally for one agent
+    ipcMain.handle('epic:getInstalledGames', async (event, { agentId } = {}) => {
+      if (agentId) {
+        return {
+          success: true,
+          games: this.state.installedGames[agentId] || []
+        };
+      }
+
+      return {
+        success: true,
+        installedGames: this.state.installedGames
+      };
+    });
+
+    // Re-scan an agent's launcher manifests and refresh its policies
+    ipcMain.handle('epic:rescanGames', async (event, { agentId }) => {
+      const agent = this.state.agents.find(a => a.id === agentId);
+      if (!agent) {
+        return { success: false, error: 'Agent not found' };
+      }
+
+      const result = await this.configureEpicPolicy(agent, context.services.agent);
+      if (!result) {
+        return { success: false, error: this.agentStatus.get(agentId).error };
+      }
+      return { success: true, games: this.state.installedGames[agentId] || [] };
+    });
+
     // Get violation history
-    ipcMain.handle('epic:getViolations', async (event, { limit = 50 } = {}) => {
+    ipcMain.handle('epic:getViolations', async (event, { limit = 50, ...filters } = {}) => {
+      const { violations, total } = this.violationLog.query({ ...filters, limit });
+      return { success: true, violations, total };
+    });
+
+    // Export violations matching the filters as CSV or JSON
+    ipcMain.handle('epic:exportViolations', async (event, { format = 'csv', ...filters } = {}) => {
+      try {
+        return { success: true, format, ...this.violationLog.export(format, filters) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Clear violation history (optionally only a child's)
+    ipcMain.handle('epic:clearViolations', async (event, { childId } = {}) => {
+      this.violationLog.clear(childId);
+      return { success: true };
+    });
+
+    // Get per-game daily limits, known games and today's usage
+    ipcMain.handle('epic:getGameLimits', async () => {
+      const usage = {};
+      for (const childId of Object.keys(this.state.gameUsage[toDateKey(Date.now())] || {})) {
+        usage[childId] = this.usageTracker.getChildUsage(childId);
+      }
+
+      return {
+        success: true,
+        limits: this.state.gameLimits,
+        games: this.getKnownGames(),
+        usage
+      };
+    });
+
+    // Set (or clear, with minutes = null) a child's daily limit for a game
+    ipcMain.handle('epic:setGameLimit', async (event, { childId, game, minutes }) => {
+      if (!childId || !game) {
+        return { success: false, error: 'childId and game are required' };
+      }
+      if (minutes !== null && minutes !== undefined && !(Number.isFinite(minutes) && minutes >= 0)) {
+        return { success: false, error: 'Limit must be a non-negative number of minutes' };
+      }
+
+      const childLimits = { ...(this.state.gameLimits[childId] || {}) };
+      if (minutes === null || minutes === undefined) {
+        delete childLimits[game];
+      } else {
+        childLimits[game] = minutes;
+      }
+      this.state.gameLimits = { ...this.state.gameLimits, [childId]: childLimits };
+
+      // Re-evaluate the child's policies against the new limit
+      this.limitedGames.get(childId)?.delete(game);
+      this.quotaWarnings.endGrace(this.getQuotaKey(childId, game));
+      try {
+        await this.refreshChildPolicies(childId, context.services.agent);
+      } catch (error) {
+        console.error(`[Epic] Failed to apply game limits for child ${childId}:`, error);
+        return { success: false, error: error.message, limits: this.state.gameLimits };
+      }
+
+      return { success: true, limits: this.state.gameLimits };
+    });
+
+    // Get play sessions and daily rollups, filtered by child/agent/game/date range
+    ipcMain.handle('epic:getPlaytime', async (event, filters = {}) => {
+      const { childId, agentId, game, from, to } = filters;
+      const query = { childId, agentId, game, from, to };
+
       return {
         success: true,
-        violations: this.state.violations.slice(-limit).reverse()
+        sessions: this.playtime.query(query),
+        daily: this.playtime.rollup(query)
       };
     });
 
-    // Clear violation history
-    ipcMain.handle('epic:clearViolations', async () => {
-      this.state.violations = [];
+    // Games running right now, with the time each child has left
+    ipcMain.handle('epic:getActiveSessions', async () => {
+      return { success: true, sessions: this.getActiveSessions() };
+    });
+
+    // Dashboard trends: daily and weekly time per game, hour-of-day
+    // heatmap and this week's top games (optionally for one child)
+    ipcMain.handle('epic:getPlaytimeTrends', async (event, { childId } = {}) => {
+      return { success: true, trends: this.getPlaytimeTrends({ childId }) };
+    });
+
+    // Clear play session history (optionally for one child)
+    ipcMain.handle('epic:clearPlaytime', async (event, { childId } = {}) => {
+      this.playtime.clear(childId);
       return { success: true };
     });
 
+    // Get every child's schedule and whether it allows play right now
+    ipcMain.handle('epic:getSchedules', async () => {
+      const allowedNow = {};
+      for (const childId of Object.keys(this.state.schedules)) {
+        allowedNow[childId] = this.isWithinSchedule(childId);
+      }
+
+      return {
+        success: true,
+        schedules: this.state.schedules,
+        defaultSchedule: createDefaultSchedule(),
+        allowedNow
+      };
+    });
+
+    // Replace a child's schedule (null removes it)
+    ipcMain.handle('epic:setSchedule', async (event, { childId, schedule }) => {
+      if (!childId) {
+        return { success: false, error: 'childId is required' };
+      }
+
+      if (schedule === null) {
+        const { [childId]: removed, ...rest } = this.state.schedules;
+        this.state.schedules = rest;
+      } else {
+        const error = validateSchedule(schedule);
+        if (error) {
+          return { success: false, error };
+        }
+        this.state.schedules = { ...this.state.schedules, [childId]: schedule };
+      }
+
+      this.scheduleStates.set(childId, this.isWithinSchedule(childId));
+      try {
+        await this.refreshChildPolicies(childId, context.services.agent);
+      } catch (error) {
+        console.error(`[Epic] Failed to apply schedule for child ${childId}:`, error);
+        return { success: false, error: error.message, schedules: this.state.schedules };
+      }
+
+      return { success: true, schedules: this.state.schedules };
+    });
+
+    // Get the process catalog (built-in and custom entries)
+    ipcMain.handle('epic:getCatalog', async () => {
+      return {
+        success: true,
+        version: this.catalog.version,
+        platforms: PLATFORMS,
+        entries: this.catalog.getEntries(),
+        exclusions: this.state.processExclusions
+      };
+    });
+
+    // Replace the custom exclusion rules, then push them to every agent
+    ipcMain.handle('epic:setProcessExclusions', async (event, { exclusions }) => {
+      if (!Array.isArray(exclusions)) {
+        return { success: false, error: 'Exclusions must be a list' };
+      }
+      for (const rule of exclusions) {
+        const error = validateRule(rule);
+        if (error) {
+          return { success: false, error };
+        }
+      }
+
+      this.state.processExclusions.splice(0, this.state.processExclusions.length,
+        ...exclusions.map(rule => ({ ...rule, pattern: rule.pattern.trim() })));
+      await this.reconcileAllAgents();
+
+      return { success: true, exclusions: this.state.processExclusions };
+    });
+
+    // Check how a process would be matched, e.g. to debug a false positive
+    ipcMain.handle('epic:testProcessMatch', async (event, processData) => {
+      const agent = this.state.agents.find(a => a.id === processData?.agentId) ||
+        { platform: processData?.platform };
+      const result = this.matchProcess(agent, processData || {});
+
+      return {
+        success: true,
+        matched: result !== null,
+        entry: result?.entry || null,
+        rule: result?.rule || null
+      };
+    });
+
+    // Add or replace a custom catalog entry, then push it to every agent
+    ipcMain.handle('epic:saveCatalogEntry', async (event, entry) => {
+      let saved;
+      try {
+        saved = this.catalog.addCustomEntry(entry);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+      await this.reconcileAllAgents();
+      return { success: true, entry: saved, entries: this.catalog.getEntries() };
+    });
+
+    // Remove a custom catalog entry; reconciling deletes its policies
+    ipcMain.handle('epic:removeCatalogEntry', async (event, { id }) => {
+      if (!this.catalog.removeCustomEntry(id)) {
+        return { success: false, error: 'Custom entry not found' };
+      }
+
+      await this.reconcileAllAgents();
+      return { success: true, entries: this.catalog.getEntries() };
+    });
+
     // Get plugin settings
     ipcMain.handle('epic:getSettings', async () => {
       return {
@@ -372,16 +2059,36 @@ const epicPlugin = {
 
     // Update plugin settings
     ipcMain.handle('epic:updateSettings', async (event, newSettings) => {
-      this.state.settings = { ...this.state.settings, ...newSettings };
+      const error = validateSettings(newSettings);
+      if (error) {
+        return { success: false, error, settings: this.state.settings };
+      }
+
+      const previous = this.state.settings;
+      const wasObserving = previous.observeMode;
+      const previousRetention = previous.violationRetentionDays;
+      this.state.settings = { ...previous, ...newSettings };
+
+      if (['weeklyReport', 'weeklyReportDay', 'weeklyReportHour'].some(key => this.state.settings[key] !== previous[key])) {
+        this.state.reportSchedule.nextDueAt = null; // Rescheduled at the next check
+      }
+
+      if (this.state.settings.observeMode !== wasObserving) {
+        this.setObserveMode(this.state.settings.observeMode);
+      }
 
-      // If checkInterval changed, update all agent policies
-      if (newSettings.checkInterval) {
-        const agentService = context.services.agent;
-        for (const agent of this.state.agents) {
-          await this.configureEpicPolicy(agent, agentService);
+      // Only a shorter retention (0 = keep forever) deletes anything
+      const retention = this.state.settings.violationRetentionDays;
+      if (retention !== previousRetention) {
+        this.violationLog.retentionDays = retention;
+        if (retention > 0 && (previousRetention === 0 || retention < previousRetention)) {
+          this.violationLog.prune();
         }
       }
 
+      // Bring every agent's policies in line (no calls if nothing changed)
+      await this.reconcileAllAgents();
+
       return { success: true, settings: this.state.settings };
     });
 
@@ -394,11 +2101,132 @@ const epicPlugin = {
           agentCount: this.state.agents.length,
           onlineAgents: this.state.agents.filter(a => a.online).length,
           recentViolations: this.state.violations.slice(-10).length,
+          grants: this.timeGrants.getActive(),
+          observing: this.state.settings.observeMode,
+          observedSince: this.state.settings.observeMode ? this.state.observation.startedAt : null,
           settings: this.state.settings
         }
       };
     });
 
+    // Unlock Epic (or one game) for a child or device for some minutes
+    ipcMain.handle('epic:grantTime', async (event, { childId, agentId, game, minutes, reason } = {}) => {
+      if (agentId && !this.state.agents.some(a => a.id === agentId)) {
+        return { success: false, error: 'Agent not found' };
+      }
+
+      try {
+        const grant = await this.grantTime({ childId, agentId, game, minutes: Number(minutes), reason });
+        return { success: true, grant };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Active grants, soonest to expire first
+    ipcMain.handle('epic:getGrants', async () => {
+      return { success: true, grants: this.timeGrants.getActive() };
+    });
+
+    // End a grant early
+    ipcMain.handle('epic:revokeGrant', async (event, { grantId }) => {
+      const grant = await this.revokeGrant(grantId);
+      if (!grant) {
+        return { success: false, error: 'Grant not found' };
+      }
+      return { success: true };
+    });
+
+    // Detections recorded in observe mode, newest first
+    ipcMain.handle('epic:getObservations', async (event, { childId, limit = 100 } = {}) => {
+      return { success: true, observations: this.observations.query({ childId, limit }) };
+    });
+
+    // Average daily play per child and game while observing, with suggested limits
+    ipcMain.handle('epic:getObservationSummary', async () => {
+      return { success: true, summary: this.observations.summarize(this.state.sessions) };
+    });
+
+    // Turn the suggested limits into per-game daily limits (one child, or all)
+    ipcMain.handle('epic:applySuggestedLimits', async (event, { childId } = {}) => {
+      const { children } = this.observations.summarize(this.state.sessions);
+      const gameLimits = { ...this.state.gameLimits };
+
+      for (const [suggestedChildId, games] of Object.entries(children)) {
+        if (childId && suggestedChildId !== childId) {
+          continue;
+        }
+        gameLimits[suggestedChildId] = { ...gameLimits[suggestedChildId] };
+        for (const { game, suggestedMinutes } of games) {
+          gameLimits[suggestedChildId][game] = suggestedMinutes;
+        }
+      }
+      this.state.gameLimits = gameLimits;
+
+      await this.reconcileAllAgents();
+      return { success: true, limits: this.state.gameLimits };
+    });
+
+    // Enforcement modes (default, per game, per child)
+    ipcMain.handle('epic:getEnforcement', async () => {
+      return { success: true, enforcement: this.state.enforcement, modes: ENFORCEMENT_MODES };
+    });
+
+    // Set or clear a mode: { mode } sets the default, add childId and/or
+    // game to target them; mode null clears the override. closeTimeout
+    // (seconds) sets how long a graceful close may take.
+    ipcMain.handle('epic:setEnforcement', async (event, { childId, game, mode, closeTimeout } = {}) => {
+      try {
+        if (closeTimeout !== undefined) {
+          const seconds = Number(closeTimeout);
+          if (!Number.isInteger(seconds) || seconds < 1 || seconds > 600) {
+            throw new Error('Close timeout must be a whole number of seconds between 1 and 600');
+          }
+          this.state.enforcement.closeTimeout = seconds;
+        }
+        if (mode !== undefined || childId || game) {
+          setMode(this.state.enforcement, { childId, game, mode });
+        }
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+      if (childId) {
+        for (const agent of this.getChildAgents(childId)) {
+          await this.reconcileAgentPolicies(agent);
+        }
+      } else {
+        await this.reconcileAllAgents();
+      }
+      return { success: true, enforcement: this.state.enforcement };
+    });
+
+    // Children's pending requests for more time, oldest first
+    ipcMain.handle('epic:getTimeRequests', async () => {
+      return { success: true, requests: this.timeRequests.getPending() };
+    });
+
+    // Approve a request, optionally for a different number of minutes
+    ipcMain.handle('epic:approveTimeRequest', async (event, { requestId, minutes } = {}) => {
+      try {
+        const request = await this.answerTimeRequest(requestId, true, {
+          minutes: minutes === undefined ? undefined : Number(minutes)
+        });
+        return { success: true, request };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('epic:denyTimeRequest', async (event, { requestId } = {}) => {
+      try {
+        const request = await this.answerTimeRequest(requestId, false);
+        return { success: true, request };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
     // Link agent to child
     ipcMain.handle('epic:linkAgent', async (event, { agentId, childId }) => {
       const agent = this.state.agents.find(a => a.id === agentId);
@@ -407,15 +2235,89 @@ const epicPlugin = {
       }
 
       agent.childId = childId;
+      if (this.autoLinkEpicAccount(agent, childId)) {
+        context.sendToRenderer?.('epicAccountsChanged', { accounts: this.accountLinks.getAll() });
+      }
 
       // Update policy based on this child's quota
       const agentService = context.services.agent;
       const allow2State = await context.allow2.getChildState(childId);
-      await this.updateEpicPolicy(agent, allow2State, agentService);
+      this.rememberChildState(childId, allow2State);
+      if (this.getAgentChildId(agent) === childId) {
+        await this.updateEpicPolicy(agent, allow2State, agentService);
+      } else {
+        await this.refreshAgentPolicies(agent); // The logged-in OS or Epic account is linked to another child
+      }
 
       return { success: true };
     });
 
+    // Link an OS account on a shared PC to a child (no childId unlinks it)
+    ipcMain.handle('epic:setUserLink', async (event, { agentId, username, childId }) => {
+      const agent = this.state.agents.find(a => a.id === agentId);
+      if (!agent) {
+        return { success: false, error: 'Agent not found' };
+      }
+
+      try {
+        this.userLinks.link(agentId, username, childId || null);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+      await this.refreshAgentPolicies(agent);
+      return { success: true, userLinks: this.userLinks.getLinks(agentId) };
+    });
+
+    // Weekly family report: the last seven days per child, compared with
+    // the seven days before (optionally for one child)
+    ipcMain.handle('epic:generateReport', async (event, { childId } = {}) => {
+      try {
+        return { success: true, ...(await this.generateWeeklyReport({ childId })) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Epic accounts detected on devices and the children they belong to
+    ipcMain.handle('epic:getAccounts', async () => {
+      return { success: true, accounts: this.accountLinks.getAll() };
+    });
+
+    // Link an Epic account to a child on every device (no childId unlinks
+    // it, and stops it being linked automatically)
+    ipcMain.handle('epic:linkAccount', async (event, { accountId, childId }) => {
+      let account;
+      try {
+        account = this.accountLinks.link(accountId, childId || null);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+      for (const agentId of Object.keys(account.agents)) {
+        const agent = this.state.agents.find(a => a.id === agentId);
+        if (agent) {
+          await this.refreshAgentPolicies(agent);
+        }
+      }
+
+      context.sendToRenderer?.('epicAccountsChanged', { accounts: this.accountLinks.getAll() });
+      return { success: true, account };
+    });
+
+    // Remove every policy from every device and clear all plugin data
+    ipcMain.handle('epic:uninstall', async () => {
+      const result = await this.uninstall();
+      if (result.failedAgents.length > 0) {
+        return {
+          success: false,
+          ...result,
+          error: `Policies on ${result.failedAgents.length} offline device(s) will be removed when they reconnect.`
+        };
+      }
+      return { success: true, ...result };
+    });
+
     // Unlink agent from child
     ipcMain.handle('epic:unlinkAgent', async (event, { agentId }) => {
       const agent = this.state.agents.find(a => a.id === agentId);
@@ -424,6 +2326,11 @@ const epicPlugin = {
       }
 
       agent.childId = null;
+
+      // Drop the old child's rules now: the device follows its OS or Epic
+      // account links, if any, else it is blocked until linked again
+      await this.refreshAgentPolicies(agent);
+
       return { success: true };
     });
 
@@ -432,19 +2339,113 @@ const epicPlugin = {
 
   /**
    * Plugin unload
+   *
+   * Removes every Epic policy the plugin owns, so disabling the plugin
+   * leaves devices unrestricted.
    */
-  onUnload() {
+  async onUnload() {
     console.log('[Epic] Unloading Epic Games plugin');
     this.state.enabled = false;
+    this.unloaded = true;
 
-    // Remove all policies from agents
-    if (this.context?.services?.agent) {
-      const agentService = this.context.services.agent;
-      for (const agent of this.state.agents) {
-        // Remove Epic policies (implementation depends on agent API)
-        console.log(`[Epic] Removing policies from agent ${agent.hostname}`);
+    if (this.usageTimer) {
+      clearInterval(this.usageTimer);
+      this.usageTimer = null;
+    }
+    for (const agentId of [...this.retryTimers.keys()]) {
+      this.clearRetry(agentId);
+    }
+    clearTimeout(this.grantTimer);
+    this.grantTimer = null;
+
+    // Close any running sessions so their play time is kept
+    if (this.usageTracker) {
+      for (const entry of this.usageTracker.stopAll()) {
+        this.finishSession(entry);
+      }
+    }
+
+    return this.removeAllPolicies();
+  },
+
+  /**
+   * Delete every Epic policy the plugin created, on every agent it knows of
+   *
+   * Removals for offline agents are queued and delivered when they come
+   * back online.
+   *
+   * @returns {Promise<Object>} { removed, failedAgents } where failedAgents
+   *   lists agents that still have policies waiting to be removed
+   */
+  async removeAllPolicies() {
+    const result = { removed: 0, failedAgents: [] };
+    if (!this.reconciler) {
+      return result;
+    }
+
+    const agentIds = new Set([...this.state.agents.map(a => a.id), ...Object.keys(this.state.policies)]);
+    for (const agentId of agentIds) {
+      const agent = this.state.agents.find(a => a.id === agentId);
+      console.log(`[Epic] Removing policies from agent ${agent?.hostname || agentId}`);
+
+      try {
+        const { deleted, pending } = await this.reconciler.reconcile(agentId, [], { offline: agent?.online === false });
+        result.removed += deleted;
+        if (pending > 0) {
+          result.failedAgents.push(agentId);
+        }
+      } catch (error) {
+        console.error(`[Epic] Failed to remove policies from agent ${agent?.hostname || agentId}:`, error);
+        result.failedAgents.push(agentId);
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Uninstall: remove every policy so devices are unrestricted, then reset
+   * all persisted state (limits, schedules, history, settings)
+   *
+   * Agents that could not be reached keep their queued removals (and their
+   * entry in `policies`), so they are still cleaned up when they reconnect.
+   */
+  async uninstall() {
+    console.log('[Epic] Uninstalling Epic Games plugin and restoring devices');
+
+    const result = await this.onUnload();
+    const remaining = { agents: [], policies: {}, outbox: {} };
+    for (const agentId of result.failedAgents) {
+      const agent = this.state.agents.find(a => a.id === agentId);
+      if (agent) {
+        remaining.agents.push({ ...agent, childId: null });
+      }
+      if (this.state.policies[agentId]) {
+        remaining.policies[agentId] = this.state.policies[agentId];
+      }
+      if (this.state.outbox[agentId]) {
+        remaining.outbox[agentId] = this.state.outbox[agentId];
       }
     }
+
+    this.state = { ...createDefaultState(), ...remaining };
+    this.createStateServices(this.context?.services?.agent);
+    this.childStates.clear();
+    this.limitedGames.clear();
+    this.scheduleStates.clear();
+    this.agentStatus.clear();
+    this.quotaWarnings?.clear();
+
+    this.context?.logActivity?.({
+      type: 'epic_uninstalled',
+      plugin: PLUGIN_NAME,
+      message: `Epic Games plugin uninstalled; ${result.removed} polic${result.removed === 1 ? 'y' : 'ies'} removed`,
+      timestamp: new Date().toISOString(),
+      metadata: result
+    });
+    this.context?.sendToRenderer?.('epicUninstalled', result);
+
+    return result;
   },
 
   /**
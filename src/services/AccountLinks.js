@@ -0,0 +1,119 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+/**
+ * Account Links
+ *
+ * Epic accounts detected on agents and the child each one belongs to, so
+ * an account follows the same child's rules on every device it is used on.
+ * Kept in a plain object persisted with the plugin state:
+ *
+ *   { accountId: { accountId, displayName, source, childId, linkedBy,
+ *                  agents: { agentId: detectedAt } } }
+ *
+ * `linkedBy` is 'auto' when the plugin linked the account to the child of
+ * the device it was found on, or 'parent' once a parent chose (including
+ * choosing no child); parent choices are never overridden automatically.
+ */
+export default class AccountLinks {
+  constructor(accounts = {}) {
+    this.accounts = accounts;
+  }
+
+  /**
+   * Record the accounts currently found on an agent; accounts no longer
+   * found there are detached from it
+   *
+   * @param {string} agentId
+   * @param {Object[]} detected - [{ accountId, displayName, source }]
+   * @returns {boolean} whether the agent's accounts changed
+   */
+  record(agentId, detected, now = Date.now()) {
+    const before = this.getForAgent(agentId).map(account => account.accountId).sort().join();
+    const detectedIds = new Set(detected.map(account => account.accountId));
+
+    for (const account of Object.values(this.accounts)) {
+      if (!detectedIds.has(account.accountId)) {
+        delete account.agents[agentId];
+      }
+    }
+
+    for (const { accountId, displayName, source } of detected) {
+      const account = this.accounts[accountId] || {
+        accountId,
+        displayName: null,
+        source,
+        childId: null,
+        linkedBy: null,
+        agents: {}
+      };
+      account.displayName = displayName || account.displayName;
+      account.agents[agentId] = new Date(now).toISOString();
+      this.accounts[accountId] = account;
+    }
+
+    return this.getForAgent(agentId).map(account => account.accountId).sort().join() !== before;
+  }
+
+  /**
+   * Accounts currently found on an agent
+   */
+  getForAgent(agentId) {
+    return Object.values(this.accounts).filter(account => account.agents[agentId]);
+  }
+
+  /**
+   * Every known account, by display name (unnamed ones last)
+   */
+  getAll() {
+    return Object.values(this.accounts).sort((a, b) =>
+      Boolean(b.displayName) - Boolean(a.displayName) ||
+      (a.displayName || '').localeCompare(b.displayName || '') ||
+      a.accountId.localeCompare(b.accountId)
+    );
+  }
+
+  /**
+   * A parent links an account to a child, or to no child (childId null)
+   *
+   * @throws {Error} for unknown accounts
+   */
+  link(accountId, childId) {
+    const account = this.accounts[accountId];
+    if (!account) {
+      throw new Error('Account not found');
+    }
+    account.childId = childId || null;
+    account.linkedBy = 'parent';
+    return account;
+  }
+
+  /**
+   * Link an account to a child unless it has been linked before
+   *
+   * @returns {boolean} whether the account was linked
+   */
+  autoLink(accountId, childId) {
+    const account = this.accounts[accountId];
+    if (!account || !childId || account.linkedBy) {
+      return false;
+    }
+    account.childId = childId;
+    account.linkedBy = 'auto';
+    return true;
+  }
+
+  /**
+   * The child whose rules apply to an agent because of the accounts used
+   * on it, or null when none of them is linked or they disagree
+   */
+  resolveChild(agentId) {
+    const childIds = new Set(this.getForAgent(agentId)
+      .map(account => account.childId)
+      .filter(Boolean));
+    return childIds.size === 1 ? [...childIds][0] : null;
+  }
+}
@@ -0,0 +1,75 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+/**
+ * Active Sessions
+ *
+ * Describes the games running right now for the "playing now" view:
+ *
+ *   { agentId, hostname, online, childId, game, processName, startedAt,
+ *     playedSeconds, remainingSeconds, limitedBy }
+ *
+ * `remainingSeconds` is how long the game can keep running under the
+ * rule that ends it first (`limitedBy`), or null when nothing limits it.
+ */
+
+/**
+ * Pick the rule that ends play first
+ *
+ * Every value is the seconds left under that rule, or null when it does
+ * not apply. A parent's grant overrides everything else; a running grace
+ * period takes the place of the Allow2 quota or game limit that ran out.
+ *
+ * @param {Object} limits - { grant, quota, quotaGrace, schedule, gameLimit, gameGrace }
+ * @returns {Object} { remainingSeconds, limitedBy } where limitedBy is
+ *   'grant', 'quota', 'schedule', 'game-limit', 'grace' or null
+ */
+export function getAllowance({ grant = null, quota = null, quotaGrace = null, schedule = null, gameLimit = null, gameGrace = null } = {}) {
+  if (grant !== null) {
+    return { remainingSeconds: Math.max(0, Math.round(grant)), limitedBy: 'grant' };
+  }
+
+  const candidates = [
+    quotaGrace !== null ? ['grace', quotaGrace] : ['quota', quota],
+    ['schedule', schedule],
+    gameGrace !== null ? ['grace', gameGrace] : ['game-limit', gameLimit]
+  ].filter(([, seconds]) => seconds !== null);
+
+  if (candidates.length === 0) {
+    return { remainingSeconds: null, limitedBy: null };
+  }
+
+  const [limitedBy, seconds] = candidates.reduce((first, candidate) => candidate[1] < first[1] ? candidate : first);
+  return { remainingSeconds: Math.max(0, Math.round(seconds)), limitedBy };
+}
+
+/**
+ * Running games, one per agent and process, by device then start time
+ *
+ * @param {Object[]} entries - running games from GameUsageTracker.getActive()
+ * @param {Object} options - { agents: [{ id, hostname, online }],
+ *   getLimits: entry => limits for getAllowance(), now }
+ */
+export function describeActiveSessions(entries, { agents = [], getLimits = () => ({}), now = Date.now() } = {}) {
+  const agentsById = new Map(agents.map(agent => [agent.id, agent]));
+
+  return entries
+    .map(entry => {
+      const agent = agentsById.get(entry.agentId);
+      return {
+        agentId: entry.agentId,
+        hostname: agent?.hostname || entry.agentId,
+        online: Boolean(agent) && agent.online !== false,
+        childId: entry.childId || null,
+        game: entry.game,
+        processName: entry.processName,
+        startedAt: new Date(entry.startedAt).toISOString(),
+        playedSeconds: Math.max(0, Math.round((now - entry.startedAt) / 1000)),
+        ...getAllowance(getLimits(entry))
+      };
+    })
+    .sort((a, b) => a.hostname.localeCompare(b.hostname) || a.startedAt.localeCompare(b.startedAt));
+}
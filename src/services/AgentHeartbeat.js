@@ -0,0 +1,80 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+/**
+ * Agent Heartbeat
+ *
+ * Tracks when each agent was last heard from, so a child's device that
+ * disappears (the agent was stopped or uninstalled) is noticed. Kept on the
+ * persisted agent records:
+ *
+ *   { lastSeenAt, offlineSince, offlineAlertedAt }
+ *
+ * `lastSeenAt` only moves when the agent itself reports something (a
+ * heartbeat, a process or a violation), so an agent that is still listed
+ * as online but has gone quiet is noticed too. `offlineSince` only counts
+ * time the plugin itself was running, so a parent's computer being
+ * switched off doesn't raise false alarms.
+ */
+
+export const DEFAULT_OFFLINE_ALERT_MINUTES = 30;
+
+/**
+ * Record that an agent was heard from
+ *
+ * @returns {Object|null} { offlineSince, offlineAlertedAt } when the agent
+ *   had been alerted on as offline, else null
+ */
+export function markSeen(agent, now = Date.now()) {
+  const alerted = agent.offlineAlertedAt
+    ? { offlineSince: agent.offlineSince, offlineAlertedAt: agent.offlineAlertedAt }
+    : null;
+
+  agent.lastSeenAt = new Date(now).toISOString();
+  agent.offlineSince = null;
+  agent.offlineAlertedAt = null;
+  return alerted;
+}
+
+/**
+ * Start counting an agent's offline time, unless it already is
+ */
+export function markOffline(agent, now = Date.now()) {
+  if (!agent.offlineSince) {
+    agent.offlineSince = new Date(now).toISOString();
+  }
+}
+
+/**
+ * When an agent was last known to be working: when it went offline, or
+ * for an agent still listed as online, when it last reported anything
+ */
+export function getSilentSince(agent) {
+  return (agent.online === false ? agent.offlineSince : agent.lastSeenAt) || null;
+}
+
+/**
+ * Agents that have been offline or silent for at least `minutes` and
+ * haven't been alerted on yet
+ */
+export function getOverdueAgents(agents, minutes, now = Date.now()) {
+  if (!(minutes > 0)) {
+    return [];
+  }
+  return agents.filter(agent => {
+    const silentSince = getSilentSince(agent);
+    return silentSince &&
+      !agent.offlineAlertedAt &&
+      now - Date.parse(silentSince) >= minutes * 60 * 1000;
+  });
+}
+
+/**
+ * Whole minutes between a timestamp and now
+ */
+export function minutesSince(timestamp, now = Date.now()) {
+  return Math.max(0, Math.floor((now - Date.parse(timestamp)) / 60000));
+}
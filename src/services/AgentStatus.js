@@ -0,0 +1,98 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+export const AGENT_STATUSES = ['pending', 'configured', 'retrying', 'failed'];
+
+export const RETRY_BASE_DELAY = 30 * 1000; // 30 seconds
+export const RETRY_MAX_DELAY = 30 * 60 * 1000; // 30 minutes
+export const MAX_RETRIES = 10;
+
+/**
+ * Agent Status
+ *
+ * Tracks how far each agent's configuration got, so one agent failing never
+ * holds up the others:
+ *
+ * - pending: not configured yet
+ * - configured: policies applied
+ * - retrying: failed, another attempt is scheduled (exponential backoff)
+ * - failed: failed and no retry is scheduled (agent offline, or out of
+ *   retries); it is tried again when the agent is next discovered
+ */
+export default class AgentStatus {
+  constructor({ baseDelay = RETRY_BASE_DELAY, maxDelay = RETRY_MAX_DELAY, maxRetries = MAX_RETRIES } = {}) {
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.maxRetries = maxRetries;
+    this.statuses = new Map(); // agentId -> { status, error, attempts, nextRetryAt, updatedAt }
+  }
+
+  /**
+   * Current status of an agent (pending if never seen)
+   */
+  get(agentId) {
+    return this.statuses.get(agentId) || { status: 'pending', error: null, attempts: 0, nextRetryAt: null, updatedAt: null };
+  }
+
+  markPending(agentId, now = Date.now()) {
+    return this.set(agentId, { ...this.get(agentId), status: 'pending', nextRetryAt: null }, now);
+  }
+
+  markConfigured(agentId, now = Date.now()) {
+    return this.set(agentId, { status: 'configured', error: null, attempts: 0, nextRetryAt: null }, now);
+  }
+
+  /**
+   * Record a failed attempt
+   *
+   * @param {string} agentId
+   * @param {Error|string} error
+   * @param {Object} [options] - { retry } false when no retry should be
+   *   scheduled (e.g. the agent is offline)
+   * @returns {Object} the new status; `nextRetryAt` is set when a retry
+   *   should be scheduled
+   */
+  markFailed(agentId, error, { retry = true } = {}, now = Date.now()) {
+    const attempts = this.get(agentId).attempts + 1;
+    const message = error?.message || String(error);
+
+    if (!retry || attempts > this.maxRetries) {
+      return this.set(agentId, { status: 'failed', error: message, attempts, nextRetryAt: null }, now);
+    }
+
+    return this.set(agentId, {
+      status: 'retrying',
+      error: message,
+      attempts,
+      nextRetryAt: now + this.getRetryDelay(attempts)
+    }, now);
+  }
+
+  /**
+   * Delay before retry number `attempt` (1-based): base, 2x base, 4x base,
+   * ... capped at the max delay
+   */
+  getRetryDelay(attempt) {
+    return Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay);
+  }
+
+  /**
+   * Start an agent over with a full set of retries (e.g. it reconnected)
+   */
+  reset(agentId) {
+    this.statuses.delete(agentId);
+  }
+
+  clear() {
+    this.statuses.clear();
+  }
+
+  set(agentId, status, now) {
+    const entry = { ...status, updatedAt: new Date(now).toISOString() };
+    this.statuses.set(agentId, entry);
+    return entry;
+  }
+}
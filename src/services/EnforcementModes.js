@@ -0,0 +1,120 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+/**
+ * Enforcement Modes
+ *
+ * What happens when Epic or a game runs while it isn't allowed:
+ *
+ * - kill: the agent terminates it straight away
+ * - graceful: the agent asks it to close, then kills it after `closeTimeout`
+ *   seconds
+ * - warn: the child is told to stop, nothing is closed
+ * - log: the violation is only recorded
+ *
+ * Modes are kept in a plain object persisted with the plugin state:
+ *
+ *   { mode, closeTimeout, games: { game: mode },
+ *     children: { childId: { mode, games: { game: mode } } } }
+ *
+ * The most specific setting wins: child + game, then child, then game,
+ * then the default `mode`.
+ */
+
+export const ENFORCEMENT_MODES = ['kill', 'graceful', 'warn', 'log'];
+
+// The agent's onViolation action for each mode
+const VIOLATION_ACTIONS = {
+  kill: 'kill-process',
+  graceful: 'close-then-kill',
+  warn: 'notify',
+  log: 'log-only'
+};
+
+export function createDefaultEnforcement() {
+  return {
+    mode: 'kill',
+    closeTimeout: 60, // seconds a graceful close may take before the kill
+    games: {},
+    children: {}
+  };
+}
+
+/**
+ * The mode for a child and game (no game means the launcher)
+ */
+export function resolveMode(enforcement, childId, game = null) {
+  const child = childId ? enforcement.children?.[childId] : null;
+  return (game && child?.games?.[game]) ||
+    child?.mode ||
+    (game && enforcement.games?.[game]) ||
+    enforcement.mode ||
+    'kill';
+}
+
+/**
+ * Set (or with no mode, clear) the mode for a child, a game, or both;
+ * with neither it sets the default mode
+ *
+ * @throws {Error} for unknown modes, or clearing the default
+ */
+export function setMode(enforcement, { childId = null, game = null, mode = null }) {
+  if (mode && !ENFORCEMENT_MODES.includes(mode)) {
+    throw new Error(`Unknown enforcement mode: ${mode}`);
+  }
+
+  if (!childId && !game) {
+    if (!mode) {
+      throw new Error('The default enforcement mode is required');
+    }
+    enforcement.mode = mode;
+    return;
+  }
+
+  if (!childId) {
+    assign(enforcement.games, game, mode);
+    return;
+  }
+
+  const child = enforcement.children[childId] || { mode: null, games: {} };
+  if (game) {
+    assign(child.games, game, mode);
+  } else {
+    child.mode = mode;
+  }
+
+  if (child.mode || Object.keys(child.games).length > 0) {
+    enforcement.children[childId] = child;
+  } else {
+    delete enforcement.children[childId];
+  }
+}
+
+/**
+ * Policy actions for a mode
+ */
+export function getViolationActions(mode, closeTimeout) {
+  const actions = { onViolation: VIOLATION_ACTIONS[mode] || VIOLATION_ACTIONS.kill };
+  if (mode === 'graceful') {
+    actions.closeTimeout = closeTimeout;
+  }
+  return actions;
+}
+
+/**
+ * Whether a mode closes the process
+ */
+export function isClosingMode(mode) {
+  return mode === 'kill' || mode === 'graceful';
+}
+
+function assign(map, key, mode) {
+  if (mode) {
+    map[key] = mode;
+  } else {
+    delete map[key];
+  }
+}
@@ -4,18 +4,20 @@
 
 'use strict';
 
+import ProcessCatalog from './ProcessCatalog.js';
+
 /**
  * Epic Games Monitor Service
  *
  * Handles Epic Games-specific monitoring logic including:
  * - Multi-process monitoring (launcher + individual games)
- * - Epic account detection (future enhancement)
  * - Process lifecycle management
  */
 export default class EpicMonitor {
-  constructor(agentService, allow2Service) {
+  constructor(agentService, allow2Service, catalog = new ProcessCatalog()) {
     this.agentService = agentService;
     this.allow2Service = allow2Service;
+    this.catalog = catalog;
     this.monitoredProcesses = new Map();
   }
 
@@ -70,13 +72,14 @@ export default class EpicMonitor {
   }
 
   /**
-   * Get list of Epic processes to monitor for a platform
+   * Get list of Epic processes to monitor for a platform (from the catalog)
    */
   getEpicProcesses(platform, includeGames = true) {
+    const processNames = this.catalog.getProcessNames(platform);
     const baseProcesses = [
       {
         name: 'EpicGamesLauncher',
-        alternatives: this.getLauncherNames(platform),
+        alternatives: processNames.launcher,
         type: 'launcher',
         game: null
       }
@@ -86,83 +89,16 @@ export default class EpicMonitor {
       return baseProcesses;
     }
 
-    const gameProcesses = [
-      {
-        name: 'FortniteClient',
-        alternatives: this.getFortniteNames(platform),
-        type: 'game',
-        game: 'Fortnite'
-      },
-      {
-        name: 'RocketLeague',
-        alternatives: this.getRocketLeagueNames(platform),
-        type: 'game',
-        game: 'Rocket League'
-      }
-      // Add more Epic games as needed
-    ];
+    const gameProcesses = this.catalog.getGames(platform).map(game => ({
+      name: game.processNames[0],
+      alternatives: game.processNames,
+      type: 'game',
+      game: game.name
+    }));
 
     return [...baseProcesses, ...gameProcesses];
   }
 
-  /**
-   * Get launcher process names by platform
-   */
-  getLauncherNames(platform) {
-    const names = {
-      win32: [
-        'EpicGamesLauncher.exe',
-        'EpicWebHelper.exe',
-        'UnrealEngineLauncher-Win64-Shipping.exe'
-      ],
-      darwin: [
-        'EpicGamesLauncher',
-        'Epic Games Launcher.app'
-      ],
-      linux: [
-        'EpicGamesLauncher',
-        'legendary' // Open-source alternative
-      ]
-    };
-
-    return names[platform] || names.win32;
-  }
-
-  /**
-   * Get Fortnite process names by platform
-   */
-  getFortniteNames(platform) {
-    const names = {
-      win32: [
-        'FortniteClient-Win64-Shipping.exe',
-        'FortniteLauncher.exe'
-      ],
-      darwin: [
-        'Fortnite.app',
-        'FortniteClient'
-      ],
-      linux: [
-        'FortniteClient-Linux-Shipping',
-        'Fortnite'
-      ]
-    };
-
-    return names[platform] || names.win32;
-  }
-
-  /**
-   * Get Rocket League process names by platform
-   */
-  getRocketLeagueNames(platform) {
-    const names = {
-      win32: ['RocketLeague.exe'],
-      darwin: ['RocketLeague.app', 'RocketLeague'],
-      linux: ['RocketLeague']
-    };
-
-    return names[platform] || names.win32;
-  }
-
   /**
    * Update monitoring status based on Allow2 quota
    */
@@ -0,0 +1,205 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+const USAGE_RETENTION_DAYS = 31;
+
+/**
+ * Game Usage Tracker
+ *
+ * Accumulates how long each child has played each Epic game per day, from
+ * the process start/stop events reported by agents. Usage is stored in a
+ * plain object so it can be persisted with the plugin state:
+ *
+ *   usage[dateKey][childId][game] = seconds
+ *
+ * Running games accrue time on every `tick()`, so a long session counts
+ * towards the limit before the game is closed.
+ *
+ * A game often runs as several matched processes at once (e.g. the
+ * Fortnite launcher stub and its client), so play is tracked per agent,
+ * child and game: the session starts with the first of its processes and
+ * ends when the last one exits.
+ */
+export default class GameUsageTracker {
+  constructor(usage = {}) {
+    this.usage = usage;
+    this.active = new Map(); // `${agentId}:${childId}:${game}` -> running game
+    this.processes = new Map(); // `${agentId}:${processName}` -> running game key
+  }
+
+  /**
+   * Record that a game process started
+   *
+   * @returns {Object} the game's running entry (new, or the one the
+   *   process joined)
+   */
+  start({ agentId, processName, childId, game, timestamp }) {
+    const processKey = `${agentId}:${processName}`;
+    if (this.processes.has(processKey)) {
+      return this.active.get(this.processes.get(processKey));
+    }
+
+    const key = `${agentId}:${childId}:${game}`;
+    let entry = this.active.get(key);
+    if (!entry) {
+      const startedAt = toTime(timestamp);
+      entry = { agentId, processName, processNames: [], childId, game, startedAt, accruedUntil: startedAt };
+      this.active.set(key, entry);
+    }
+    entry.processNames.push(processName);
+    this.processes.set(processKey, key);
+    return entry;
+  }
+
+  /**
+   * Record that a game process stopped
+   *
+   * @returns {Object|null} the finished entry once the game's last process
+   *   stopped, or null if it was not running or other processes of the
+   *   game still are
+   */
+  stop({ agentId, processName, timestamp }) {
+    const processKey = `${agentId}:${processName}`;
+    const key = this.processes.get(processKey);
+    if (!key) {
+      return null;
+    }
+    this.processes.delete(processKey);
+
+    const entry = this.active.get(key);
+    entry.processNames = entry.processNames.filter(name => name !== processName);
+    if (entry.processNames.length > 0) {
+      return null;
+    }
+    return this.finish(key, timestamp);
+  }
+
+  /**
+   * Stop every game running on an agent (e.g. the agent went offline)
+   */
+  stopAgent(agentId, timestamp) {
+    return [...this.active]
+      .filter(([, entry]) => entry.agentId === agentId)
+      .map(([key]) => this.finish(key, timestamp));
+  }
+
+  /**
+   * Stop every running game (e.g. the plugin is unloading)
+   */
+  stopAll(timestamp) {
+    return [...this.active.keys()].map(key => this.finish(key, timestamp));
+  }
+
+  /**
+   * End a running game, accruing its time up to `timestamp`
+   */
+  finish(key, timestamp) {
+    const entry = this.active.get(key);
+    this.accrue(entry, toTime(timestamp));
+    this.active.delete(key);
+    for (const processName of entry.processNames) {
+      this.processes.delete(`${entry.agentId}:${processName}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Accrue time for every running game up to `now`
+   */
+  tick(now = Date.now()) {
+    for (const entry of this.active.values()) {
+      this.accrue(entry, toTime(now));
+    }
+    this.prune(now);
+  }
+
+  /**
+   * Add the time since the entry was last accrued, split at midnight
+   */
+  accrue(entry, until) {
+    let from = entry.accruedUntil;
+
+    while (from < until) {
+      const nextMidnight = new Date(from);
+      nextMidnight.setHours(24, 0, 0, 0);
+      const end = Math.min(until, nextMidnight.getTime());
+
+      if (entry.childId) {
+        this.add(toDateKey(from), entry.childId, entry.game, (end - from) / 1000);
+      }
+      from = end;
+    }
+
+    entry.accruedUntil = Math.max(entry.accruedUntil, until);
+  }
+
+  add(dateKey, childId, game, seconds) {
+    const day = this.usage[dateKey] || (this.usage[dateKey] = {});
+    const child = day[childId] || (day[childId] = {});
+    child[game] = (child[game] || 0) + seconds;
+  }
+
+  /**
+   * Seconds a child has played a game on a given day
+   */
+  getUsageSeconds(childId, game, date = Date.now()) {
+    return this.usage[toDateKey(date)]?.[childId]?.[game] || 0;
+  }
+
+  /**
+   * Usage per game for a child on a given day
+   */
+  getChildUsage(childId, date = Date.now()) {
+    return { ...(this.usage[toDateKey(date)]?.[childId] || {}) };
+  }
+
+  /**
+   * Seconds left before a daily limit is reached (never negative)
+   */
+  getRemainingSeconds(childId, game, limitMinutes, date = Date.now()) {
+    return Math.max(0, limitMinutes * 60 - this.getUsageSeconds(childId, game, date));
+  }
+
+  /**
+   * Running games, optionally only for one child
+   */
+  getActive(childId) {
+    const entries = [...this.active.values()];
+    return childId ? entries.filter(entry => entry.childId === childId) : entries;
+  }
+
+  /**
+   * Drop usage older than the retention window
+   */
+  prune(now = Date.now()) {
+    const cutoff = new Date(toTime(now));
+    cutoff.setDate(cutoff.getDate() - USAGE_RETENTION_DAYS);
+    const cutoffKey = toDateKey(cutoff);
+
+    for (const dateKey of Object.keys(this.usage)) {
+      if (dateKey < cutoffKey) {
+        delete this.usage[dateKey];
+      }
+    }
+  }
+}
+
+/**
+ * Local calendar date as `YYYY-MM-DD`
+ */
+export function toDateKey(date) {
+  const d = new Date(toTime(date));
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+function toTime(value) {
+  if (value === undefined || value === null) {
+    return Date.now();
+  }
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
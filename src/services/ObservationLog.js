@@ -0,0 +1,146 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+export const OBSERVATION_DAYS = 7;
+
+// Suggested limits are rounded up to this many minutes
+const LIMIT_STEP_MINUTES = 15;
+
+const MAX_EVENTS = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Observation Log
+ *
+ * Backs observe mode, where nothing is blocked and every detection is
+ * recorded instead. Kept in a plain object persisted with the plugin state:
+ *
+ *   { startedAt, summaryNotifiedAt, events: [{ id, agentId, agentHostname,
+ *     childId, game, processName, source, timestamp }] }
+ *
+ * After a week of observing, the play sessions recorded in that time are
+ * summarized into suggested per-game daily limits.
+ */
+export default class ObservationLog {
+  constructor(observation = { startedAt: null, summaryNotifiedAt: null, events: [] }) {
+    this.observation = observation;
+  }
+
+  /**
+   * Start a fresh observation period
+   */
+  start(now = Date.now()) {
+    this.observation.startedAt = new Date(now).toISOString();
+    this.observation.summaryNotifiedAt = null;
+    this.observation.events.splice(0, this.observation.events.length);
+  }
+
+  /**
+   * Record a detection
+   *
+   * @param {Object} processData - { agentId, processName, timestamp }
+   * @param {Object} [details] - { hostname, childId, game, source }
+   */
+  record(processData, { hostname, childId = null, game = null, source = 'processStarted' } = {}) {
+    const event = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      agentId: processData.agentId,
+      agentHostname: hostname || 'Unknown',
+      childId,
+      game,
+      processName: processData.processName,
+      source,
+      timestamp: processData.timestamp || new Date().toISOString()
+    };
+
+    this.observation.events.push(event);
+    if (this.observation.events.length > MAX_EVENTS) {
+      this.observation.events.splice(0, this.observation.events.length - MAX_EVENTS);
+    }
+    return event;
+  }
+
+  /**
+   * Detections, newest first
+   */
+  query({ childId, limit } = {}) {
+    const events = this.observation.events
+      .filter(event => !childId || event.childId === childId)
+      .reverse();
+    return limit ? events.slice(0, limit) : events;
+  }
+
+  /**
+   * Whether a full observation period has passed and the parent hasn't
+   * been told about the summary yet
+   */
+  isSummaryDue(now = Date.now()) {
+    return Boolean(this.observation.startedAt) &&
+      !this.observation.summaryNotifiedAt &&
+      now - Date.parse(this.observation.startedAt) >= OBSERVATION_DAYS * DAY_MS;
+  }
+
+  markSummaryNotified(now = Date.now()) {
+    this.observation.summaryNotifiedAt = new Date(now).toISOString();
+  }
+
+  /**
+   * Average daily play per child and game since observing started, with a
+   * suggested daily limit for each
+   *
+   * @param {Object[]} sessions - finished play sessions (PlaytimeStore)
+   * @returns {Object} { startedAt, days, ready, detections,
+   *   children: { childId: [{ game, sessions, totalMinutes, averageMinutes, suggestedMinutes }] } }
+   */
+  summarize(sessions, now = Date.now()) {
+    const { startedAt } = this.observation;
+    const summary = { startedAt, days: 0, ready: false, detections: this.observation.events.length, children: {} };
+    if (!startedAt) {
+      return summary;
+    }
+
+    const start = Date.parse(startedAt);
+    summary.days = Math.max(1, Math.ceil((now - start) / DAY_MS));
+    summary.ready = now - start >= OBSERVATION_DAYS * DAY_MS;
+
+    const totals = new Map(); // childId -> game -> { sessions, seconds }
+    for (const session of sessions) {
+      if (!session.childId || !session.game || Date.parse(session.start) < start) {
+        continue;
+      }
+      const games = totals.get(session.childId) || new Map();
+      const total = games.get(session.game) || { sessions: 0, seconds: 0 };
+      total.sessions++;
+      total.seconds += session.duration;
+      games.set(session.game, total);
+      totals.set(session.childId, games);
+    }
+
+    for (const [childId, games] of totals) {
+      summary.children[childId] = [...games].map(([game, total]) => {
+        const averageMinutes = Math.round(total.seconds / 60 / summary.days);
+        return {
+          game,
+          sessions: total.sessions,
+          totalMinutes: Math.round(total.seconds / 60),
+          averageMinutes,
+          suggestedMinutes: suggestLimit(averageMinutes)
+        };
+      }).sort((a, b) => b.totalMinutes - a.totalMinutes);
+    }
+
+    return summary;
+  }
+}
+
+/**
+ * Suggested daily limit for an observed daily average: the average rounded
+ * up to the next 15 minutes, at least 15
+ */
+export function suggestLimit(averageMinutes) {
+  return Math.max(LIMIT_STEP_MINUTES, Math.ceil(averageMinutes / LIMIT_STEP_MINUTES) * LIMIT_STEP_MINUTES);
+}
@@ -0,0 +1,160 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import { toDateKey } from './GameUsageTracker.js';
+
+const SESSION_RETENTION_DAYS = 90;
+
+/**
+ * Playtime Store
+ *
+ * Keeps the finished play sessions (one per game played by a child on a
+ * device, however many of its processes ran) in a plain array persisted
+ * with the plugin state, and answers playtime queries: filtered session
+ * lists and per-day rollups per child.
+ */
+export default class PlaytimeStore {
+  constructor(sessions = []) {
+    this.sessions = sessions;
+  }
+
+  /**
+   * Record a finished session from a GameUsageTracker entry
+   *
+   * @param {Object} entry - { agentId, processName, childId, game, startedAt }
+   * @param {Object} [details] - { hostname, endedAt }
+   */
+  record(entry, { hostname, endedAt = Date.now() } = {}) {
+    const start = entry.startedAt;
+    const end = Math.max(start, new Date(endedAt).getTime());
+
+    const session = {
+      id: `${start}-${Math.random().toString(36).substr(2, 9)}`,
+      agentId: entry.agentId,
+      agentHostname: hostname || 'Unknown',
+      childId: entry.childId || null,
+      game: entry.game,
+      processName: entry.processName,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      duration: Math.round((end - start) / 1000)
+    };
+
+    this.sessions.push(session);
+    this.prune(end);
+    return session;
+  }
+
+  /**
+   * Sessions overlapping a date range, filtered by child/agent/game
+   *
+   * `from`/`to` accept anything Date can parse; a bare `YYYY-MM-DD` means
+   * the start (from) or end (to) of that local day.
+   */
+  query({ childId, agentId, game, from, to } = {}) {
+    const fromTime = parseBoundary(from, false);
+    const toTime = parseBoundary(to, true);
+
+    return this.sessions.filter(session => {
+      if (childId && session.childId !== childId) return false;
+      if (agentId && session.agentId !== agentId) return false;
+      if (game && session.game !== game) return false;
+      if (fromTime !== null && new Date(session.end).getTime() < fromTime) return false;
+      if (toTime !== null && new Date(session.start).getTime() > toTime) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Roll sessions up into per-day, per-child totals
+   *
+   * Sessions spanning midnight are split between the days. Only the part of
+   * each session inside [from, to] is counted.
+   *
+   * @returns {Array} [{ date, childId, totalSeconds, games: {}, agents: {} }]
+   */
+  rollup(filters = {}) {
+    const fromTime = parseBoundary(filters.from, false);
+    const toTime = parseBoundary(filters.to, true);
+    const days = new Map();
+
+    for (const session of this.query(filters)) {
+      let from = new Date(session.start).getTime();
+      let until = new Date(session.end).getTime();
+      if (fromTime !== null) from = Math.max(from, fromTime);
+      if (toTime !== null) until = Math.min(until, toTime);
+
+      while (from < until) {
+        const nextMidnight = new Date(from);
+        nextMidnight.setHours(24, 0, 0, 0);
+        const end = Math.min(until, nextMidnight.getTime());
+        const seconds = Math.round((end - from) / 1000);
+
+        const key = `${toDateKey(from)}|${session.childId}`;
+        if (!days.has(key)) {
+          days.set(key, {
+            date: toDateKey(from),
+            childId: session.childId,
+            totalSeconds: 0,
+            games: {},
+            agents: {}
+          });
+        }
+
+        const day = days.get(key);
+        day.totalSeconds += seconds;
+        day.games[session.game] = (day.games[session.game] || 0) + seconds;
+        day.agents[session.agentId] = (day.agents[session.agentId] || 0) + seconds;
+
+        from = end;
+      }
+    }
+
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Remove every session (optionally only a child's)
+   */
+  clear(childId) {
+    const kept = childId ? this.sessions.filter(s => s.childId !== childId) : [];
+    this.sessions.splice(0, this.sessions.length, ...kept);
+  }
+
+  /**
+   * Drop sessions that ended before the retention window
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const kept = this.sessions.filter(session => new Date(session.end).getTime() >= cutoff);
+    if (kept.length !== this.sessions.length) {
+      this.sessions.splice(0, this.sessions.length, ...kept);
+    }
+  }
+}
+
+/**
+ * Parse a query date boundary; a bare `YYYY-MM-DD` means the start (or,
+ * with endOfDay, the end) of that local day
+ *
+ * @returns {number|null} milliseconds, or null when not set or invalid
+ */
+export function parseBoundary(value, endOfDay) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const dayMatch = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dayMatch) {
+    const [, year, month, day] = dayMatch.map(Number);
+    return endOfDay
+      ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime()
+      : new Date(year, month - 1, day).getTime();
+  }
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
@@ -0,0 +1,128 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import { toDateKey } from './GameUsageTracker.js';
+
+export const TREND_DAYS = 7;
+export const TREND_WEEKS = 8;
+export const HEATMAP_DAYS = 28;
+const TOP_GAMES = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Playtime Trends
+ *
+ * Aggregates play sessions (finished ones, plus running games counted up
+ * to now) for the status dashboard, optionally for one child:
+ *
+ *   { generatedAt,
+ *     games: [game, ...] every game shown, most played first,
+ *     daily: [{ date, games: { game: seconds } }] the last 7 days,
+ *     weekly: [{ weekStart, games: { game: seconds } }] the last 8 weeks
+ *       (Monday to Sunday),
+ *     heatmap: [7 days (Sunday first) x 24 hours of seconds] over the last
+ *       28 days,
+ *     topGames: [{ game, seconds }] the 5 most played in the last 7 days }
+ *
+ * Time is split at hour boundaries in local time, so a session spanning
+ * midnight counts towards both days.
+ */
+export function buildTrends(sessions, { childId, now = Date.now() } = {}) {
+  const today = startOfDay(now);
+  const dailyFrom = addDays(today, -(TREND_DAYS - 1));
+  const weeklyFrom = addDays(startOfWeek(now), -7 * (TREND_WEEKS - 1));
+  const heatmapFrom = addDays(today, -(HEATMAP_DAYS - 1));
+  const from = Math.min(weeklyFrom, heatmapFrom);
+
+  const daily = [];
+  for (let day = 0; day < TREND_DAYS; day++) {
+    daily.push({ date: toDateKey(addDays(dailyFrom, day)), games: {} });
+  }
+  const weekly = [];
+  for (let week = 0; week < TREND_WEEKS; week++) {
+    weekly.push({ weekStart: toDateKey(addDays(weeklyFrom, 7 * week)), games: {} });
+  }
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const totals = new Map(); // game -> seconds shown anywhere
+  const recent = new Map(); // game -> seconds in the last 7 days
+
+  for (const session of sessions) {
+    if (childId && session.childId !== childId) {
+      continue;
+    }
+
+    const start = Math.max(Date.parse(session.start), from);
+    const end = Math.min(Date.parse(session.end), now);
+    for (const { time, seconds } of splitByHour(start, end)) {
+      const { game } = session;
+      const date = new Date(time);
+      totals.set(game, (totals.get(game) || 0) + seconds);
+
+      if (time >= dailyFrom) {
+        const day = daily[Math.round((startOfDay(time) - dailyFrom) / (24 * HOUR_MS))];
+        day.games[game] = (day.games[game] || 0) + seconds;
+        recent.set(game, (recent.get(game) || 0) + seconds);
+      }
+      if (time >= weeklyFrom) {
+        const week = weekly[Math.floor(Math.round((startOfDay(time) - weeklyFrom) / (24 * HOUR_MS)) / 7)];
+        week.games[game] = (week.games[game] || 0) + seconds;
+      }
+      if (time >= heatmapFrom) {
+        heatmap[date.getDay()][date.getHours()] += seconds;
+      }
+    }
+  }
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    games: [...totals].sort((a, b) => b[1] - a[1]).map(([game]) => game),
+    daily,
+    weekly,
+    heatmap,
+    topGames: [...recent]
+      .map(([game, seconds]) => ({ game, seconds }))
+      .sort((a, b) => b.seconds - a.seconds)
+      .slice(0, TOP_GAMES)
+  };
+}
+
+/**
+ * Split a time range at local hour boundaries
+ *
+ * @returns {Array} [{ time, seconds }] where time is the start of each part
+ */
+export function splitByHour(start, end) {
+  const parts = [];
+  let from = start;
+  while (from < end) {
+    const nextHour = new Date(from);
+    nextHour.setMinutes(60, 0, 0);
+    const until = Math.min(end, nextHour.getTime());
+    parts.push({ time: from, seconds: Math.round((until - from) / 1000) });
+    from = until;
+  }
+  return parts;
+}
+
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Weeks start on Monday
+function startOfWeek(time) {
+  const date = new Date(startOfDay(time));
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+}
+
+function addDays(time, days) {
+  const date = new Date(time);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
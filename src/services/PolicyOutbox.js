@@ -0,0 +1,125 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+/**
+ * Policy Outbox
+ *
+ * Per-agent queue of policy changes that could not be delivered (the agent
+ * was offline or the call failed), kept in a plain object persisted with
+ * the plugin state:
+ *
+ *   { agentId: [{ id, type, processName, policy, queuedAt, attempts, lastError }] }
+ *
+ * `type` is 'create', 'update' or 'delete'. Changes are replayed in the
+ * order they were queued; a later change to the same process is folded
+ * into the pending one where that keeps the same end result.
+ */
+export default class PolicyOutbox {
+  constructor(outbox = {}) {
+    this.outbox = outbox;
+  }
+
+  /**
+   * Queue a change for an agent
+   *
+   * @param {string} agentId
+   * @param {Object} change - { type, processName, policy }
+   */
+  enqueue(agentId, { type, processName, policy = null }) {
+    const pending = this.outbox[agentId] || [];
+    const last = findLast(pending, op => op.processName === processName);
+
+    if (last && last.type !== 'delete') {
+      if (type === 'delete' && last.type === 'create') {
+        // Never delivered, so there is nothing to delete
+        pending.splice(pending.indexOf(last), 1);
+      } else {
+        // A pending create stays a create, now with the latest policy
+        last.type = last.type === 'create' ? 'create' : type;
+        last.policy = policy;
+        last.queuedAt = new Date().toISOString();
+      }
+    } else {
+      pending.push(createOp(type, processName, policy));
+    }
+
+    if (pending.length > 0) {
+      this.outbox[agentId] = pending;
+    } else {
+      delete this.outbox[agentId];
+    }
+  }
+
+  /**
+   * Pending changes for an agent, oldest first
+   */
+  getPending(agentId) {
+    return this.outbox[agentId] || [];
+  }
+
+  getPendingCount(agentId) {
+    return this.getPending(agentId).length;
+  }
+
+  /**
+   * Deliver an agent's pending changes in order, stopping at the first
+   * failure so later changes never overtake it
+   *
+   * @param {string} agentId
+   * @param {Function} deliver - async (op) => void, throws on failure
+   * @returns {Promise<Object>} { replayed, pending }
+   */
+  async replay(agentId, deliver) {
+    const pending = this.getPending(agentId);
+    let replayed = 0;
+
+    while (pending.length > 0) {
+      const op = pending[0];
+      try {
+        await deliver(op);
+      } catch (error) {
+        op.attempts++;
+        op.lastError = error.message;
+        break;
+      }
+      pending.shift();
+      replayed++;
+    }
+
+    if (pending.length === 0) {
+      delete this.outbox[agentId];
+    }
+    return { replayed, pending: pending.length };
+  }
+
+  /**
+   * Drop an agent's pending changes
+   */
+  clear(agentId) {
+    delete this.outbox[agentId];
+  }
+}
+
+function createOp(type, processName, policy) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type,
+    processName,
+    policy,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: null
+  };
+}
+
+function findLast(items, predicate) {
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (predicate(items[i])) {
+      return items[i];
+    }
+  }
+  return null;
+}
@@ -0,0 +1,247 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import PolicyOutbox from './PolicyOutbox.js';
+
+export const PLUGIN_NAME = '@allow2/allow2automate-epic';
+
+/**
+ * Policy Reconciler
+ *
+ * Brings an agent's Epic policies in line with a desired set, making only
+ * the create/update/delete calls needed, so running it again with the same
+ * desired set does nothing. Policies are identified by processName; only
+ * policies owned by this plugin (metadata.plugin) are ever deleted.
+ *
+ * The current policies come from the agent (`agentService.listPolicies`)
+ * when it supports that, otherwise from the set last applied, which is
+ * kept per agent in the object passed in (persisted with the plugin state).
+ *
+ * Changes for an offline agent, and everything after a failed call, go to
+ * the agent's outbox instead. They count as applied and are replayed in
+ * order before the agent's next online run (or on `flush`).
+ */
+const COUNTERS = { create: 'created', update: 'updated', delete: 'deleted' };
+
+export default class PolicyReconciler {
+  /**
+   * @param {Object} agentService
+   * @param {Object} [applied] - agentId -> policies last applied, mutated in place
+   * @param {PolicyOutbox} [outbox] - changes waiting for an agent to come back
+   */
+  constructor(agentService, applied = {}, outbox = new PolicyOutbox()) {
+    this.agentService = agentService;
+    this.applied = applied;
+    this.outbox = outbox;
+    this.queues = new Map(); // agentId -> promise of the running reconcile
+  }
+
+  /**
+   * Reconcile one agent; runs for the same agent are queued
+   *
+   * @param {string} agentId
+   * @param {Object[]} desired - full policy objects
+   * @param {Object} [options] - { offline } queues every change instead of
+   *   calling the agent
+   * @returns {Promise<Object>} { created, updated, deleted, unchanged, failed,
+   *   queued, replayed, pending }
+   */
+  reconcile(agentId, desired, { offline = false } = {}) {
+    return this.schedule(agentId, () => this.run(agentId, desired, offline));
+  }
+
+  async run(agentId, desired, offline) {
+    const result = {
+      created: 0, updated: 0, deleted: 0, unchanged: 0, failed: 0, queued: 0, replayed: 0, pending: 0
+    };
+
+    if (!offline && this.outbox.getPendingCount(agentId) > 0) {
+      const replay = await this.outbox.replay(agentId, change => this.deliver(agentId, change));
+      result.replayed = replay.replayed;
+      // Newer changes must not overtake the ones still waiting
+      offline = replay.pending > 0;
+    }
+
+    const actual = offline ? this.getApplied(agentId) : await this.getActualPolicies(agentId);
+    const plan = diffPolicies(desired, actual);
+    result.unchanged = plan.unchanged.length;
+
+    // What is on the agent once its outbox has been delivered
+    const applied = new Map(actual.map(policy => [policy.processName, policy]));
+
+    const changes = [
+      ...plan.remove.map(policy => ({ type: 'delete', processName: policy.processName })),
+      ...plan.update.map(policy => ({ type: 'update', processName: policy.processName, policy })),
+      ...plan.create.map(policy => ({ type: 'create', processName: policy.processName, policy }))
+    ];
+
+    for (const change of changes) {
+      if (!offline) {
+        try {
+          await this.deliver(agentId, change);
+          result[COUNTERS[change.type]]++;
+        } catch (error) {
+          console.error(`[Epic] Failed to ${change.type} policy ${change.processName} on agent ${agentId}:`, error);
+          result.failed++;
+          offline = true;
+        }
+      }
+
+      if (offline) {
+        this.outbox.enqueue(agentId, change);
+        result.queued++;
+      }
+
+      if (change.type === 'delete') {
+        applied.delete(change.processName);
+      } else {
+        applied.set(change.processName, change.policy);
+      }
+    }
+
+    if (applied.size > 0) {
+      this.applied[agentId] = [...applied.values()];
+    } else {
+      delete this.applied[agentId];
+    }
+
+    result.pending = this.outbox.getPendingCount(agentId);
+    return result;
+  }
+
+  /**
+   * Deliver any queued changes to an agent that is back online
+   *
+   * @returns {Promise<Object>} { replayed, pending }
+   */
+  flush(agentId) {
+    return this.schedule(agentId, () => this.outbox.replay(agentId, change => this.deliver(agentId, change)));
+  }
+
+  /**
+   * Run a task after any queued for the same agent
+   */
+  schedule(agentId, task) {
+    const previous = this.queues.get(agentId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+
+    this.queues.set(agentId, run);
+    run.catch(() => {}).then(() => {
+      if (this.queues.get(agentId) === run) {
+        this.queues.delete(agentId);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Number of changes waiting for an agent
+   */
+  getPendingCount(agentId) {
+    return this.outbox.getPendingCount(agentId);
+  }
+
+  /**
+   * Make one change on an agent
+   */
+  async deliver(agentId, { type, processName, policy }) {
+    if (type === 'create') {
+      await this.agentService.createPolicy(agentId, policy);
+    } else if (type === 'update') {
+      await this.agentService.updatePolicy(agentId, policy);
+    } else {
+      await this.agentService.deletePolicy(agentId, processName);
+    }
+  }
+
+  /**
+   * Policies last applied to an agent
+   */
+  getApplied(agentId) {
+    return this.applied[agentId] || [];
+  }
+
+  /**
+   * This plugin's policies currently on an agent
+   */
+  async getActualPolicies(agentId) {
+    if (typeof this.agentService.listPolicies !== 'function') {
+      return this.getApplied(agentId);
+    }
+
+    const policies = await this.agentService.listPolicies(agentId);
+    return (policies || []).filter(policy => policy.metadata?.plugin === PLUGIN_NAME);
+  }
+}
+
+/**
+ * Work out the calls needed to turn the actual policy set into the
+ * desired one
+ *
+ * Duplicates of a process on the agent are deleted (by name, which removes
+ * every copy) and the desired policy created again.
+ *
+ * @returns {Object} { create, update, remove, unchanged }
+ */
+export function diffPolicies(desired, actual) {
+  const plan = { create: [], update: [], remove: [], unchanged: [] };
+
+  const actualByName = new Map();
+  for (const policy of actual) {
+    const copies = actualByName.get(policy.processName) || [];
+    copies.push(policy);
+    actualByName.set(policy.processName, copies);
+  }
+
+  const desiredByName = new Map();
+  for (const policy of desired) {
+    desiredByName.set(policy.processName, policy); // last one wins
+  }
+
+  for (const [processName, policy] of desiredByName) {
+    const copies = actualByName.get(processName) || [];
+    if (copies.length === 0) {
+      plan.create.push(policy);
+    } else if (copies.length > 1) {
+      plan.remove.push(copies[0]);
+      plan.create.push(policy);
+    } else if (isSamePolicy(policy, copies[0])) {
+      plan.unchanged.push(policy);
+    } else {
+      plan.update.push(policy);
+    }
+  }
+
+  for (const [processName, copies] of actualByName) {
+    if (!desiredByName.has(processName)) {
+      plan.remove.push(copies[0]);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Whether an agent's policy already matches a desired one
+ *
+ * Only the desired policy's fields are compared, so fields the agent adds
+ * (ids, timestamps) don't count as differences.
+ */
+export function isSamePolicy(desired, actual) {
+  return Object.keys(desired).every(key => stableStringify(desired[key]) === stableStringify(actual[key]));
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return value === undefined ? 'null' : JSON.stringify(value);
+}
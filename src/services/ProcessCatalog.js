@@ -0,0 +1,312 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import { getBaseName, validateRule } from './ProcessMatcher.js';
+
+/**
+ * Bumped whenever the built-in entries change, so persisted policies can
+ * tell which catalog they were generated from.
+ */
+export const CATALOG_VERSION = 2;
+
+export const PLATFORMS = ['win32', 'darwin', 'linux'];
+
+export const ENTRY_TYPES = ['launcher', 'helper', 'game'];
+
+/**
+ * Built-in Epic Games processes
+ *
+ * - launcher: the store/launcher itself
+ * - helper: processes the launcher starts alongside it
+ * - game: individual titles (appName is the Epic AppName, when known)
+ *
+ * `rules` are extra ProcessMatcher rules on top of the exact process names.
+ */
+const BUILT_IN_ENTRIES = [
+  {
+    id: 'epic-games-launcher',
+    name: 'Epic Games Launcher',
+    type: 'launcher',
+    processes: {
+      win32: ['EpicGamesLauncher.exe', 'UnrealEngineLauncher-Win64-Shipping.exe'],
+      darwin: ['EpicGamesLauncher', 'Epic Games Launcher.app'],
+      linux: ['EpicGamesLauncher', 'EpicGamesLauncher.exe']
+    },
+    rules: [
+      { kind: 'glob', pattern: '*/Epic Games/Launcher/*' } // Any launcher binary
+    ]
+  },
+  {
+    id: 'legendary',
+    name: 'Legendary',
+    type: 'launcher',
+    processes: {
+      linux: ['legendary'] // Open-source alternative
+    }
+  },
+  {
+    id: 'heroic',
+    name: 'Heroic Games Launcher',
+    type: 'launcher',
+    processes: {
+      linux: ['heroic'] // Drives legendary
+    }
+  },
+  {
+    id: 'epic-web-helper',
+    name: 'Epic Web Helper',
+    type: 'helper',
+    processes: {
+      win32: ['EpicWebHelper.exe'],
+      darwin: ['EpicWebHelper'],
+      linux: ['EpicWebHelper.exe']
+    }
+  },
+  {
+    id: 'epic-online-services',
+    name: 'Epic Online Services',
+    type: 'helper',
+    processes: {
+      win32: ['EpicOnlineServicesHost.exe', 'EpicOnlineServicesUserHelper.exe'],
+      linux: ['EpicOnlineServicesHost.exe']
+    }
+  },
+  {
+    id: 'fortnite',
+    name: 'Fortnite',
+    type: 'game',
+    appName: 'Fortnite',
+    processes: {
+      win32: ['FortniteClient-Win64-Shipping.exe', 'FortniteLauncher.exe'],
+      darwin: ['Fortnite.app', 'FortniteClient'],
+      linux: ['FortniteClient-Linux-Shipping', 'Fortnite']
+    },
+    rules: [
+      { kind: 'glob', pattern: 'FortniteClient-*-Shipping*' }, // Including the EAC/BE variants
+      { kind: 'argument', pattern: '-epicapp=Fortnite' }
+    ]
+  },
+  {
+    id: 'rocket-league',
+    name: 'Rocket League',
+    type: 'game',
+    appName: 'Sugar',
+    processes: {
+      win32: ['RocketLeague.exe'],
+      darwin: ['RocketLeague.app', 'RocketLeague'],
+      linux: ['RocketLeague', 'RocketLeague.exe']
+    },
+    rules: [
+      { kind: 'argument', pattern: '-epicapp=Sugar' }
+    ]
+  },
+  {
+    id: 'fall-guys',
+    name: 'Fall Guys',
+    type: 'game',
+    processes: {
+      win32: ['FallGuys_client_game.exe'],
+      linux: ['FallGuys_client_game.exe']
+    }
+  }
+];
+
+/**
+ * Epic Process Catalog
+ *
+ * The single source of Epic launcher, helper and game process names used
+ * for policy generation and for matching agent reports. Parents can add
+ * custom entries for titles the built-in list doesn't know; those are kept
+ * in the array passed in, which is persisted with the plugin state.
+ */
+export default class ProcessCatalog {
+  constructor(customEntries = []) {
+    this.customEntries = customEntries;
+    this.version = CATALOG_VERSION;
+  }
+
+  /**
+   * Every entry, built-in first
+   */
+  getEntries() {
+    return [
+      ...BUILT_IN_ENTRIES.map(entry => ({ ...entry, custom: false })),
+      ...this.customEntries.map(entry => ({ ...entry, custom: true }))
+    ];
+  }
+
+  /**
+   * Entries of some types that have processes on a platform
+   */
+  getEntriesFor(platform, types = ENTRY_TYPES) {
+    platform = resolvePlatform(platform);
+    return this.getEntries().filter(entry =>
+      types.includes(entry.type) && getEntryProcesses(entry, platform).length > 0
+    );
+  }
+
+  /**
+   * Process names for a platform, grouped the way policies are built:
+   * launchers (including helpers) and games. Unknown platforms get the
+   * Windows names.
+   */
+  getProcessNames(platform) {
+    platform = resolvePlatform(platform);
+
+    const names = types => unique(
+      this.getEntriesFor(platform, types).flatMap(entry => getEntryProcesses(entry, platform))
+    );
+
+    return {
+      launcher: names(['launcher', 'helper']),
+      games: names(['game'])
+    };
+  }
+
+  /**
+   * Games with their process names on a platform
+   */
+  getGames(platform) {
+    platform = resolvePlatform(platform);
+    return this.getEntriesFor(platform, ['game']).map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      appName: entry.appName || null,
+      processNames: getEntryProcesses(entry, platform),
+      custom: entry.custom
+    }));
+  }
+
+  /**
+   * Find the entry a process belongs to (case-insensitive, path ignored)
+   *
+   * @param {string} processName
+   * @param {string} [platform] - restrict to one platform's process names
+   */
+  findByProcess(processName, platform) {
+    const name = getBaseName(processName).toLowerCase();
+    const platforms = platform ? [platform] : PLATFORMS;
+
+    return this.getEntries().find(entry =>
+      platforms.some(p => getEntryProcesses(entry, p).some(candidate => candidate.toLowerCase() === name))
+    ) || null;
+  }
+
+  /**
+   * Add a custom entry
+   *
+   * @returns {Object} the stored entry
+   * @throws {Error} when the entry is invalid
+   */
+  addCustomEntry(entry) {
+    const error = validateCatalogEntry(entry);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const stored = {
+      id: entry.id || `custom-${slugify(entry.name)}-${Math.random().toString(36).substr(2, 6)}`,
+      name: entry.name.trim(),
+      type: entry.type,
+      appName: entry.appName || null,
+      processes: {},
+      rules: (entry.rules || []).map(rule => ({ ...rule, pattern: rule.pattern.trim() }))
+    };
+    for (const platform of PLATFORMS) {
+      const names = (entry.processes[platform] || [])
+        .filter(name => typeof name === 'string')
+        .map(name => name.trim())
+        .filter(Boolean);
+      if (names.length > 0) {
+        stored.processes[platform] = names;
+      }
+    }
+
+    const existing = this.customEntries.findIndex(e => e.id === stored.id);
+    if (existing >= 0) {
+      this.customEntries.splice(existing, 1, stored);
+    } else {
+      this.customEntries.push(stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Remove a custom entry; built-in entries cannot be removed
+   *
+   * @returns {boolean} whether an entry was removed
+   */
+  removeCustomEntry(id) {
+    const index = this.customEntries.findIndex(entry => entry.id === id);
+    if (index < 0) {
+      return false;
+    }
+    this.customEntries.splice(index, 1);
+    return true;
+  }
+}
+
+/**
+ * Validate a custom catalog entry received from the renderer
+ *
+ * @returns {string|null} an error message, or null when valid
+ */
+export function validateCatalogEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return 'Entry must be an object';
+  }
+  if (typeof entry.name !== 'string' || !entry.name.trim()) {
+    return 'Entry name is required';
+  }
+  if (!ENTRY_TYPES.includes(entry.type)) {
+    return `Entry type must be one of: ${ENTRY_TYPES.join(', ')}`;
+  }
+  if (!entry.processes || typeof entry.processes !== 'object') {
+    return 'Entry processes are required';
+  }
+
+  const hasProcess = PLATFORMS.some(platform => {
+    const names = entry.processes[platform];
+    return Array.isArray(names) && names.some(name => typeof name === 'string' && name.trim());
+  });
+  if (!hasProcess) {
+    return 'Entry needs at least one process name';
+  }
+
+  if (entry.rules !== undefined) {
+    if (!Array.isArray(entry.rules)) {
+      return 'Entry rules must be a list';
+    }
+    for (const rule of entry.rules) {
+      const error = validateRule(rule);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  if (BUILT_IN_ENTRIES.some(builtIn => builtIn.id === entry.id)) {
+    return 'Built-in entries cannot be replaced';
+  }
+
+  return null;
+}
+
+function resolvePlatform(platform) {
+  return PLATFORMS.includes(platform) ? platform : 'win32';
+}
+
+function getEntryProcesses(entry, platform) {
+  return entry.processes[platform] || [];
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
@@ -0,0 +1,259 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+export const RULE_KINDS = ['exact', 'glob', 'regex', 'path', 'argument'];
+
+/**
+ * Process names that look like Epic but are not, excluded everywhere
+ */
+const BUILT_IN_EXCLUSIONS = [
+  { kind: 'exact', pattern: 'EpicPen.exe' }, // Epic Pen screen annotation tool
+  { kind: 'exact', pattern: 'EpicPen' }
+];
+
+/**
+ * Arguments the Epic launcher passes to every game it starts
+ */
+export const EPIC_LAUNCH_ARGUMENTS = [
+  { kind: 'argument', pattern: '-epicapp=*' },
+  { kind: 'argument', pattern: '-EpicPortal' },
+  { kind: 'argument', pattern: '-epicusername=*' }
+];
+
+/**
+ * Process Matcher
+ *
+ * Decides whether a process reported by an agent belongs to a catalog
+ * entry. Each entry matches on its exact process names plus any extra
+ * rules it declares:
+ *
+ * - exact:    process name, case-insensitive
+ * - glob:     process name (or full path when the pattern has a separator)
+ *             with `*` and `?` wildcards
+ * - regex:    JavaScript regular expression against the process name
+ * - path:     executable path prefix, e.g. an install directory
+ * - argument: a command-line argument, e.g. `-epicapp=Fortnite` (may use
+ *             `*` wildcards)
+ *
+ * Rules with `exclude: true` stop their entry from matching; global
+ * exclusions stop every entry from matching.
+ */
+export default class ProcessMatcher {
+  /**
+   * @param {ProcessCatalog} catalog
+   * @param {Object[]} [exclusions] - custom global exclusion rules (persisted)
+   */
+  constructor(catalog, exclusions = []) {
+    this.catalog = catalog;
+    this.exclusions = exclusions;
+  }
+
+  /**
+   * Find the catalog entry a process belongs to
+   *
+   * @param {Object|string} processData - agent report ({ processName, path,
+   *   commandLine | args }) or a bare process name
+   * @param {string} [platform] - only use this platform's rules
+   * @returns {Object|null} { entry, rule } or null
+   */
+  match(processData, platform) {
+    const process = normalizeProcess(processData);
+    if (!process.name && !process.path) {
+      return null;
+    }
+
+    if (this.getExclusions(platform).some(rule => testRule(rule, process))) {
+      return null;
+    }
+
+    for (const entry of this.catalog.getEntries()) {
+      const rules = this.getRules(entry, platform);
+      if (rules.some(rule => rule.exclude && testRule(rule, process))) {
+        continue;
+      }
+
+      const rule = rules.find(r => !r.exclude && testRule(r, process));
+      if (rule) {
+        return { entry, rule };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect a game started by the Epic launcher from its command-line
+   * arguments, whether or not the catalog knows it
+   *
+   * @returns {Object|null} { appName } (null appName when the launcher
+   *   didn't pass `-epicapp=`), or null when not launched by Epic
+   */
+  matchEpicLaunch(processData) {
+    const process = normalizeProcess(processData);
+    if (this.getExclusions().some(rule => testRule(rule, process))) {
+      return null;
+    }
+    if (!EPIC_LAUNCH_ARGUMENTS.some(rule => testRule(rule, process))) {
+      return null;
+    }
+
+    return { appName: getEpicAppName(process.args) };
+  }
+
+  /**
+   * Every rule for an entry: its process names as exact rules, then its
+   * declared rules
+   *
+   * @param {string} [platform] - omit for every platform
+   */
+  getRules(entry, platform) {
+    const platforms = platform ? [platform] : Object.keys(entry.processes || {});
+    const exact = platforms.flatMap(p => entry.processes?.[p] || [])
+      .map(pattern => ({ kind: 'exact', pattern }));
+    const declared = (entry.rules || [])
+      .filter(rule => !platform || !rule.platforms || rule.platforms.includes(platform));
+
+    return [...exact, ...declared];
+  }
+
+  /**
+   * Built-in and custom global exclusions
+   */
+  getExclusions(platform) {
+    return [...BUILT_IN_EXCLUSIONS, ...this.exclusions]
+      .filter(rule => !platform || !rule.platforms || rule.platforms.includes(platform));
+  }
+}
+
+/**
+ * Validate a rule received from the renderer
+ *
+ * @returns {string|null} an error message, or null when valid
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return 'Rule must be an object';
+  }
+  if (!RULE_KINDS.includes(rule.kind)) {
+    return `Rule kind must be one of: ${RULE_KINDS.join(', ')}`;
+  }
+  if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+    return 'Rule pattern is required';
+  }
+  if (rule.kind === 'regex') {
+    try {
+      RegExp(rule.pattern, rule.flags || 'i');
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  if (rule.platforms !== undefined && !Array.isArray(rule.platforms)) {
+    return 'Rule platforms must be a list';
+  }
+  return null;
+}
+
+/**
+ * Test one rule against a normalized process
+ */
+export function testRule(rule, process) {
+  switch (rule.kind) {
+    case 'exact':
+      return !!process.name && process.name.toLowerCase() === rule.pattern.toLowerCase();
+
+    case 'glob': {
+      const usesPath = /[\\/]/.test(rule.pattern);
+      const subject = usesPath ? normalizePath(process.path) : process.name;
+      const pattern = usesPath ? normalizePath(rule.pattern) : rule.pattern;
+      return !!subject && globToRegExp(pattern).test(subject);
+    }
+
+    case 'regex':
+      return !!process.name && new RegExp(rule.pattern, rule.flags || 'i').test(process.name);
+
+    case 'path': {
+      const path = normalizePath(process.path);
+      const prefix = normalizePath(rule.pattern).replace(/\/?$/, '/');
+      return !!path && path.startsWith(prefix);
+    }
+
+    case 'argument': {
+      const matcher = globToRegExp(rule.pattern);
+      return process.args.some(arg => matcher.test(arg));
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Read the Epic AppName from `-epicapp=<AppName>`
+ *
+ * @returns {string|null}
+ */
+export function getEpicAppName(args) {
+  for (const arg of args) {
+    const match = String(arg).match(/^-epicapp=(.+)$/i);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize an agent process report
+ *
+ * @returns {Object} { name, path, args }
+ */
+export function normalizeProcess(processData) {
+  const data = typeof processData === 'string' ? { processName: processData } : (processData || {});
+  const path = data.path || data.executablePath ||
+    (/[\\/]/.test(data.processName || '') ? data.processName : null);
+  const name = getBaseName(data.processName || path || '');
+
+  let args = [];
+  if (Array.isArray(data.args)) {
+    args = data.args.map(String);
+  } else if (typeof data.commandLine === 'string') {
+    args = splitCommandLine(data.commandLine);
+  }
+
+  return { name, path, args };
+}
+
+/**
+ * The file name at the end of a path using either separator ('' for none)
+ */
+export function getBaseName(value) {
+  const parts = String(value || '').split(/[\\/]/).filter(Boolean);
+  return parts.length > 0 ? parts[parts.length - 1] : '';
+}
+
+/**
+ * Split a command line into arguments, honouring double quotes
+ */
+export function splitCommandLine(commandLine) {
+  const tokens = commandLine.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+  return tokens.map(token => token.replace(/"/g, ''));
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function normalizePath(value) {
+  return value ? value.replace(/\\/g, '/').toLowerCase() : '';
+}
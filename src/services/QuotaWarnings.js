@@ -0,0 +1,130 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+/**
+ * Quota Warnings
+ *
+ * Decides when a child should be warned that their time is running out and
+ * tracks the grace period granted once it has run out. Each quota is
+ * identified by a key: `${childId}:allow2` for the child's Allow2 quota or
+ * `${childId}:game:${game}` for a per-game daily limit.
+ */
+export default class QuotaWarnings {
+  constructor() {
+    this.fired = new Map(); // key -> Set of thresholds (minutes) already warned about
+    this.grace = new Map(); // key -> { endsAt, expired }
+  }
+
+  /**
+   * Check a quota's remaining time against the warning thresholds
+   *
+   * Thresholds re-arm when the remaining time goes back above them (e.g.
+   * the parent added time).
+   *
+   * @param {string} key
+   * @param {number} remainingSeconds
+   * @param {number[]} thresholds - minutes before the quota runs out
+   * @returns {number|null} the most urgent newly crossed threshold, or null
+   */
+  check(key, remainingSeconds, thresholds = []) {
+    const fired = this.fired.get(key) || new Set();
+
+    for (const threshold of [...fired]) {
+      if (remainingSeconds > threshold * 60) {
+        fired.delete(threshold);
+      }
+    }
+
+    if (remainingSeconds <= 0) {
+      this.fired.set(key, fired);
+      return null;
+    }
+
+    const crossed = thresholds.filter(threshold => remainingSeconds <= threshold * 60);
+    const fresh = crossed.filter(threshold => !fired.has(threshold));
+    crossed.forEach(threshold => fired.add(threshold));
+    this.fired.set(key, fired);
+
+    return fresh.length > 0 ? Math.min(...fresh) : null;
+  }
+
+  /**
+   * Start the grace period for a quota that ran out
+   *
+   * Calling it again for the same key keeps the original end time.
+   *
+   * @param {string} key
+   * @param {number} minutes
+   * @param {Object} [details] - returned with the key by takeExpired()
+   * @returns {Object} { endsAt, expired, started } where `started` is true
+   *   only on the call that started it
+   */
+  startGrace(key, minutes, details = {}, now = Date.now()) {
+    const existing = this.grace.get(key);
+    if (existing) {
+      return { ...existing, started: false };
+    }
+
+    const entry = { endsAt: now + minutes * 60 * 1000, expired: false, details };
+    this.grace.set(key, entry);
+    return { ...entry, started: true };
+  }
+
+  /**
+   * Whether a quota is inside a running grace period
+   */
+  isInGrace(key, now = Date.now()) {
+    const entry = this.grace.get(key);
+    return !!entry && !entry.expired && now < entry.endsAt;
+  }
+
+  /**
+   * Seconds left in a quota's running grace period, or null when none is
+   * running
+   */
+  getGraceRemaining(key, now = Date.now()) {
+    return this.isInGrace(key, now) ? Math.round((this.grace.get(key).endsAt - now) / 1000) : null;
+  }
+
+  /**
+   * Whether a grace period was ever granted for this quota (running or over)
+   */
+  hasGrace(key) {
+    return this.grace.has(key);
+  }
+
+  /**
+   * Mark grace periods that have ended as expired
+   *
+   * @returns {Object[]} [{ key, ...details }] for grace periods that ended
+   *   since the last call
+   */
+  takeExpired(now = Date.now()) {
+    const expired = [];
+    for (const [key, entry] of this.grace) {
+      if (!entry.expired && now >= entry.endsAt) {
+        entry.expired = true;
+        expired.push({ key, ...entry.details });
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Forget the grace period for a quota (it was topped up)
+   */
+  endGrace(key) {
+    this.grace.delete(key);
+  }
+
+  /**
+   * Forget everything (e.g. at midnight)
+   */
+  clear() {
+    this.fired.clear();
+    this.grace.clear();
+  }
+}
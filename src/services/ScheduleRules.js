@@ -0,0 +1,96 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+/**
+ * Schedule Rules
+ *
+ * A child's schedule is a weekly grid of allowed hours, evaluated in the
+ * parent computer's local time:
+ *
+ *   { enabled: true, days: [[24 booleans], ... 7 days] }
+ *
+ * `days[0]` is Sunday, matching Date#getDay(). A disabled or missing
+ * schedule allows every hour, so Allow2 alone decides.
+ */
+
+export const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * A schedule that allows every hour of the week
+ */
+export function createDefaultSchedule() {
+  return {
+    enabled: false,
+    days: DAYS.map(() => new Array(24).fill(true))
+  };
+}
+
+/**
+ * Check whether a schedule allows play at a moment in time
+ */
+export function isAllowedAt(schedule, date = new Date()) {
+  if (!schedule || !schedule.enabled) {
+    return true;
+  }
+
+  const d = new Date(date);
+  return !!schedule.days[d.getDay()]?.[d.getHours()];
+}
+
+/**
+ * Seconds until the schedule next blocks play, looking up to a week ahead
+ *
+ * @returns {number|null} null when the schedule never blocks (or is disabled),
+ *   0 when play is blocked right now
+ */
+export function getSecondsUntilBlocked(schedule, date = new Date()) {
+  if (!schedule || !schedule.enabled) {
+    return null;
+  }
+
+  const start = new Date(date);
+  if (!isAllowedAt(schedule, start)) {
+    return 0;
+  }
+
+  const slot = new Date(start);
+  slot.setMinutes(0, 0, 0);
+
+  for (let hour = 1; hour <= 7 * 24; hour++) {
+    slot.setHours(slot.getHours() + 1);
+    if (!isAllowedAt(schedule, slot)) {
+      return Math.round((slot.getTime() - start.getTime()) / 1000);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a schedule received from the renderer
+ *
+ * @returns {string|null} an error message, or null when valid
+ */
+export function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    return 'Schedule must be an object';
+  }
+  if (typeof schedule.enabled !== 'boolean') {
+    return 'Schedule "enabled" must be true or false';
+  }
+  if (!Array.isArray(schedule.days) || schedule.days.length !== 7) {
+    return 'Schedule must have 7 days';
+  }
+
+  const validDays = schedule.days.every(hours =>
+    Array.isArray(hours) && hours.length === 24 && hours.every(h => typeof h === 'boolean')
+  );
+  if (!validDays) {
+    return 'Each schedule day must have 24 true/false hours';
+  }
+
+  return null;
+}
@@ -0,0 +1,243 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import { DEFAULT_OFFLINE_ALERT_MINUTES } from './AgentHeartbeat.js';
+import { createDefaultEnforcement, ENFORCEMENT_MODES } from './EnforcementModes.js';
+
+/**
+ * State Schema
+ *
+ * The shape of the persisted plugin state, and how a saved state is brought
+ * up to date when the plugin loads:
+ *
+ * 1. Anything that isn't an object is replaced by a fresh state.
+ * 2. Migrations run one version at a time, from the saved `version` (none
+ *    means 0, saved before the state was versioned) to STATE_VERSION.
+ * 3. Missing keys get their defaults, and values of the wrong type or
+ *    settings that fail validation are reset to the default.
+ *
+ * Adding state: give it a default in createDefaultState(). Changing the
+ * shape of existing state: bump STATE_VERSION and add a migration.
+ */
+
+export const STATE_VERSION = 1;
+
+/**
+ * Fresh plugin state, used on first load and after an uninstall
+ */
+export function createDefaultState() {
+  return {
+    version: STATE_VERSION,
+    enabled: false,
+    agents: [],
+    violations: [], // blocked-process events, oldest first
+    installedGames: {}, // agentId -> games discovered from launcher manifests
+    gameLimits: {}, // childId -> { game: minutes per day }
+    gameUsage: {}, // date -> childId -> { game: seconds played }
+    sessions: [], // finished play sessions
+    schedules: {}, // childId -> weekly grid of allowed hours
+    customProcesses: [], // parent-added process catalog entries
+    processExclusions: [], // parent-added rules for processes that are never Epic
+    policies: {}, // agentId -> Epic policies last applied to that agent
+    outbox: {}, // agentId -> policy changes waiting for the agent to come back online
+    userLinks: {}, // agentId -> { OS username: childId } for shared PCs
+    epicAccounts: {}, // Epic accountId -> detected account and the child it belongs to
+    grants: [], // temporary unlocks granted by a parent
+    timeRequests: [], // children's requests for more time, pending and recently answered
+    enforcement: createDefaultEnforcement(), // what happens to processes that aren't allowed
+    observation: { startedAt: null, summaryNotifiedAt: null, events: [] }, // observe mode detections
+    reportSchedule: { nextDueAt: null, lastSentAt: null }, // scheduled weekly report delivery
+    settings: {
+      monitorFortnite: true,
+      monitorAllGames: true,
+      detectEpicLaunched: true, // catch unknown games by the launcher's -epicapp= arguments
+      checkInterval: 30000, // 30 seconds
+      enableNotifications: true,
+      warningThresholds: [10, 5, 1], // minutes before time runs out
+      gracePeriod: 0, // minutes to keep playing after time runs out
+      violationRetentionDays: 90, // 0 keeps violations forever
+      allowTimeRequests: true, // blocked children may ask for more time from their device
+      observeMode: false, // allow everything and only record what is played
+      offlineAlertMinutes: DEFAULT_OFFLINE_ALERT_MINUTES, // alert when a child's device is gone this long (0 = never)
+      weeklyReport: false, // send the weekly report as a notification
+      weeklyReportDay: 0, // 0 = Sunday
+      weeklyReportHour: 18 // local time
+    }
+  };
+}
+
+/**
+ * Migrations, in order; each brings state saved by the previous version up
+ * to `version`. They run before validation, so they must cope with missing
+ * or malformed values.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Record the enforcement mode of violations logged before modes existed',
+    migrate(state) {
+      if (Array.isArray(state.violations)) {
+        for (const violation of state.violations) {
+          if (isPlainObject(violation) && !violation.enforcement) {
+            violation.enforcement = 'kill';
+          }
+        }
+      }
+    }
+  }
+];
+
+// Each rule returns an error message, or null when the value is valid
+const SETTINGS_RULES = {
+  monitorFortnite: booleanRule('Monitor Fortnite'),
+  monitorAllGames: booleanRule('Monitor all games'),
+  detectEpicLaunched: booleanRule('Detect Epic-launched games'),
+  enableNotifications: booleanRule('Notifications'),
+  allowTimeRequests: booleanRule('Time requests'),
+  observeMode: booleanRule('Observe mode'),
+  weeklyReport: booleanRule('Weekly report'),
+  checkInterval: value => (Number.isInteger(value) && value >= 5000 && value <= 3600000
+    ? null
+    : 'Check interval must be between 5 and 3600 seconds'),
+  warningThresholds: value => (Array.isArray(value) &&
+    value.every(minutes => Number.isFinite(minutes) && minutes > 0 && minutes <= 1440)
+    ? null
+    : 'Warning thresholds must be a list of minutes above 0 and at most 1440'),
+  gracePeriod: value => (Number.isInteger(value) && value >= 0 && value <= 1440
+    ? null
+    : 'Grace period must be a whole number of minutes between 0 and 1440'),
+  violationRetentionDays: value => (Number.isInteger(value) && value >= 0 && value <= 3650
+    ? null
+    : 'Violation retention must be a whole number of days between 0 and 3650'),
+  offlineAlertMinutes: value => (Number.isInteger(value) && value >= 0 && value <= 1440
+    ? null
+    : 'Offline alert must be a whole number of minutes between 0 and 1440'),
+  weeklyReportDay: value => (Number.isInteger(value) && value >= 0 && value <= 6
+    ? null
+    : 'Weekly report day must be 0 (Sunday) to 6 (Saturday)'),
+  weeklyReportHour: value => (Number.isInteger(value) && value >= 0 && value <= 23
+    ? null
+    : 'Weekly report hour must be between 0 and 23')
+};
+
+/**
+ * Validate settings changes (any subset of the settings)
+ *
+ * @returns {string|null} error message, or null when valid
+ */
+export function validateSettings(settings) {
+  if (!isPlainObject(settings)) {
+    return 'Settings must be an object';
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    const rule = SETTINGS_RULES[key];
+    if (!rule) {
+      return `Unknown setting: ${key}`;
+    }
+    const error = rule(value);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Bring a saved state up to date
+ *
+ * @param {*} saved - the state as persisted, possibly old, partial or corrupt
+ * @returns {Object} { state, fromVersion, repairs } where repairs lists the
+ *   keys that were invalid and reset to their defaults
+ */
+export function loadState(saved) {
+  const defaults = createDefaultState();
+
+  if (!isPlainObject(saved)) {
+    return { state: defaults, fromVersion: null, repairs: saved == null ? [] : ['state'] };
+  }
+
+  const state = { ...saved };
+  const fromVersion = Number.isInteger(state.version) ? state.version : 0;
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      migration.migrate(state);
+    }
+  }
+  // A state saved by a newer version keeps its version, so it isn't
+  // migrated again if that version is reinstalled
+  state.version = Math.max(fromVersion, STATE_VERSION);
+
+  const repairs = [];
+  for (const [key, fallback] of Object.entries(defaults)) {
+    if (key === 'version') {
+      continue;
+    }
+    if (state[key] === undefined) {
+      state[key] = fallback;
+    } else if (!sameType(state[key], fallback)) {
+      state[key] = fallback;
+      repairs.push(key);
+    } else if (Array.isArray(fallback)) {
+      const records = state[key].filter(isPlainObject);
+      if (records.length !== state[key].length) {
+        state[key] = records;
+        repairs.push(key);
+      }
+    }
+  }
+
+  state.settings = { ...defaults.settings, ...state.settings };
+  for (const [key, rule] of Object.entries(SETTINGS_RULES)) {
+    if (rule(state.settings[key])) {
+      state.settings[key] = defaults.settings[key];
+      repairs.push(`settings.${key}`);
+    }
+  }
+
+  state.enforcement = { ...defaults.enforcement, ...state.enforcement };
+  repairField(state.enforcement, defaults.enforcement, 'enforcement', repairs, {
+    mode: mode => ENFORCEMENT_MODES.includes(mode),
+    closeTimeout: seconds => Number.isInteger(seconds) && seconds >= 1 && seconds <= 600,
+    games: isPlainObject,
+    children: isPlainObject
+  });
+
+  state.observation = { ...defaults.observation, ...state.observation };
+  repairField(state.observation, defaults.observation, 'observation', repairs, {
+    events: events => Array.isArray(events)
+  });
+
+  return { state, fromVersion, repairs };
+}
+
+function repairField(value, fallback, name, repairs, checks) {
+  for (const [key, isValid] of Object.entries(checks)) {
+    if (!isValid(value[key])) {
+      value[key] = fallback[key];
+      repairs.push(`${name}.${key}`);
+    }
+  }
+}
+
+function booleanRule(label) {
+  return value => (typeof value === 'boolean' ? null : `${label} must be true or false`);
+}
+
+function sameType(value, fallback) {
+  if (Array.isArray(fallback)) {
+    return Array.isArray(value);
+  }
+  if (isPlainObject(fallback)) {
+    return isPlainObject(value);
+  }
+  return typeof value === typeof fallback;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
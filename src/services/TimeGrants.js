@@ -0,0 +1,114 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+export const MAX_GRANT_MINUTES = 24 * 60;
+
+/**
+ * Time Grants
+ *
+ * Temporary unlocks a parent granted on top of the normal rules, kept in a
+ * plain array persisted with the plugin state so they survive restarts:
+ *
+ *   [{ id, childId, agentId, game, minutes, reason, grantedAt, expiresAt }]
+ *
+ * A grant targets a child (every device they use) or one device
+ * (`agentId`), and either all of Epic (`game` null) or one game.
+ */
+export default class TimeGrants {
+  constructor(grants = []) {
+    this.grants = grants;
+  }
+
+  /**
+   * Unlock Epic (or one game) for a child or device for a number of minutes
+   *
+   * @param {Object} target - { childId, agentId, game, minutes, reason }
+   * @returns {Object} the grant
+   * @throws {Error} when the target or duration is invalid
+   */
+  grant({ childId = null, agentId = null, game = null, minutes, reason = null }, now = Date.now()) {
+    if (!childId === !agentId) {
+      throw new Error('Grant time to either a child or a device');
+    }
+    if (!Number.isInteger(minutes) || minutes <= 0 || minutes > MAX_GRANT_MINUTES) {
+      throw new Error(`Minutes must be a whole number between 1 and ${MAX_GRANT_MINUTES}`);
+    }
+
+    const grant = {
+      id: `${now}-${Math.random().toString(36).substr(2, 9)}`,
+      childId,
+      agentId,
+      game: game || null,
+      minutes,
+      reason: reason || null,
+      grantedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + minutes * 60 * 1000).toISOString()
+    };
+    this.grants.push(grant);
+    return grant;
+  }
+
+  /**
+   * Grants that have not expired yet, soonest to expire first
+   */
+  getActive(now = Date.now()) {
+    return this.grants
+      .filter(grant => Date.parse(grant.expiresAt) > now)
+      .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt));
+  }
+
+  /**
+   * The active grant unlocking a game (or, with no game, all of Epic) on
+   * an agent for a child, if any; grants for all of Epic unlock every game
+   */
+  find({ agentId, childId, game = null }, now = Date.now()) {
+    return this.getActive(now).find(grant =>
+      (grant.agentId ? grant.agentId === agentId : grant.childId === childId) &&
+      (!grant.game || grant.game === game)
+    ) || null;
+  }
+
+  /**
+   * Whether any grant (all of Epic or one game) applies to an agent/child
+   */
+  hasAny({ agentId, childId }, now = Date.now()) {
+    return this.getActive(now).some(grant =>
+      grant.agentId ? grant.agentId === agentId : grant.childId === childId
+    );
+  }
+
+  /**
+   * End a grant early
+   *
+   * @returns {Object|null} the removed grant
+   */
+  revoke(grantId) {
+    const index = this.grants.findIndex(grant => grant.id === grantId);
+    return index === -1 ? null : this.grants.splice(index, 1)[0];
+  }
+
+  /**
+   * Remove expired grants
+   *
+   * @returns {Object[]} the grants that expired
+   */
+  takeExpired(now = Date.now()) {
+    const expired = this.grants.filter(grant => Date.parse(grant.expiresAt) <= now);
+    if (expired.length > 0) {
+      const active = this.grants.filter(grant => !expired.includes(grant));
+      this.grants.splice(0, this.grants.length, ...active);
+    }
+    return expired;
+  }
+
+  /**
+   * When the next grant expires (ms timestamp), or null
+   */
+  getNextExpiry(now = Date.now()) {
+    const [next] = this.getActive(now);
+    return next ? Date.parse(next.expiresAt) : null;
+  }
+}
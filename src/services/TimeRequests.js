@@ -0,0 +1,120 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+export const DEFAULT_REQUEST_MINUTES = 30;
+
+// Answered requests are kept this long so the parent can see what they decided
+const ANSWERED_RETENTION_DAYS = 7;
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Time Requests
+ *
+ * Requests for more time sent by a blocked child through their agent, kept
+ * in a plain array persisted with the plugin state:
+ *
+ *   [{ id, agentId, childId, username, game, minutes, reason, status,
+ *      requestedAt, answeredAt, grantId }]
+ *
+ * `status` is 'pending', 'approved' or 'denied'. A child asking again for
+ * the same game while a request is pending updates that request.
+ */
+export default class TimeRequests {
+  constructor(requests = []) {
+    this.requests = requests;
+  }
+
+  /**
+   * Record a request reported by an agent
+   *
+   * @param {Object} requestData - { agentId, username, game, minutes, reason, timestamp }
+   * @param {Object} [details] - { childId } resolved by the plugin
+   * @returns {Object} { request, created } where created is false when an
+   *   existing pending request was updated
+   */
+  add(requestData, { childId = null } = {}, now = Date.now()) {
+    const game = requestData.game || null;
+    const minutes = Number.isInteger(requestData.minutes) && requestData.minutes > 0
+      ? requestData.minutes
+      : DEFAULT_REQUEST_MINUTES;
+    const reason = requestData.reason ? String(requestData.reason).slice(0, MAX_REASON_LENGTH) : null;
+    const requestedAt = requestData.timestamp || new Date(now).toISOString();
+
+    const existing = this.requests.find(request =>
+      request.status === 'pending' &&
+      request.game === game &&
+      (childId ? request.childId === childId : request.agentId === requestData.agentId)
+    );
+    if (existing) {
+      Object.assign(existing, { agentId: requestData.agentId, minutes, reason: reason || existing.reason, requestedAt });
+      return { request: existing, created: false };
+    }
+
+    const request = {
+      id: `${now}-${Math.random().toString(36).substr(2, 9)}`,
+      agentId: requestData.agentId,
+      childId,
+      username: requestData.username || null,
+      game,
+      minutes,
+      reason,
+      status: 'pending',
+      requestedAt,
+      answeredAt: null,
+      grantId: null
+    };
+    this.requests.push(request);
+    this.prune(now);
+    return { request, created: true };
+  }
+
+  /**
+   * Pending requests, oldest first
+   */
+  getPending() {
+    return this.requests.filter(request => request.status === 'pending');
+  }
+
+  get(requestId) {
+    return this.requests.find(request => request.id === requestId) || null;
+  }
+
+  /**
+   * Approve or deny a pending request
+   *
+   * @param {string} requestId
+   * @param {string} status - 'approved' or 'denied'
+   * @param {Object} [details] - { grantId } for approvals
+   * @returns {Object} the request
+   * @throws {Error} when the request is unknown or already answered
+   */
+  answer(requestId, status, { grantId = null } = {}, now = Date.now()) {
+    const request = this.get(requestId);
+    if (!request) {
+      throw new Error('Request not found');
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`Request was already ${request.status}`);
+    }
+
+    Object.assign(request, { status, grantId, answeredAt: new Date(now).toISOString() });
+    return request;
+  }
+
+  /**
+   * Drop answered requests older than the retention window
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - ANSWERED_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const kept = this.requests.filter(request =>
+      request.status === 'pending' || Date.parse(request.answeredAt) >= cutoff
+    );
+    if (kept.length !== this.requests.length) {
+      this.requests.splice(0, this.requests.length, ...kept);
+    }
+  }
+}
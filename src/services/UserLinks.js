@@ -0,0 +1,78 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+/**
+ * User Links
+ *
+ * Maps OS user accounts on an agent to children, for PCs shared by several
+ * children with their own accounts. Kept in a plain object persisted with
+ * the plugin state:
+ *
+ *   { agentId: { username: childId } }
+ *
+ * Usernames are stored normalized (see normalizeUsername). An account with
+ * no link falls back to the child the agent itself is linked to.
+ */
+export default class UserLinks {
+  constructor(links = {}) {
+    this.links = links;
+  }
+
+  /**
+   * Link an account on an agent to a child, or unlink it (childId null)
+   */
+  link(agentId, username, childId) {
+    const key = normalizeUsername(username);
+    if (!key) {
+      throw new Error('Username is required');
+    }
+
+    const agentLinks = this.links[agentId] || {};
+    if (childId) {
+      agentLinks[key] = childId;
+    } else {
+      delete agentLinks[key];
+    }
+
+    if (Object.keys(agentLinks).length > 0) {
+      this.links[agentId] = agentLinks;
+    } else {
+      delete this.links[agentId];
+    }
+  }
+
+  /**
+   * An agent's links as [{ username, childId }], sorted by username
+   */
+  getLinks(agentId) {
+    return Object.entries(this.links[agentId] || {})
+      .map(([username, childId]) => ({ username, childId }))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  /**
+   * The child an account on an agent belongs to
+   *
+   * @param {Object} agent - { id, childId }
+   * @param {string} [username]
+   * @returns {string|null} the linked child, else the agent's own child
+   */
+  resolve(agent, username) {
+    const key = normalizeUsername(username);
+    return (key && this.links[agent.id]?.[key]) || agent.childId || null;
+  }
+}
+
+/**
+ * Compare accounts the way the OS does: without the Windows domain or
+ * machine prefix (`DESKTOP-1\Kid`), and ignoring case
+ */
+export function normalizeUsername(username) {
+  if (!username) {
+    return '';
+  }
+  return String(username).trim().split('\\').pop().toLowerCase();
+}
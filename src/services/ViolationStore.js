@@ -0,0 +1,149 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import { parseBoundary } from './PlaytimeStore.js';
+
+export const DEFAULT_RETENTION_DAYS = 90;
+
+// Hard cap so a misbehaving agent can't grow the persisted state forever
+const MAX_VIOLATIONS = 10000;
+
+const CSV_COLUMNS = ['id', 'timestamp', 'childId', 'agentId', 'agentHostname', 'game', 'processName', 'enforcement'];
+
+/**
+ * Violation Store
+ *
+ * Keeps every blocked-process event in a plain array persisted with the
+ * plugin state (oldest first), drops events older than the retention
+ * window, and answers filtered, paginated queries and exports.
+ */
+export default class ViolationStore {
+  /**
+   * @param {Object[]} [violations] - persisted array, mutated in place
+   * @param {Object} [options] - { retentionDays }
+   */
+  constructor(violations = [], { retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+    this.violations = violations;
+    this.retentionDays = retentionDays;
+  }
+
+  /**
+   * Record a violation reported by an agent
+   *
+   * @param {Object} violationData - { agentId, processName, timestamp, childId }
+   * @param {Object} [details] - { hostname, childId, game, enforcement }
+   *   resolved by the plugin
+   */
+  record(violationData, { hostname, childId, game, enforcement } = {}) {
+    const violation = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      agentId: violationData.agentId,
+      agentHostname: hostname || violationData.hostname || 'Unknown',
+      processName: violationData.processName,
+      game: game || null,
+      timestamp: violationData.timestamp || new Date().toISOString(),
+      childId: violationData.childId || childId || null,
+      enforcement: enforcement || null
+    };
+
+    this.violations.push(violation);
+    this.prune();
+    return violation;
+  }
+
+  /**
+   * Violations matching the filters, newest first
+   *
+   * @param {Object} [filters] - { childId, agentId, game, from, to, offset, limit }
+   * @returns {Object} { violations, total } where total ignores offset/limit
+   */
+  query({ childId, agentId, game, from, to, offset = 0, limit } = {}) {
+    const fromTime = parseBoundary(from, false);
+    const toTime = parseBoundary(to, true);
+
+    const matches = this.violations.filter(violation => {
+      const time = new Date(violation.timestamp).getTime();
+      if (childId && violation.childId !== childId) return false;
+      if (agentId && violation.agentId !== agentId) return false;
+      if (game && violation.game !== game) return false;
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time > toTime) return false;
+      return true;
+    }).reverse();
+
+    const start = Math.max(0, offset);
+    const end = limit ? start + limit : undefined;
+    return { violations: matches.slice(start, end), total: matches.length };
+  }
+
+  /**
+   * Export violations matching the filters (pagination ignored)
+   *
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Object} { content, filename, mimeType }
+   * @throws {Error} for unknown formats
+   */
+  export(format, filters = {}) {
+    const { violations } = this.query({ ...filters, offset: 0, limit: undefined });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      return { content: toCSV(violations), filename: `epic-violations-${stamp}.csv`, mimeType: 'text/csv' };
+    }
+    if (format === 'json') {
+      return {
+        content: JSON.stringify(violations, null, 2),
+        filename: `epic-violations-${stamp}.json`,
+        mimeType: 'application/json'
+      };
+    }
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  /**
+   * Remove every violation (optionally only a child's)
+   */
+  clear(childId) {
+    const kept = childId ? this.violations.filter(v => v.childId !== childId) : [];
+    this.violations.splice(0, this.violations.length, ...kept);
+  }
+
+  /**
+   * Drop violations older than the retention window (0 keeps them all)
+   * and anything over the hard cap
+   */
+  prune(now = Date.now()) {
+    let kept = this.violations;
+    if (this.retentionDays > 0) {
+      const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+      kept = kept.filter(violation => new Date(violation.timestamp).getTime() >= cutoff);
+    }
+    kept = kept.slice(-MAX_VIOLATIONS);
+
+    if (kept.length !== this.violations.length) {
+      this.violations.splice(0, this.violations.length, ...kept);
+    }
+  }
+}
+
+/**
+ * Render violations as CSV with a header row
+ */
+export function toCSV(violations) {
+  const rows = violations.map(violation =>
+    CSV_COLUMNS.map(column => escapeCSV(violation[column])).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function escapeCSV(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  // Stop spreadsheets from evaluating agent-reported names as formulas
+  const text = /^[=+\-@]/.test(String(value)) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
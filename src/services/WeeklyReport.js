@@ -0,0 +1,305 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+
+'use strict';
+
+import { isClosingMode } from './EnforcementModes.js';
+
+/**
+ * Weekly Report
+ *
+ * A per-child summary of the last seven days built from the plugin's own
+ * data (play sessions and violations), compared with the seven days
+ * before, and rendered as plain text or a self-contained HTML page:
+ *
+ *   { generatedAt, from, to, previousFrom,
+ *     children: [{ childId, name, totalSeconds, previousTotalSeconds,
+ *       games: [{ game, seconds, previousSeconds }],
+ *       devices: [{ agentId, hostname, seconds }],
+ *       blocked, previousBlocked, blockedGames: [{ game, count }] }] }
+ *
+ * Only violations that closed the game count as blocked; warnings and
+ * logged-only violations are left out. Sessions and violations without a
+ * child are reported together as "Unlinked devices".
+ */
+
+/**
+ * The report window: the seven days up to `now` (starting at local
+ * midnight six days ago) and the seven days before that
+ */
+export function getReportWeek(now = Date.now()) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - 6);
+  const previous = new Date(start);
+  previous.setDate(previous.getDate() - 7);
+
+  return { from: start.getTime(), to: now, previousFrom: previous.getTime() };
+}
+
+/**
+ * Build the report
+ *
+ * @param {PlaytimeStore} playtime
+ * @param {Object[]} violations - violation records, any order
+ * @param {Object} [options] - { childId, childNames: { childId: name },
+ *   agents: [{ id, hostname }], now }
+ */
+export function buildWeeklyReport(playtime, violations, { childId, childNames = {}, agents = [], now = Date.now() } = {}) {
+  const { from, to, previousFrom } = getReportWeek(now);
+  const hostnames = new Map(agents.map(agent => [agent.id, agent.hostname]));
+  const children = new Map();
+
+  const getChild = (id) => {
+    const key = id || null;
+    if (!children.has(key)) {
+      children.set(key, {
+        childId: key,
+        name: key ? childNames[key] || key : 'Unlinked devices',
+        totalSeconds: 0,
+        previousTotalSeconds: 0,
+        games: new Map(),
+        devices: new Map(),
+        blocked: 0,
+        previousBlocked: 0,
+        blockedGames: new Map()
+      });
+    }
+    return children.get(key);
+  };
+
+  const rollup = (rangeFrom, rangeTo) => playtime.rollup({
+    childId,
+    from: new Date(rangeFrom).toISOString(),
+    to: new Date(rangeTo).toISOString()
+  });
+
+  for (const day of rollup(from, to)) {
+    const child = getChild(day.childId);
+    child.totalSeconds += day.totalSeconds;
+    for (const [game, seconds] of Object.entries(day.games)) {
+      const entry = child.games.get(game) || { game, seconds: 0, previousSeconds: 0 };
+      entry.seconds += seconds;
+      child.games.set(game, entry);
+    }
+    for (const [agentId, seconds] of Object.entries(day.agents)) {
+      const entry = child.devices.get(agentId) || { agentId, hostname: hostnames.get(agentId) || agentId, seconds: 0 };
+      entry.seconds += seconds;
+      child.devices.set(agentId, entry);
+    }
+  }
+
+  for (const day of rollup(previousFrom, from - 1)) {
+    const child = getChild(day.childId);
+    child.previousTotalSeconds += day.totalSeconds;
+    for (const [game, seconds] of Object.entries(day.games)) {
+      const entry = child.games.get(game) || { game, seconds: 0, previousSeconds: 0 };
+      entry.previousSeconds += seconds;
+      child.games.set(game, entry);
+    }
+  }
+
+  for (const violation of violations) {
+    const time = Date.parse(violation.timestamp);
+    if ((childId && violation.childId !== childId) || !(time >= previousFrom && time <= to)) {
+      continue;
+    }
+    // Recorded before enforcement modes existed, when every violation closed the game
+    if (violation.enforcement && !isClosingMode(violation.enforcement)) {
+      continue;
+    }
+    const child = getChild(violation.childId);
+    if (time < from) {
+      child.previousBlocked++;
+      continue;
+    }
+    child.blocked++;
+    const game = violation.game || violation.processName;
+    child.blockedGames.set(game, (child.blockedGames.get(game) || 0) + 1);
+  }
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    previousFrom: new Date(previousFrom).toISOString(),
+    children: [...children.values()]
+      .map(child => ({
+        ...child,
+        games: [...child.games.values()].sort((a, b) => b.seconds - a.seconds || b.previousSeconds - a.previousSeconds),
+        devices: [...child.devices.values()].sort((a, b) => b.seconds - a.seconds),
+        blockedGames: [...child.blockedGames]
+          .map(([game, count]) => ({ game, count }))
+          .sort((a, b) => b.count - a.count)
+      }))
+      // Children first by name, unlinked devices last
+      .sort((a, b) => (a.childId === null) - (b.childId === null) || a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * One line per child, for notifications
+ */
+export function summarizeReport(report) {
+  if (report.children.length === 0) {
+    return 'No Epic Games activity this week.';
+  }
+  return report.children
+    .map(child => `${child.name}: ${formatDuration(child.totalSeconds)} ` +
+      `(${formatChange(child.totalSeconds, child.previousTotalSeconds)}), ` +
+      `${child.blocked} blocked attempt${child.blocked === 1 ? '' : 's'}`)
+    .join('\n');
+}
+
+/**
+ * Plain-text rendering
+ */
+export function renderReportText(report) {
+  const lines = [
+    'Epic Games weekly report',
+    `${formatDate(report.from)} - ${formatDate(report.to)}`,
+    ''
+  ];
+
+  if (report.children.length === 0) {
+    lines.push('No Epic Games activity this week.');
+  }
+
+  for (const child of report.children) {
+    lines.push(child.name);
+    lines.push('='.repeat(child.name.length));
+    lines.push(`Total: ${formatDuration(child.totalSeconds)} ` +
+      `(${formatChange(child.totalSeconds, child.previousTotalSeconds)})`);
+
+    if (child.games.length > 0) {
+      lines.push('', 'Games:');
+      for (const game of child.games) {
+        lines.push(`  ${game.game}: ${formatDuration(game.seconds)} ` +
+          `(${formatChange(game.seconds, game.previousSeconds)})`);
+      }
+    }
+
+    if (child.devices.length > 0) {
+      lines.push('', 'Devices:');
+      for (const device of child.devices) {
+        lines.push(`  ${device.hostname}: ${formatDuration(device.seconds)}`);
+      }
+    }
+
+    lines.push('', `Blocked attempts: ${child.blocked} (last week ${child.previousBlocked})`);
+    for (const { game, count } of child.blockedGames) {
+      lines.push(`  ${game}: ${count}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Self-contained HTML rendering (inline styles, no external resources)
+ */
+export function renderReportHtml(report) {
+  const sections = report.children.map(child => {
+    const gameRows = child.games.map(game => `
+        <tr><td>${escapeHtml(game.game)}</td><td>${formatDuration(game.seconds)}</td>` +
+        `<td>${formatDuration(game.previousSeconds)}</td><td>${formatChange(game.seconds, game.previousSeconds)}</td></tr>`
+    ).join('');
+    const deviceRows = child.devices.map(device => `
+        <tr><td>${escapeHtml(device.hostname)}</td><td>${formatDuration(device.seconds)}</td></tr>`
+    ).join('');
+    const blockedRows = child.blockedGames.map(({ game, count }) => `
+        <tr><td>${escapeHtml(game)}</td><td>${count}</td></tr>`
+    ).join('');
+
+    return `
+    <section>
+      <h2>${escapeHtml(child.name)}</h2>
+      <p class="total">${formatDuration(child.totalSeconds)}
+        <span class="change">${formatChange(child.totalSeconds, child.previousTotalSeconds)}</span></p>
+      ${gameRows ? `<table>
+        <tr><th>Game</th><th>This week</th><th>Last week</th><th>Change</th></tr>${gameRows}
+      </table>` : ''}
+      ${deviceRows ? `<table>
+        <tr><th>Device</th><th>This week</th></tr>${deviceRows}
+      </table>` : ''}
+      <p>Blocked attempts: <strong>${child.blocked}</strong> (last week ${child.previousBlocked})</p>
+      ${blockedRows ? `<table>
+        <tr><th>Blocked</th><th>Attempts</th></tr>${blockedRows}
+      </table>` : ''}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Epic Games weekly report</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #222; max-width: 720px; margin: 24px auto; padding: 0 16px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 18px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+    .period { color: #666; margin-top: 0; }
+    .total { font-size: 20px; font-weight: bold; }
+    .change { font-size: 14px; font-weight: normal; color: #666; margin-left: 8px; }
+    table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+    th { color: #666; font-weight: normal; }
+  </style>
+</head>
+<body>
+  <h1>Epic Games weekly report</h1>
+  <p class="period">${formatDate(report.from)} - ${formatDate(report.to)}</p>
+  ${sections || '<p>No Epic Games activity this week.</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * `1h 5m`, `45m`, `0m`
+ */
+export function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Change from last week: `+40m vs last week`, `-1h 5m vs last week`
+ */
+export function formatChange(seconds, previousSeconds) {
+  const difference = Math.round(seconds / 60) - Math.round(previousSeconds / 60);
+  if (difference === 0) {
+    return 'same as last week';
+  }
+  return `${difference > 0 ? '+' : '-'}${formatDuration(Math.abs(difference) * 60)} vs last week`;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString();
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * The first `day` (0 = Sunday) at `hour` local time after `after`, when a
+ * scheduled report is due next
+ */
+export function getNextReportTime(day, hour, after = Date.now()) {
+  const next = new Date(after);
+  next.setHours(hour, 0, 0, 0);
+  next.setDate(next.getDate() + ((day - next.getDay() + 7) % 7));
+  if (next.getTime() <= after) {
+    next.setDate(next.getDate() + 7);
+  }
+  return next.getTime();
+}
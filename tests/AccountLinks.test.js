@@ -0,0 +1,72 @@
+import AccountLinks from '../src/services/AccountLinks.js';
+
+const SAM = '0123456789abcdef0123456789abcdef';
+const ALEX = 'fedcba9876543210fedcba9876543210';
+
+describe('AccountLinks', () => {
+  let accounts;
+  let links;
+
+  beforeEach(() => {
+    accounts = {};
+    links = new AccountLinks(accounts);
+  });
+
+  test('records accounts per agent into the persisted object', () => {
+    expect(links.record('agent-1', [{ accountId: SAM, displayName: 'Sam', source: 'epic' }], 0)).toBe(true);
+    expect(links.record('agent-1', [{ accountId: SAM, displayName: null, source: 'epic' }], 1000)).toBe(false);
+
+    expect(accounts[SAM]).toEqual({
+      accountId: SAM,
+      displayName: 'Sam',
+      source: 'epic',
+      childId: null,
+      linkedBy: null,
+      agents: { 'agent-1': '1970-01-01T00:00:01.000Z' }
+    });
+  });
+
+  test('detaches accounts no longer found on an agent', () => {
+    links.record('agent-1', [{ accountId: SAM }, { accountId: ALEX }]);
+    links.record('agent-2', [{ accountId: SAM }]);
+
+    expect(links.record('agent-1', [{ accountId: ALEX }])).toBe(true);
+    expect(Object.keys(accounts[SAM].agents)).toEqual(['agent-2']);
+    expect(links.getForAgent('agent-1').map(a => a.accountId)).toEqual([ALEX]);
+  });
+
+  test('auto-links only accounts nobody linked before', () => {
+    links.record('agent-1', [{ accountId: SAM }]);
+
+    expect(links.autoLink(SAM, 'child-1')).toBe(true);
+    expect(links.autoLink(SAM, 'child-2')).toBe(false);
+    expect(accounts[SAM]).toMatchObject({ childId: 'child-1', linkedBy: 'auto' });
+  });
+
+  test('parent choices, including no child, are never auto-linked over', () => {
+    links.record('agent-1', [{ accountId: SAM }]);
+    links.link(SAM, null);
+
+    expect(links.autoLink(SAM, 'child-1')).toBe(false);
+    expect(accounts[SAM]).toMatchObject({ childId: null, linkedBy: 'parent' });
+    expect(() => links.link(ALEX, 'child-1')).toThrow('Account not found');
+  });
+
+  test('resolves the child of an agent from its linked accounts when they agree', () => {
+    links.record('agent-1', [{ accountId: SAM }, { accountId: ALEX }]);
+    expect(links.resolveChild('agent-1')).toBeNull();
+
+    links.link(SAM, 'child-1');
+    expect(links.resolveChild('agent-1')).toBe('child-1');
+
+    links.link(ALEX, 'child-2');
+    expect(links.resolveChild('agent-1')).toBeNull();
+  });
+
+  test('lists named accounts first, by name', () => {
+    links.record('agent-1', [{ accountId: SAM, displayName: 'Zed' }, { accountId: ALEX }]);
+    links.record('agent-2', [{ accountId: '11111111111111111111111111111111', displayName: 'Amy' }]);
+
+    expect(links.getAll().map(a => a.displayName)).toEqual(['Amy', 'Zed', null]);
+  });
+});
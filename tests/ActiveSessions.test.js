@@ -0,0 +1,93 @@
+import { describeActiveSessions, getAllowance } from '../src/services/ActiveSessions.js';
+
+describe('ActiveSessions', () => {
+  describe('getAllowance', () => {
+    it('is unlimited when no rule applies', () => {
+      expect(getAllowance({})).toEqual({ remainingSeconds: null, limitedBy: null });
+    });
+
+    it('picks the rule that ends play first', () => {
+      expect(getAllowance({ quota: 1800, schedule: 600, gameLimit: 1200 }))
+        .toEqual({ remainingSeconds: 600, limitedBy: 'schedule' });
+      expect(getAllowance({ quota: 1800, gameLimit: 1200.4 }))
+        .toEqual({ remainingSeconds: 1200, limitedBy: 'game-limit' });
+    });
+
+    it('lets a grant override every other rule', () => {
+      expect(getAllowance({ grant: 3600, quota: 0, schedule: 60 }))
+        .toEqual({ remainingSeconds: 3600, limitedBy: 'grant' });
+    });
+
+    it('uses a running grace period in place of the limit that ran out', () => {
+      expect(getAllowance({ quota: 0, quotaGrace: 120, schedule: 3600 }))
+        .toEqual({ remainingSeconds: 120, limitedBy: 'grace' });
+      expect(getAllowance({ quota: 1800, gameLimit: 0, gameGrace: 300 }))
+        .toEqual({ remainingSeconds: 300, limitedBy: 'grace' });
+    });
+
+    it('never goes below zero', () => {
+      expect(getAllowance({ quota: -30 })).toEqual({ remainingSeconds: 0, limitedBy: 'quota' });
+    });
+  });
+
+  describe('describeActiveSessions', () => {
+    const now = Date.parse('2025-01-17T19:00:00Z');
+    const agents = [
+      { id: 'pc-1', hostname: 'gaming-pc', online: true },
+      { id: 'laptop', hostname: 'bedroom-laptop', online: false }
+    ];
+    const entry = (agentId, childId, game, minutesAgo) => ({
+      agentId,
+      processName: `${game}.exe`,
+      childId,
+      game,
+      startedAt: now - minutesAgo * 60 * 1000
+    });
+
+    it('describes each running game with its device and time left', () => {
+      const sessions = describeActiveSessions([
+        entry('pc-1', 'child-1', 'Fortnite', 45),
+        entry('laptop', 'child-2', 'Rocket League', 10)
+      ], {
+        agents,
+        getLimits: ({ childId }) => childId === 'child-1' ? { gameLimit: 900 } : {},
+        now
+      });
+
+      expect(sessions).toEqual([
+        {
+          agentId: 'laptop',
+          hostname: 'bedroom-laptop',
+          online: false,
+          childId: 'child-2',
+          game: 'Rocket League',
+          processName: 'Rocket League.exe',
+          startedAt: '2025-01-17T18:50:00.000Z',
+          playedSeconds: 600,
+          remainingSeconds: null,
+          limitedBy: null
+        },
+        {
+          agentId: 'pc-1',
+          hostname: 'gaming-pc',
+          online: true,
+          childId: 'child-1',
+          game: 'Fortnite',
+          processName: 'Fortnite.exe',
+          startedAt: '2025-01-17T18:15:00.000Z',
+          playedSeconds: 2700,
+          remainingSeconds: 900,
+          limitedBy: 'game-limit'
+        }
+      ]);
+    });
+
+    it('falls back to the agent ID for unknown agents', () => {
+      const [session] = describeActiveSessions([entry('gone', null, 'Fortnite', 1)], { now });
+
+      expect(session.hostname).toBe('gone');
+      expect(session.online).toBe(false);
+      expect(session.childId).toBeNull();
+    });
+  });
+});
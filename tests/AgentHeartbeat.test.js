@@ -0,0 +1,76 @@
+import { getOverdueAgents, getSilentSince, markOffline, markSeen, minutesSince } from '../src/services/AgentHeartbeat.js';
+
+const MINUTE = 60 * 1000;
+
+describe('AgentHeartbeat', () => {
+  const now = Date.parse('2025-01-15T10:00:00.000Z');
+
+  test('marks an agent seen', () => {
+    const agent = { id: 'agent-1' };
+    expect(markSeen(agent, now)).toBeNull();
+    expect(agent).toEqual({
+      id: 'agent-1',
+      lastSeenAt: '2025-01-15T10:00:00.000Z',
+      offlineSince: null,
+      offlineAlertedAt: null
+    });
+  });
+
+  test('reports when an alerted agent is seen again', () => {
+    const agent = { id: 'agent-1', offlineSince: '2025-01-15T09:00:00.000Z', offlineAlertedAt: '2025-01-15T09:30:00.000Z' };
+    expect(markSeen(agent, now)).toEqual({
+      offlineSince: '2025-01-15T09:00:00.000Z',
+      offlineAlertedAt: '2025-01-15T09:30:00.000Z'
+    });
+    expect(agent.offlineAlertedAt).toBeNull();
+  });
+
+  test('keeps the first offline time', () => {
+    const agent = { id: 'agent-1' };
+    markOffline(agent, now);
+    markOffline(agent, now + 5 * MINUTE);
+    expect(agent.offlineSince).toBe('2025-01-15T10:00:00.000Z');
+  });
+
+  test('finds agents offline past the threshold that were not alerted on yet', () => {
+    const agents = [
+      { id: 'online', online: true, offlineSince: null },
+      { id: 'recent', online: false, offlineSince: new Date(now - 10 * MINUTE).toISOString() },
+      { id: 'overdue', online: false, offlineSince: new Date(now - 30 * MINUTE).toISOString() },
+      {
+        id: 'alerted',
+        online: false,
+        offlineSince: new Date(now - 60 * MINUTE).toISOString(),
+        offlineAlertedAt: new Date(now - 30 * MINUTE).toISOString()
+      }
+    ];
+
+    expect(getOverdueAgents(agents, 30, now).map(a => a.id)).toEqual(['overdue']);
+    expect(getOverdueAgents(agents, 0, now)).toEqual([]);
+  });
+
+  test('finds agents still listed as online that have gone silent', () => {
+    const agents = [
+      { id: 'chatty', online: true, lastSeenAt: new Date(now - 5 * MINUTE).toISOString() },
+      { id: 'silent', online: true, lastSeenAt: new Date(now - 45 * MINUTE).toISOString() },
+      {
+        id: 'alerted',
+        online: true,
+        lastSeenAt: new Date(now - 90 * MINUTE).toISOString(),
+        offlineAlertedAt: new Date(now - 60 * MINUTE).toISOString()
+      }
+    ];
+
+    expect(getOverdueAgents(agents, 30, now).map(a => a.id)).toEqual(['silent']);
+  });
+
+  test('measures silence from going offline, or from the last report while online', () => {
+    expect(getSilentSince({ online: false, offlineSince: 'a', lastSeenAt: 'b' })).toBe('a');
+    expect(getSilentSince({ online: true, offlineSince: null, lastSeenAt: 'b' })).toBe('b');
+    expect(getSilentSince({ online: true })).toBeNull();
+  });
+
+  test('counts whole minutes', () => {
+    expect(minutesSince(new Date(now - 90 * 1000).toISOString(), now)).toBe(1);
+  });
+});
@@ -0,0 +1,42 @@
+import AgentStatus, { RETRY_BASE_DELAY, RETRY_MAX_DELAY } from '../src/services/AgentStatus.js';
+
+describe('AgentStatus', () => {
+  const now = Date.parse('2025-01-15T10:00:00.000Z');
+  let statuses;
+
+  beforeEach(() => {
+    statuses = new AgentStatus({ maxRetries: 3 });
+  });
+
+  test('agents start pending', () => {
+    expect(statuses.get('agent-1')).toMatchObject({ status: 'pending', attempts: 0, error: null });
+  });
+
+  test('backs off exponentially up to the max delay', () => {
+    expect(statuses.getRetryDelay(1)).toBe(RETRY_BASE_DELAY);
+    expect(statuses.getRetryDelay(2)).toBe(RETRY_BASE_DELAY * 2);
+    expect(statuses.getRetryDelay(3)).toBe(RETRY_BASE_DELAY * 4);
+    expect(statuses.getRetryDelay(20)).toBe(RETRY_MAX_DELAY);
+  });
+
+  test('schedules retries until it runs out, then fails', () => {
+    expect(statuses.markFailed('agent-1', new Error('timeout'), {}, now))
+      .toMatchObject({ status: 'retrying', error: 'timeout', attempts: 1, nextRetryAt: now + RETRY_BASE_DELAY });
+    expect(statuses.markFailed('agent-1', 'timeout', {}, now).nextRetryAt).toBe(now + RETRY_BASE_DELAY * 2);
+    statuses.markFailed('agent-1', 'timeout', {}, now);
+
+    expect(statuses.markFailed('agent-1', 'timeout', {}, now)).toMatchObject({ status: 'failed', attempts: 4, nextRetryAt: null });
+  });
+
+  test('does not retry when told not to', () => {
+    expect(statuses.markFailed('agent-1', 'offline', { retry: false }, now)).toMatchObject({ status: 'failed', nextRetryAt: null });
+  });
+
+  test('keeps the attempt count while pending and resets it once configured', () => {
+    statuses.markFailed('agent-1', 'timeout', {}, now);
+    expect(statuses.markPending('agent-1', now)).toMatchObject({ status: 'pending', attempts: 1, error: 'timeout' });
+
+    expect(statuses.markConfigured('agent-1', now)).toMatchObject({ status: 'configured', attempts: 0, error: null });
+    expect(statuses.markFailed('agent-1', 'timeout', {}, now).attempts).toBe(1);
+  });
+});
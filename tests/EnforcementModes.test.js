@@ -0,0 +1,55 @@
+import {
+  createDefaultEnforcement,
+  getViolationActions,
+  resolveMode,
+  setMode
+} from '../src/services/EnforcementModes.js';
+
+describe('EnforcementModes', () => {
+  let enforcement;
+
+  beforeEach(() => {
+    enforcement = createDefaultEnforcement();
+  });
+
+  test('kills by default', () => {
+    expect(resolveMode(enforcement, 'child-1', 'Fortnite')).toBe('kill');
+    expect(resolveMode({}, null)).toBe('kill');
+  });
+
+  test('uses the most specific setting', () => {
+    setMode(enforcement, { mode: 'graceful' });
+    setMode(enforcement, { game: 'Fortnite', mode: 'log' });
+    setMode(enforcement, { childId: 'teen', mode: 'warn' });
+    setMode(enforcement, { childId: 'teen', game: 'Rocket League', mode: 'kill' });
+
+    expect(resolveMode(enforcement, 'young', 'Satisfactory')).toBe('graceful');
+    expect(resolveMode(enforcement, 'young', 'Fortnite')).toBe('log');
+    expect(resolveMode(enforcement, 'teen', 'Fortnite')).toBe('warn');
+    expect(resolveMode(enforcement, 'teen', 'Rocket League')).toBe('kill');
+    expect(resolveMode(enforcement, 'teen')).toBe('warn');
+    expect(resolveMode(enforcement, 'young')).toBe('graceful');
+  });
+
+  test('clears overrides and forgets children without any', () => {
+    setMode(enforcement, { childId: 'teen', game: 'Fortnite', mode: 'warn' });
+    setMode(enforcement, { childId: 'teen', game: 'Fortnite', mode: null });
+    setMode(enforcement, { game: 'Fortnite', mode: 'log' });
+    setMode(enforcement, { game: 'Fortnite' });
+
+    expect(enforcement.children).toEqual({});
+    expect(enforcement.games).toEqual({});
+  });
+
+  test('rejects unknown modes and clearing the default', () => {
+    expect(() => setMode(enforcement, { mode: 'explode' })).toThrow('Unknown enforcement mode');
+    expect(() => setMode(enforcement, { mode: null })).toThrow('default enforcement mode is required');
+  });
+
+  test('maps modes to policy actions', () => {
+    expect(getViolationActions('kill', 60)).toEqual({ onViolation: 'kill-process' });
+    expect(getViolationActions('graceful', 45)).toEqual({ onViolation: 'close-then-kill', closeTimeout: 45 });
+    expect(getViolationActions('warn', 60)).toEqual({ onViolation: 'notify' });
+    expect(getViolationActions('log', 60)).toEqual({ onViolation: 'log-only' });
+  });
+});
@@ -1,5 +1,5 @@
 import { jest } from '@jest/globals';
-import { EpicMonitor } from '../src/EpicMonitor.js';
+import { EpicMonitor, createAgentFileSystem } from '../src/EpicMonitor.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -315,4 +315,43 @@ describe('EpicMonitor', () => {
       expect(policies.some(p => p.processName === 'FortniteClient.exe')).toBe(true);
     });
   });
+
+  describe('createAgentFileSystem', () => {
+    test('returns null when agent has no file access', () => {
+      expect(createAgentFileSystem({}, 'agent-1')).toBeNull();
+    });
+
+    test('scans manifests through the agent service', async () => {
+      const agentService = {
+        fileExists: jest.fn().mockResolvedValue(true),
+        listDirectory: jest.fn().mockResolvedValue(['Fortnite.item']),
+        readFile: jest.fn().mockResolvedValue(JSON.stringify({
+          DisplayName: 'Fortnite',
+          LaunchExecutable: 'FortniteGame/Binaries/Win64/FortniteClient-Win64-Shipping.exe'
+        }))
+      };
+      const monitor = new EpicMonitor(null, {
+        fs: createAgentFileSystem(agentService, 'agent-1'),
+        platform: 'win32'
+      });
+
+      const policies = await monitor.start();
+
+      expect(agentService.listDirectory).toHaveBeenCalledWith(
+        'agent-1',
+        'C:\\ProgramData\\Epic\\EpicGamesLauncher\\Data\\Manifests'
+      );
+      expect(policies.some(p => p.processName === 'FortniteClient-Win64-Shipping.exe')).toBe(true);
+    });
+
+    test('rejects access for missing paths', async () => {
+      const agentFs = createAgentFileSystem({
+        fileExists: jest.fn().mockResolvedValue(false),
+        listDirectory: jest.fn(),
+        readFile: jest.fn()
+      }, 'agent-1');
+
+      await expect(agentFs.access('/missing')).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+  });
 });
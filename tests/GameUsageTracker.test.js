@@ -0,0 +1,110 @@
+import GameUsageTracker, { toDateKey } from '../src/services/GameUsageTracker.js';
+
+describe('GameUsageTracker', () => {
+  let tracker;
+  const start = new Date(2025, 0, 15, 16, 0, 0).getTime();
+  const minutes = (n) => n * 60 * 1000;
+
+  beforeEach(() => {
+    tracker = new GameUsageTracker({});
+  });
+
+  test('accrues time between start and stop', () => {
+    tracker.start({ agentId: 'a1', processName: 'Fortnite.exe', childId: 'c1', game: 'Fortnite', timestamp: start });
+    tracker.stop({ agentId: 'a1', processName: 'Fortnite.exe', timestamp: start + minutes(45) });
+
+    expect(tracker.getUsageSeconds('c1', 'Fortnite', start)).toBe(45 * 60);
+    expect(tracker.getActive()).toEqual([]);
+  });
+
+  test('tick accrues running games without double counting', () => {
+    tracker.start({ agentId: 'a1', processName: 'Fortnite.exe', childId: 'c1', game: 'Fortnite', timestamp: start });
+    tracker.tick(start + minutes(10));
+    tracker.tick(start + minutes(20));
+    tracker.stop({ agentId: 'a1', processName: 'Fortnite.exe', timestamp: start + minutes(30) });
+
+    expect(tracker.getUsageSeconds('c1', 'Fortnite', start)).toBe(30 * 60);
+  });
+
+  test('tracks games independently', () => {
+    tracker.start({ agentId: 'a1', processName: 'Fortnite.exe', childId: 'c1', game: 'Fortnite', timestamp: start });
+    tracker.start({ agentId: 'a1', processName: 'RocketLeague.exe', childId: 'c1', game: 'Rocket League', timestamp: start });
+    tracker.tick(start + minutes(40));
+
+    expect(tracker.getRemainingSeconds('c1', 'Fortnite', 60, start)).toBe(20 * 60);
+    expect(tracker.getRemainingSeconds('c1', 'Rocket League', 30, start)).toBe(0);
+  });
+
+  test('splits sessions across midnight', () => {
+    const lateEvening = new Date(2025, 0, 15, 23, 30, 0).getTime();
+    tracker.start({ agentId: 'a1', processName: 'Fortnite.exe', childId: 'c1', game: 'Fortnite', timestamp: lateEvening });
+    tracker.stop({ agentId: 'a1', processName: 'Fortnite.exe', timestamp: lateEvening + minutes(60) });
+
+    expect(tracker.getUsageSeconds('c1', 'Fortnite', lateEvening)).toBe(30 * 60);
+    expect(tracker.getUsageSeconds('c1', 'Fortnite', lateEvening + minutes(60))).toBe(30 * 60);
+  });
+
+  test('counts several processes of one game as one session', () => {
+    const launcher = { agentId: 'a1', processName: 'FortniteLauncher.exe', childId: 'c1', game: 'Fortnite' };
+    const client = { agentId: 'a1', processName: 'FortniteClient-Win64-Shipping.exe', childId: 'c1', game: 'Fortnite' };
+
+    const first = tracker.start({ ...launcher, timestamp: start });
+    const second = tracker.start({ ...client, timestamp: start + minutes(1) });
+    expect(second).toBe(first);
+    expect(tracker.getActive()).toHaveLength(1);
+
+    tracker.tick(start + minutes(20));
+    expect(tracker.stop({ ...launcher, timestamp: start + minutes(25) })).toBeNull();
+    expect(tracker.getActive()).toHaveLength(1);
+
+    const finished = tracker.stop({ ...client, timestamp: start + minutes(40) });
+    expect(finished.startedAt).toBe(start);
+    expect(tracker.getActive()).toEqual([]);
+    expect(tracker.getUsageSeconds('c1', 'Fortnite', start)).toBe(40 * 60);
+  });
+
+  test('ignores a repeated start for a running process', () => {
+    const process = { agentId: 'a1', processName: 'Fortnite.exe', childId: 'c1', game: 'Fortnite' };
+    tracker.start({ ...process, timestamp: start });
+    tracker.start({ ...process, timestamp: start + minutes(5) });
+
+    expect(tracker.stop({ ...process, timestamp: start + minutes(10) })).not.toBeNull();
+    expect(tracker.getUsageSeconds('c1', 'Fortnite', start)).toBe(10 * 60);
+  });
+
+  test('stopAll stops every game', () => {
+    tracker.start({ agentId: 'a1', processName: 'Fortnite.exe', childId: 'c1', game: 'Fortnite', timestamp: start });
+    tracker.start({ agentId: 'a2', processName: 'Fortnite.exe', childId: 'c2', game: 'Fortnite', timestamp: start });
+
+    expect(tracker.stopAll(start + minutes(5))).toHaveLength(2);
+    expect(tracker.getActive()).toEqual([]);
+    expect(tracker.stop({ agentId: 'a1', processName: 'Fortnite.exe' })).toBeNull();
+  });
+
+  test('ignores stop for unknown processes', () => {
+    expect(tracker.stop({ agentId: 'a1', processName: 'Other.exe' })).toBeNull();
+  });
+
+  test('stopAgent stops every game on that agent', () => {
+    tracker.start({ agentId: 'a1', processName: 'Fortnite.exe', childId: 'c1', game: 'Fortnite', timestamp: start });
+    tracker.start({ agentId: 'a2', processName: 'Fortnite.exe', childId: 'c2', game: 'Fortnite', timestamp: start });
+
+    tracker.stopAgent('a1', start + minutes(5));
+
+    expect(tracker.getActive().map(e => e.agentId)).toEqual(['a2']);
+    expect(tracker.getUsageSeconds('c1', 'Fortnite', start)).toBe(5 * 60);
+  });
+
+  test('prunes usage older than the retention window', () => {
+    const usage = { '2024-01-01': { c1: { Fortnite: 100 } } };
+    tracker = new GameUsageTracker(usage);
+
+    tracker.prune(start);
+
+    expect(usage).toEqual({});
+  });
+
+  test('formats local date keys', () => {
+    expect(toDateKey(new Date(2025, 0, 5, 12))).toBe('2025-01-05');
+  });
+});
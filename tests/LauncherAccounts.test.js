@@ -0,0 +1,106 @@
+import {
+  HEROIC_CONFIG_PATHS,
+  detectLauncherAccounts,
+  parseHeroicConfig
+} from '../src/LauncherAccounts.js';
+
+const enoentError = () => Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+
+const ACCOUNT_ID = '0123456789abcdef0123456789abcdef';
+
+const heroicConfig = JSON.stringify({
+  settings: { defaultInstallPath: '/home/kid/Games/Heroic' },
+  userInfo: {
+    account_id: ACCOUNT_ID.toUpperCase(),
+    displayName: 'SammyPlays',
+    user: 'kid'
+  }
+});
+
+describe('LauncherAccounts', () => {
+  describe('parseHeroicConfig', () => {
+    test('finds the signed-in account', () => {
+      expect(parseHeroicConfig(heroicConfig)).toEqual([
+        { accountId: ACCOUNT_ID, displayName: 'SammyPlays' }
+      ]);
+    });
+
+    test('returns nothing when signed out or malformed', () => {
+      expect(parseHeroicConfig('{}')).toEqual([]);
+      expect(parseHeroicConfig(JSON.stringify({ userInfo: { account_id: 'not-an-id' } }))).toEqual([]);
+      expect(() => parseHeroicConfig('{')).toThrow();
+    });
+  });
+
+  describe('detectLauncherAccounts', () => {
+    test('reads Heroic\'s settings store on Windows', async () => {
+      const readPaths = [];
+      const fs = {
+        readFile: async (filePath) => {
+          readPaths.push(filePath);
+          return heroicConfig;
+        }
+      };
+
+      const accounts = await detectLauncherAccounts(fs, { platform: 'win32', homeDir: 'C:\\Users\\kid' });
+
+      expect(readPaths).toEqual(['C:\\Users\\kid\\AppData\\Roaming\\heroic\\store\\config.json']);
+      expect(accounts).toEqual([{ accountId: ACCOUNT_ID, displayName: 'SammyPlays', source: 'heroic' }]);
+    });
+
+    test('merges the native and Flatpak stores on Linux, skipping missing and broken files', async () => {
+      const files = {
+        '/home/kid/.config/heroic/store/config.json': '{ broken',
+        '/home/kid/.var/app/com.heroicgameslauncher.hgl/config/heroic/store/config.json': heroicConfig
+      };
+      const fs = {
+        readFile: async (filePath) => {
+          if (!(filePath in files)) {
+            throw enoentError();
+          }
+          return files[filePath];
+        }
+      };
+
+      const accounts = await detectLauncherAccounts(fs, { platform: 'linux', homeDir: '/home/kid' });
+
+      expect(accounts).toEqual([{ accountId: ACCOUNT_ID, displayName: 'SammyPlays', source: 'heroic' }]);
+    });
+
+    test('never reads a file holding login tokens', async () => {
+      const readPaths = [];
+      const fs = {
+        readFile: async (filePath) => {
+          readPaths.push(filePath);
+          throw enoentError();
+        }
+      };
+
+      for (const platform of Object.keys(HEROIC_CONFIG_PATHS)) {
+        const homeDir = platform === 'win32' ? 'C:\\Users\\kid' : '/home/kid';
+        await detectLauncherAccounts(fs, { platform, homeDir });
+      }
+
+      expect(readPaths.length).toBeGreaterThan(0);
+      for (const filePath of readPaths) {
+        expect(filePath).not.toMatch(/GameUserSettings\.ini|user\.json/i);
+      }
+    });
+
+    test('never logs the contents of a broken file', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const fs = {
+        readFile: async () => '{"userInfo": secret-name}'
+      };
+
+      try {
+        await detectLauncherAccounts(fs, { platform: 'linux', homeDir: '/home/kid' });
+
+        expect(warn).toHaveBeenCalled();
+        expect(warn.mock.calls.flat().join(' ')).not.toContain('secret');
+      } finally {
+        warn.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import {
+  parseLegendaryInstalled,
+  parseHeroicLibrary,
+  scanLinuxLibraries
+} from '../src/LegendaryLibrary.js';
+import { EpicLibraryScanner } from '../src/EpicLibraryScanner.js';
+
+const enoentError = () => Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+
+const legendaryInstalled = JSON.stringify({
+  Fortnite: {
+    app_name: 'Fortnite',
+    title: 'Fortnite',
+    executable: 'FortniteGame/Binaries/Win64/FortniteClient-Win64-Shipping.exe',
+    install_path: '/home/kid/Games/Heroic/Fortnite',
+    is_dlc: false
+  },
+  FortniteDLC: {
+    app_name: 'FortniteDLC',
+    title: 'Fortnite Pack',
+    executable: 'FortniteGame/Binaries/Win64/FortniteClient-Win64-Shipping.exe',
+    is_dlc: true
+  }
+});
+
+const heroicLibrary = JSON.stringify({
+  library: [
+    {
+      runner: 'legendary',
+      app_name: 'Sugar',
+      title: 'Rocket League',
+      is_installed: true,
+      install: {
+        executable: 'Binaries/Win64/RocketLeague.exe',
+        install_path: '/home/kid/Games/Heroic/rocketleague'
+      }
+    },
+    {
+      runner: 'legendary',
+      app_name: 'NotInstalled',
+      title: 'Not Installed',
+      is_installed: false,
+      install: {}
+    },
+    {
+      runner: 'gog',
+      app_name: '1207658924',
+      title: 'GOG Game',
+      is_installed: true,
+      install: { executable: 'game.exe' }
+    }
+  ]
+});
+
+describe('LegendaryLibrary', () => {
+  describe('parseLegendaryInstalled', () => {
+    test('maps installed games to manifest shape', () => {
+      const games = parseLegendaryInstalled(legendaryInstalled);
+
+      expect(games).toEqual([
+        {
+          DisplayName: 'Fortnite',
+          AppName: 'Fortnite',
+          InstallLocation: '/home/kid/Games/Heroic/Fortnite',
+          LaunchExecutable: 'FortniteGame/Binaries/Win64/FortniteClient-Win64-Shipping.exe',
+          Launcher: 'legendary'
+        }
+      ]);
+    });
+
+    test('throws on invalid JSON', () => {
+      expect(() => parseLegendaryInstalled('not json')).toThrow();
+    });
+  });
+
+  describe('parseHeroicLibrary', () => {
+    test('returns only installed legendary games', () => {
+      const games = parseHeroicLibrary(heroicLibrary);
+
+      expect(games).toHaveLength(1);
+      expect(games[0]).toMatchObject({
+        DisplayName: 'Rocket League',
+        AppName: 'Sugar',
+        LaunchExecutable: 'Binaries/Win64/RocketLeague.exe',
+        Launcher: 'heroic'
+      });
+    });
+
+    test('handles a cache without a library', () => {
+      expect(parseHeroicLibrary('{}')).toEqual([]);
+    });
+  });
+
+  describe('scanLinuxLibraries', () => {
+    test('merges legendary and Heroic libraries', async () => {
+      const fs = {
+        readFile: jest.fn(async (filePath) => {
+          if (filePath === '/home/kid/.config/legendary/installed.json') {
+            return legendaryInstalled;
+          }
+          if (filePath === '/home/kid/.config/heroic/store_cache/legendary_library.json') {
+            return heroicLibrary;
+          }
+          throw enoentError();
+        })
+      };
+
+      const games = await scanLinuxLibraries(fs, '/home/kid');
+
+      expect(games.map(g => g.AppName)).toEqual(['Fortnite', 'Sugar']);
+    });
+
+    test('skips malformed files', async () => {
+      const fs = {
+        readFile: jest.fn(async (filePath) => {
+          if (filePath.endsWith('installed.json')) {
+            return 'broken{';
+          }
+          throw enoentError();
+        })
+      };
+
+      await expect(scanLinuxLibraries(fs, '/home/kid')).resolves.toEqual([]);
+    });
+  });
+
+  describe('EpicLibraryScanner on Linux', () => {
+    test('generates game policies from legendary installs', async () => {
+      const fs = {
+        access: jest.fn().mockRejectedValue(enoentError()),
+        readdir: jest.fn().mockRejectedValue(enoentError()),
+        readFile: jest.fn(async (filePath) => {
+          if (filePath === '/home/kid/.config/legendary/installed.json') {
+            return legendaryInstalled;
+          }
+          throw enoentError();
+        })
+      };
+      const monitor = new EpicLibraryScanner(null, { fs, platform: 'linux', homeDir: '/home/kid' });
+
+      const policies = await monitor.start();
+
+      const fortnite = policies.find(p => p.processName === 'FortniteClient-Win64-Shipping.exe');
+      expect(fortnite).toBeDefined();
+      expect(fortnite.metadata).toMatchObject({ type: 'game', launcher: 'legendary' });
+      expect(policies.some(p => p.processName === 'legendary')).toBe(true);
+    });
+
+    test('skips home-relative paths when the remote home directory is unknown', async () => {
+      const fs = {
+        access: jest.fn().mockRejectedValue(enoentError()),
+        readdir: jest.fn().mockRejectedValue(enoentError()),
+        readFile: jest.fn().mockRejectedValue(enoentError())
+      };
+      const monitor = new EpicLibraryScanner(null, { fs, platform: 'linux' });
+
+      await monitor.start();
+
+      expect(fs.access).not.toHaveBeenCalled();
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import ObservationLog, { suggestLimit } from '../src/services/ObservationLog.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ObservationLog', () => {
+  const startedAt = Date.parse('2025-01-01T00:00:00.000Z');
+  let observation;
+  let log;
+
+  const session = (childId, game, start, minutes) => ({
+    childId,
+    game,
+    start: new Date(start).toISOString(),
+    duration: minutes * 60
+  });
+
+  beforeEach(() => {
+    observation = { startedAt: null, summaryNotifiedAt: null, events: [] };
+    log = new ObservationLog(observation);
+    log.start(startedAt);
+  });
+
+  test('records detections into the persisted object, newest first', () => {
+    log.record({ agentId: 'agent-1', processName: 'A.exe', timestamp: '2025-01-01T10:00:00.000Z' }, { childId: 'child-1', game: 'A' });
+    log.record({ agentId: 'agent-1', processName: 'B.exe', timestamp: '2025-01-01T11:00:00.000Z' }, { childId: 'child-2', game: 'B' });
+
+    expect(observation.events).toHaveLength(2);
+    expect(log.query().map(e => e.game)).toEqual(['B', 'A']);
+    expect(log.query({ childId: 'child-1' })).toHaveLength(1);
+  });
+
+  test('starting again clears the previous period', () => {
+    log.record({ agentId: 'agent-1', processName: 'A.exe' });
+    log.markSummaryNotified(startedAt);
+
+    log.start(startedAt + DAY);
+    expect(observation).toMatchObject({ startedAt: '2025-01-02T00:00:00.000Z', summaryNotifiedAt: null, events: [] });
+  });
+
+  test('is due for a summary once after a week', () => {
+    expect(log.isSummaryDue(startedAt + 6 * DAY)).toBe(false);
+    expect(log.isSummaryDue(startedAt + 7 * DAY)).toBe(true);
+
+    log.markSummaryNotified(startedAt + 7 * DAY);
+    expect(log.isSummaryDue(startedAt + 8 * DAY)).toBe(false);
+  });
+
+  test('suggests limits from the average daily play since observing started', () => {
+    const sessions = [
+      session('child-1', 'Fortnite', startedAt - DAY, 600), // before observing
+      session('child-1', 'Fortnite', startedAt + DAY, 200),
+      session('child-1', 'Fortnite', startedAt + 2 * DAY, 150),
+      session('child-1', 'Rocket League', startedAt + 3 * DAY, 14),
+      session(null, 'Fortnite', startedAt + DAY, 60)
+    ];
+
+    const summary = log.summarize(sessions, startedAt + 7 * DAY);
+
+    expect(summary).toMatchObject({ days: 7, ready: true });
+    expect(summary.children['child-1']).toEqual([
+      { game: 'Fortnite', sessions: 2, totalMinutes: 350, averageMinutes: 50, suggestedMinutes: 60 },
+      { game: 'Rocket League', sessions: 1, totalMinutes: 14, averageMinutes: 2, suggestedMinutes: 15 }
+    ]);
+  });
+
+  test('summarizes nothing before observing started', () => {
+    const fresh = new ObservationLog({ startedAt: null, summaryNotifiedAt: null, events: [] });
+    expect(fresh.summarize([])).toMatchObject({ days: 0, ready: false, children: {} });
+  });
+});
+
+describe('suggestLimit', () => {
+  test('rounds up to 15 minutes, at least 15', () => {
+    expect(suggestLimit(0)).toBe(15);
+    expect(suggestLimit(15)).toBe(15);
+    expect(suggestLimit(16)).toBe(30);
+  });
+});
@@ -0,0 +1,89 @@
+import PlaytimeStore from '../src/services/PlaytimeStore.js';
+
+describe('PlaytimeStore', () => {
+  let store;
+  const at = (day, hour, minute = 0) => new Date(2025, 0, day, hour, minute).getTime();
+
+  const entry = (overrides = {}) => ({
+    agentId: 'a1',
+    processName: 'FortniteClient-Win64-Shipping.exe',
+    childId: 'c1',
+    game: 'Fortnite',
+    startedAt: at(15, 16),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    store = new PlaytimeStore([]);
+  });
+
+  test('records a session with duration', () => {
+    const session = store.record(entry(), { hostname: 'kids-pc', endedAt: at(15, 16, 45) });
+
+    expect(session).toMatchObject({
+      agentId: 'a1',
+      agentHostname: 'kids-pc',
+      childId: 'c1',
+      game: 'Fortnite',
+      duration: 45 * 60
+    });
+    expect(store.sessions).toHaveLength(1);
+  });
+
+  test('filters by child, game and date range', () => {
+    store.record(entry(), { endedAt: at(15, 17) });
+    store.record(entry({ childId: 'c2' }), { endedAt: at(15, 17) });
+    store.record(entry({ game: 'Rocket League', startedAt: at(16, 10) }), { endedAt: at(16, 11) });
+
+    expect(store.query({ childId: 'c1' })).toHaveLength(2);
+    expect(store.query({ game: 'Rocket League' })).toHaveLength(1);
+    expect(store.query({ from: '2025-01-16', to: '2025-01-16' })).toHaveLength(1);
+    expect(store.query({ childId: 'c1', to: '2025-01-15' })).toHaveLength(1);
+  });
+
+  test('rolls up per day, game and agent', () => {
+    store.record(entry(), { endedAt: at(15, 17) });
+    store.record(entry({ agentId: 'a2', game: 'Rocket League', startedAt: at(15, 18) }), { endedAt: at(15, 18, 30) });
+
+    const [day] = store.rollup({ childId: 'c1' });
+
+    expect(day).toEqual({
+      date: '2025-01-15',
+      childId: 'c1',
+      totalSeconds: 90 * 60,
+      games: { 'Fortnite': 60 * 60, 'Rocket League': 30 * 60 },
+      agents: { a1: 60 * 60, a2: 30 * 60 }
+    });
+  });
+
+  test('splits sessions across midnight in rollups', () => {
+    store.record(entry({ startedAt: at(15, 23) }), { endedAt: at(16, 1) });
+
+    const days = store.rollup();
+
+    expect(days.map(d => [d.date, d.totalSeconds])).toEqual([
+      ['2025-01-15', 3600],
+      ['2025-01-16', 3600]
+    ]);
+  });
+
+  test('clips rollups to the requested range', () => {
+    store.record(entry({ startedAt: at(15, 23) }), { endedAt: at(16, 1) });
+
+    const days = store.rollup({ from: '2025-01-16' });
+
+    expect(days).toHaveLength(1);
+    expect(days[0].totalSeconds).toBe(3600);
+  });
+
+  test('clears sessions in place', () => {
+    const sessions = [];
+    store = new PlaytimeStore(sessions);
+    store.record(entry(), { endedAt: at(15, 17) });
+    store.record(entry({ childId: 'c2' }), { endedAt: at(15, 17) });
+
+    store.clear('c1');
+
+    expect(sessions.map(s => s.childId)).toEqual(['c2']);
+  });
+});
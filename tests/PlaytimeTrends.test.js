@@ -0,0 +1,114 @@
+import { buildTrends, splitByHour, TREND_DAYS, TREND_WEEKS } from '../src/services/PlaytimeTrends.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('PlaytimeTrends', () => {
+  // Wednesday 15 January 2025, 20:00 local time
+  const now = new Date(2025, 0, 15, 20, 0, 0).getTime();
+
+  const session = (childId, game, start, minutes) => ({
+    childId,
+    game,
+    start: new Date(start).toISOString(),
+    end: new Date(start + minutes * MINUTE).toISOString()
+  });
+
+  describe('splitByHour', () => {
+    it('splits a range at hour boundaries', () => {
+      const start = new Date(2025, 0, 15, 9, 30).getTime();
+      const parts = splitByHour(start, start + 90 * MINUTE);
+
+      expect(parts).toEqual([
+        { time: start, seconds: 30 * 60 },
+        { time: new Date(2025, 0, 15, 10, 0).getTime(), seconds: 60 * 60 }
+      ]);
+    });
+
+    it('returns nothing for an empty range', () => {
+      expect(splitByHour(now, now)).toEqual([]);
+    });
+  });
+
+  describe('buildTrends', () => {
+    it('returns empty buckets without sessions', () => {
+      const trends = buildTrends([], { now });
+
+      expect(trends.daily).toHaveLength(TREND_DAYS);
+      expect(trends.daily[TREND_DAYS - 1].date).toBe('2025-01-15');
+      expect(trends.daily[0].date).toBe('2025-01-09');
+      expect(trends.weekly).toHaveLength(TREND_WEEKS);
+      expect(trends.weekly[TREND_WEEKS - 1].weekStart).toBe('2025-01-13');
+      expect(trends.heatmap).toHaveLength(7);
+      expect(trends.heatmap.every(hours => hours.length === 24 && hours.every(seconds => seconds === 0))).toBe(true);
+      expect(trends.games).toEqual([]);
+      expect(trends.topGames).toEqual([]);
+    });
+
+    it('buckets play by day, week and hour', () => {
+      const trends = buildTrends([
+        session('child-1', 'Fortnite', new Date(2025, 0, 15, 16, 0).getTime(), 60),
+        session('child-1', 'Rocket League', new Date(2025, 0, 14, 17, 0).getTime(), 30),
+        session('child-1', 'Fortnite', new Date(2025, 0, 8, 16, 0).getTime(), 45)
+      ], { now });
+
+      expect(trends.daily[6].games).toEqual({ Fortnite: 3600 });
+      expect(trends.daily[5].games).toEqual({ 'Rocket League': 1800 });
+      // 8 January is in the previous week and outside the daily window
+      expect(trends.daily.some(day => day.date === '2025-01-08')).toBe(false);
+      expect(trends.weekly[7].games).toEqual({ Fortnite: 3600, 'Rocket League': 1800 });
+      expect(trends.weekly[6].games).toEqual({ Fortnite: 2700 });
+
+      // Both Wednesdays at 16:00
+      expect(trends.heatmap[3][16]).toBe(3600 + 2700);
+      expect(trends.heatmap[2][17]).toBe(1800);
+
+      expect(trends.games).toEqual(['Fortnite', 'Rocket League']);
+      expect(trends.topGames).toEqual([
+        { game: 'Fortnite', seconds: 3600 },
+        { game: 'Rocket League', seconds: 1800 }
+      ]);
+    });
+
+    it('splits sessions spanning midnight across days', () => {
+      const trends = buildTrends([
+        session('child-1', 'Fortnite', new Date(2025, 0, 13, 23, 30).getTime(), 60)
+      ], { now });
+
+      const byDate = Object.fromEntries(trends.daily.map(day => [day.date, day.games]));
+      expect(byDate['2025-01-13']).toEqual({ Fortnite: 1800 });
+      expect(byDate['2025-01-14']).toEqual({ Fortnite: 1800 });
+      expect(trends.heatmap[1][23]).toBe(1800);
+      expect(trends.heatmap[2][0]).toBe(1800);
+    });
+
+    it('ignores play before the oldest week and after now', () => {
+      const trends = buildTrends([
+        session('child-1', 'Fortnite', new Date(2024, 10, 1, 16, 0).getTime(), 60),
+        session('child-1', 'Fortnite', now - 30 * MINUTE, 60)
+      ], { now });
+
+      expect(trends.daily[6].games).toEqual({ Fortnite: 1800 });
+      expect(trends.weekly.reduce((total, week) => total + (week.games.Fortnite || 0), 0)).toBe(1800);
+    });
+
+    it('filters by child', () => {
+      const trends = buildTrends([
+        session('child-1', 'Fortnite', now - 2 * HOUR, 60),
+        session('child-2', 'Rocket League', now - 2 * HOUR, 60)
+      ], { childId: 'child-2', now });
+
+      expect(trends.games).toEqual(['Rocket League']);
+      expect(trends.topGames).toEqual([{ game: 'Rocket League', seconds: 3600 }]);
+    });
+
+    it('keeps the five most played games this week', () => {
+      const sessions = ['A', 'B', 'C', 'D', 'E', 'F'].map((game, index) =>
+        session('child-1', game, now - 3 * HOUR, 10 * (index + 1)));
+      const trends = buildTrends(sessions, { now });
+
+      expect(trends.topGames.map(({ game }) => game)).toEqual(['F', 'E', 'D', 'C', 'B']);
+      expect(trends.games).toHaveLength(6);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import PolicyOutbox from '../src/services/PolicyOutbox.js';
+
+const policy = (processName, extra = {}) => ({ processName, allowed: false, ...extra });
+
+describe('PolicyOutbox', () => {
+  let state;
+  let outbox;
+
+  beforeEach(() => {
+    state = {};
+    outbox = new PolicyOutbox(state);
+  });
+
+  test('queues changes per agent into the persisted object', () => {
+    outbox.enqueue('agent-1', { type: 'create', processName: 'A.exe', policy: policy('A.exe') });
+    outbox.enqueue('agent-1', { type: 'delete', processName: 'B.exe' });
+
+    expect(outbox.getPendingCount('agent-1')).toBe(2);
+    expect(outbox.getPendingCount('agent-2')).toBe(0);
+    expect(state['agent-1'].map(op => op.type)).toEqual(['create', 'delete']);
+  });
+
+  test('folds later changes to the same process into the pending one', () => {
+    outbox.enqueue('agent-1', { type: 'update', processName: 'A.exe', policy: policy('A.exe') });
+    outbox.enqueue('agent-1', { type: 'update', processName: 'A.exe', policy: policy('A.exe', { allowed: true }) });
+    expect(outbox.getPending('agent-1')).toMatchObject([{ type: 'update', policy: { allowed: true } }]);
+
+    outbox.enqueue('agent-1', { type: 'create', processName: 'B.exe', policy: policy('B.exe') });
+    outbox.enqueue('agent-1', { type: 'update', processName: 'B.exe', policy: policy('B.exe', { allowed: true }) });
+    expect(outbox.getPending('agent-1')[1]).toMatchObject({ type: 'create', policy: { allowed: true } });
+  });
+
+  test('drops a create that is deleted before it was delivered', () => {
+    outbox.enqueue('agent-1', { type: 'create', processName: 'A.exe', policy: policy('A.exe') });
+    outbox.enqueue('agent-1', { type: 'delete', processName: 'A.exe' });
+
+    expect(state).toEqual({});
+  });
+
+  test('keeps a create queued after a delete of the same process', () => {
+    outbox.enqueue('agent-1', { type: 'delete', processName: 'A.exe' });
+    outbox.enqueue('agent-1', { type: 'create', processName: 'A.exe', policy: policy('A.exe') });
+
+    expect(outbox.getPending('agent-1').map(op => op.type)).toEqual(['delete', 'create']);
+  });
+
+  test('replays in order and stops at the first failure', async () => {
+    outbox.enqueue('agent-1', { type: 'update', processName: 'A.exe', policy: policy('A.exe') });
+    outbox.enqueue('agent-1', { type: 'update', processName: 'B.exe', policy: policy('B.exe') });
+    outbox.enqueue('agent-1', { type: 'update', processName: 'C.exe', policy: policy('C.exe') });
+
+    const delivered = [];
+    const deliver = jest.fn(async op => {
+      if (op.processName === 'B.exe') {
+        throw new Error('timeout');
+      }
+      delivered.push(op.processName);
+    });
+
+    expect(await outbox.replay('agent-1', deliver)).toEqual({ replayed: 1, pending: 2 });
+    expect(delivered).toEqual(['A.exe']);
+    expect(outbox.getPending('agent-1')[0]).toMatchObject({ processName: 'B.exe', attempts: 1, lastError: 'timeout' });
+
+    expect(await outbox.replay('agent-1', async () => {})).toEqual({ replayed: 2, pending: 0 });
+    expect(state).toEqual({});
+  });
+});
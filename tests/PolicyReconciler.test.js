@@ -0,0 +1,148 @@
+import PolicyReconciler, { PLUGIN_NAME, diffPolicies, isSamePolicy } from '../src/services/PolicyReconciler.js';
+import PolicyOutbox from '../src/services/PolicyOutbox.js';
+
+const policy = (processName, extra = {}) => ({
+  processName,
+  allowed: false,
+  checkInterval: 30000,
+  metadata: { plugin: PLUGIN_NAME, type: 'game' },
+  ...extra
+});
+
+const createAgentService = (policies = null) => ({
+  createPolicy: jest.fn(async () => {}),
+  updatePolicy: jest.fn(async () => {}),
+  deletePolicy: jest.fn(async () => {}),
+  ...(policies && { listPolicies: jest.fn(async () => policies) })
+});
+
+describe('diffPolicies', () => {
+  test('plans creates, updates, deletes and leaves matches alone', () => {
+    const plan = diffPolicies(
+      [policy('A.exe'), policy('B.exe', { allowed: true }), policy('C.exe')],
+      [policy('A.exe'), policy('B.exe'), policy('Old.exe')]
+    );
+
+    expect(plan.create.map(p => p.processName)).toEqual(['C.exe']);
+    expect(plan.update.map(p => p.processName)).toEqual(['B.exe']);
+    expect(plan.remove.map(p => p.processName)).toEqual(['Old.exe']);
+    expect(plan.unchanged.map(p => p.processName)).toEqual(['A.exe']);
+  });
+
+  test('replaces duplicated policies', () => {
+    const plan = diffPolicies([policy('A.exe')], [policy('A.exe'), policy('A.exe')]);
+
+    expect(plan.remove.map(p => p.processName)).toEqual(['A.exe']);
+    expect(plan.create.map(p => p.processName)).toEqual(['A.exe']);
+  });
+});
+
+describe('isSamePolicy', () => {
+  test('ignores key order and fields added by the agent', () => {
+    expect(isSamePolicy(
+      policy('A.exe', { match: { rules: [{ kind: 'exact', pattern: 'A.exe' }] } }),
+      { id: 'p1', createdAt: 1, ...policy('A.exe'), match: { rules: [{ pattern: 'A.exe', kind: 'exact' }] } }
+    )).toBe(true);
+  });
+
+  test('treats undefined and missing values alike', () => {
+    expect(isSamePolicy(policy('A.exe', { metadata: { plugin: PLUGIN_NAME, appName: undefined } }),
+      policy('A.exe', { metadata: { plugin: PLUGIN_NAME } }))).toBe(true);
+  });
+});
+
+describe('PolicyReconciler', () => {
+  test('is idempotent against the last applied set', async () => {
+    const agentService = createAgentService();
+    const applied = {};
+    const reconciler = new PolicyReconciler(agentService, applied);
+    const desired = [policy('A.exe'), policy('B.exe')];
+
+    expect(await reconciler.reconcile('agent-1', desired)).toMatchObject({ created: 2, unchanged: 0 });
+    expect(applied['agent-1']).toHaveLength(2);
+
+    expect(await reconciler.reconcile('agent-1', desired)).toMatchObject({ created: 0, updated: 0, deleted: 0, unchanged: 2 });
+    expect(agentService.createPolicy).toHaveBeenCalledTimes(2);
+    expect(agentService.updatePolicy).not.toHaveBeenCalled();
+  });
+
+  test('deletes policies that are no longer desired', async () => {
+    const agentService = createAgentService();
+    const reconciler = new PolicyReconciler(agentService, { 'agent-1': [policy('A.exe'), policy('B.exe')] });
+
+    const result = await reconciler.reconcile('agent-1', [policy('A.exe')]);
+
+    expect(result).toMatchObject({ deleted: 1, unchanged: 1 });
+    expect(agentService.deletePolicy).toHaveBeenCalledWith('agent-1', 'B.exe');
+    expect(reconciler.getApplied('agent-1').map(p => p.processName)).toEqual(['A.exe']);
+  });
+
+  test('removes everything and forgets the agent when nothing is desired', async () => {
+    const agentService = createAgentService();
+    const applied = { 'agent-1': [policy('A.exe'), policy('B.exe')] };
+    const reconciler = new PolicyReconciler(agentService, applied);
+
+    expect(await reconciler.reconcile('agent-1', [])).toMatchObject({ deleted: 2, failed: 0 });
+    expect(applied).toEqual({});
+  });
+
+  test('uses the policies the agent reports and only touches its own', async () => {
+    const agentService = createAgentService([
+      policy('A.exe', { id: 'p1' }),
+      { processName: 'Steam.exe', metadata: { plugin: 'other-plugin' } },
+      policy('Stale.exe')
+    ]);
+    const reconciler = new PolicyReconciler(agentService);
+
+    const result = await reconciler.reconcile('agent-1', [policy('A.exe', { checkInterval: 60000 })]);
+
+    expect(result).toMatchObject({ updated: 1, deleted: 1, created: 0 });
+    expect(agentService.updatePolicy).toHaveBeenCalledWith('agent-1', policy('A.exe', { checkInterval: 60000 }));
+    expect(agentService.deletePolicy).toHaveBeenCalledWith('agent-1', 'Stale.exe');
+    expect(agentService.deletePolicy).not.toHaveBeenCalledWith('agent-1', 'Steam.exe');
+  });
+
+  test('queues the rest of a run after a failed call and replays it first next time', async () => {
+    const agentService = createAgentService();
+    agentService.createPolicy.mockRejectedValueOnce(new Error('offline'));
+    const reconciler = new PolicyReconciler(agentService);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await reconciler.reconcile('agent-1', [policy('A.exe'), policy('B.exe')]))
+      .toMatchObject({ created: 0, failed: 1, queued: 2, pending: 2 });
+    expect(agentService.createPolicy).toHaveBeenCalledTimes(1);
+
+    expect(await reconciler.reconcile('agent-1', [policy('A.exe'), policy('B.exe')]))
+      .toMatchObject({ replayed: 2, created: 0, unchanged: 2, pending: 0 });
+    expect(agentService.createPolicy.mock.calls.map(([, p]) => p.processName)).toEqual(['A.exe', 'A.exe', 'B.exe']);
+
+    console.error.mockRestore();
+  });
+
+  test('queues changes for offline agents without calling them', async () => {
+    const agentService = createAgentService();
+    const outboxState = {};
+    const reconciler = new PolicyReconciler(agentService, { 'agent-1': [policy('A.exe')] }, new PolicyOutbox(outboxState));
+
+    await reconciler.reconcile('agent-1', [policy('A.exe', { allowed: true })], { offline: true });
+    await reconciler.reconcile('agent-1', [policy('A.exe')], { offline: true });
+
+    expect(agentService.updatePolicy).not.toHaveBeenCalled();
+    expect(outboxState['agent-1']).toMatchObject([{ type: 'update', processName: 'A.exe', policy: { allowed: false } }]);
+
+    expect(await reconciler.flush('agent-1')).toEqual({ replayed: 1, pending: 0 });
+    expect(agentService.updatePolicy).toHaveBeenCalledWith('agent-1', policy('A.exe'));
+  });
+
+  test('queues runs for the same agent', async () => {
+    const agentService = createAgentService();
+    const reconciler = new PolicyReconciler(agentService);
+
+    await Promise.all([
+      reconciler.reconcile('agent-1', [policy('A.exe')]),
+      reconciler.reconcile('agent-1', [policy('A.exe')])
+    ]);
+
+    expect(agentService.createPolicy).toHaveBeenCalledTimes(1);
+  });
+});
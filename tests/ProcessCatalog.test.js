@@ -0,0 +1,97 @@
+import ProcessCatalog, { CATALOG_VERSION, validateCatalogEntry } from '../src/services/ProcessCatalog.js';
+
+describe('ProcessCatalog', () => {
+  let customEntries;
+  let catalog;
+
+  beforeEach(() => {
+    customEntries = [];
+    catalog = new ProcessCatalog(customEntries);
+  });
+
+  test('exposes its version', () => {
+    expect(catalog.version).toBe(CATALOG_VERSION);
+  });
+
+  describe('getProcessNames', () => {
+    test('groups launchers and helpers apart from games', () => {
+      const names = catalog.getProcessNames('win32');
+
+      expect(names.launcher[0]).toBe('EpicGamesLauncher.exe');
+      expect(names.launcher).toEqual(expect.arrayContaining(['EpicWebHelper.exe', 'EpicOnlineServicesHost.exe']));
+      expect(names.games).toEqual(expect.arrayContaining(['FortniteClient-Win64-Shipping.exe', 'RocketLeague.exe']));
+      expect(names.games).not.toContain('EpicGamesLauncher.exe');
+    });
+
+    test('includes Linux launchers', () => {
+      expect(catalog.getProcessNames('linux').launcher).toEqual(expect.arrayContaining(['legendary', 'heroic']));
+    });
+
+    test('falls back to Windows names for unknown platforms', () => {
+      expect(catalog.getProcessNames('freebsd')).toEqual(catalog.getProcessNames('win32'));
+    });
+  });
+
+  describe('findByProcess', () => {
+    test('matches case-insensitively and ignores paths', () => {
+      expect(catalog.findByProcess('C:\\Games\\Fortnite\\fortniteclient-win64-shipping.EXE').id).toBe('fortnite');
+    });
+
+    test('does not match substrings', () => {
+      expect(catalog.findByProcess('legendary-edition.exe')).toBeNull();
+    });
+
+    test('can be restricted to a platform', () => {
+      expect(catalog.findByProcess('RocketLeague.app', 'win32')).toBeNull();
+      expect(catalog.findByProcess('RocketLeague.app', 'darwin').name).toBe('Rocket League');
+    });
+  });
+
+  describe('custom entries', () => {
+    const entry = {
+      name: 'Alan Wake 2',
+      type: 'game',
+      processes: { win32: ['AlanWake2.exe', ' '] }
+    };
+
+    test('adds an entry to the persisted array', () => {
+      const saved = catalog.addCustomEntry(entry);
+
+      expect(saved.id).toMatch(/^custom-alan-wake-2-/);
+      expect(saved.processes).toEqual({ win32: ['AlanWake2.exe'] });
+      expect(customEntries).toHaveLength(1);
+      expect(catalog.getProcessNames('win32').games).toContain('AlanWake2.exe');
+      expect(catalog.findByProcess('AlanWake2.exe').custom).toBe(true);
+    });
+
+    test('replaces an entry with the same id', () => {
+      const saved = catalog.addCustomEntry(entry);
+      catalog.addCustomEntry({ ...entry, id: saved.id, name: 'Alan Wake II' });
+
+      expect(customEntries).toHaveLength(1);
+      expect(customEntries[0].name).toBe('Alan Wake II');
+    });
+
+    test('removes custom entries only', () => {
+      const saved = catalog.addCustomEntry(entry);
+
+      expect(catalog.removeCustomEntry('fortnite')).toBe(false);
+      expect(catalog.removeCustomEntry(saved.id)).toBe(true);
+      expect(customEntries).toEqual([]);
+    });
+
+    test('rejects invalid entries', () => {
+      expect(() => catalog.addCustomEntry({ name: 'x', type: 'game', processes: {} })).toThrow(/process name/);
+    });
+  });
+
+  describe('validateCatalogEntry', () => {
+    test('reports what is wrong', () => {
+      expect(validateCatalogEntry(null)).toMatch(/object/);
+      expect(validateCatalogEntry({ name: '', type: 'game', processes: {} })).toMatch(/name/);
+      expect(validateCatalogEntry({ name: 'x', type: 'tool', processes: {} })).toMatch(/type/);
+      expect(validateCatalogEntry({ id: 'fortnite', name: 'x', type: 'game', processes: { win32: ['x.exe'] } }))
+        .toMatch(/Built-in/);
+    });
+  });
+});
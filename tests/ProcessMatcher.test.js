@@ -0,0 +1,193 @@
+import ProcessCatalog, { validateCatalogEntry } from '../src/services/ProcessCatalog.js';
+import ProcessMatcher, { getBaseName, getEpicAppName, normalizeProcess, splitCommandLine, validateRule } from '../src/services/ProcessMatcher.js';
+
+describe('ProcessMatcher', () => {
+  let customEntries;
+  let exclusions;
+  let matcher;
+
+  beforeEach(() => {
+    customEntries = [];
+    exclusions = [];
+    matcher = new ProcessMatcher(new ProcessCatalog(customEntries), exclusions);
+  });
+
+  test('matches exact process names case-insensitively', () => {
+    expect(matcher.match('fortniteclient-win64-shipping.EXE', 'win32').entry.id).toBe('fortnite');
+  });
+
+  test('does not match names that merely contain a keyword', () => {
+    expect(matcher.match('legendary-music-player', 'linux')).toBeNull();
+    expect(matcher.match('MyEpicGamesTracker.exe', 'win32')).toBeNull();
+  });
+
+  test('matches globs against the process name', () => {
+    const result = matcher.match('FortniteClient-Win64-Shipping_EAC.exe', 'win32');
+
+    expect(result.entry.id).toBe('fortnite');
+    expect(result.rule.kind).toBe('glob');
+  });
+
+  test('matches globs containing a separator against the full path', () => {
+    const result = matcher.match({
+      processName: 'UnknownHelper.exe',
+      path: 'C:\\Program Files (x86)\\Epic Games\\Launcher\\Portal\\Binaries\\Win64\\UnknownHelper.exe'
+    }, 'win32');
+
+    expect(result.entry.id).toBe('epic-games-launcher');
+  });
+
+  test('matches command-line arguments', () => {
+    const result = matcher.match({
+      processName: 'Shipping.exe',
+      commandLine: '"D:\\Games\\Shipping.exe" -AUTH_TYPE=exchangecode -epicapp=Sugar -epicenv=Prod'
+    }, 'win32');
+
+    expect(result.entry.id).toBe('rocket-league');
+    expect(result.rule).toEqual({ kind: 'argument', pattern: '-epicapp=Sugar' });
+  });
+
+  test('matches regexes and install path prefixes from custom entries', () => {
+    customEntries.push(
+      { id: 'custom-a', name: 'Game A', type: 'game', processes: {}, rules: [{ kind: 'regex', pattern: '^GameA-v\\d+$' }] },
+      { id: 'custom-b', name: 'Game B', type: 'game', processes: {}, rules: [{ kind: 'path', pattern: 'D:\\Epic\\GameB' }] }
+    );
+
+    expect(matcher.match('GameA-v12', 'win32').entry.id).toBe('custom-a');
+    expect(matcher.match({ processName: 'x.exe', path: 'd:/epic/gameb/bin/x.exe' }, 'win32').entry.id).toBe('custom-b');
+    expect(matcher.match({ processName: 'x.exe', path: 'D:\\Epic\\GameBeta\\x.exe' }, 'win32')).toBeNull();
+  });
+
+  test('honours platform restrictions on rules', () => {
+    customEntries.push({
+      id: 'custom-c', name: 'Game C', type: 'game', processes: {},
+      rules: [{ kind: 'exact', pattern: 'gamec', platforms: ['linux'] }]
+    });
+
+    expect(matcher.match('gamec', 'linux').entry.id).toBe('custom-c');
+    expect(matcher.match('gamec', 'win32')).toBeNull();
+  });
+
+  test('applies built-in and custom global exclusions', () => {
+    customEntries.push({ id: 'custom-d', name: 'Epic Tools', type: 'helper', processes: { win32: ['EpicPen.exe', 'EpicTool.exe'] } });
+    exclusions.push({ kind: 'glob', pattern: 'EpicTool*' });
+
+    expect(matcher.match('EpicPen.exe', 'win32')).toBeNull();
+    expect(matcher.match('EpicTool.exe', 'win32')).toBeNull();
+  });
+
+  test('applies exclusions scoped to an entry', () => {
+    customEntries.push({
+      id: 'custom-e', name: 'Game E', type: 'game', processes: {},
+      rules: [{ kind: 'glob', pattern: 'GameE*' }, { kind: 'exact', pattern: 'GameE-Editor.exe', exclude: true }]
+    });
+
+    expect(matcher.match('GameE.exe', 'win32').entry.id).toBe('custom-e');
+    expect(matcher.match('GameE-Editor.exe', 'win32')).toBeNull();
+  });
+
+  test('returns the exact and declared rules for an entry', () => {
+    const fortnite = new ProcessCatalog().getEntries().find(entry => entry.id === 'fortnite');
+    const rules = matcher.getRules(fortnite, 'linux');
+
+    expect(rules).toEqual(expect.arrayContaining([
+      { kind: 'exact', pattern: 'FortniteClient-Linux-Shipping' },
+      { kind: 'argument', pattern: '-epicapp=Fortnite' }
+    ]));
+    expect(rules).not.toContainEqual({ kind: 'exact', pattern: 'FortniteLauncher.exe' });
+  });
+});
+
+describe('matchEpicLaunch', () => {
+  let exclusions;
+  let matcher;
+
+  beforeEach(() => {
+    exclusions = [];
+    matcher = new ProcessMatcher(new ProcessCatalog(), exclusions);
+  });
+
+  test('detects an unknown game by its -epicapp argument', () => {
+    expect(matcher.matchEpicLaunch({
+      processName: 'Hades.exe',
+      commandLine: 'Hades.exe -AUTH_LOGIN=unused -epicapp=Min -epicenv=Prod -EpicPortal -epicusername="Kid One"'
+    })).toEqual({ appName: 'Min' });
+  });
+
+  test('detects launches without an AppName', () => {
+    expect(matcher.matchEpicLaunch({ processName: 'Game', args: ['-EpicPortal'] })).toEqual({ appName: null });
+  });
+
+  test('ignores processes without launcher arguments', () => {
+    expect(matcher.matchEpicLaunch({ processName: 'Game.exe', commandLine: 'Game.exe -windowed' })).toBeNull();
+    expect(matcher.matchEpicLaunch('Game.exe')).toBeNull();
+  });
+
+  test('honours exclusions', () => {
+    exclusions.push({ kind: 'exact', pattern: 'Tool.exe' });
+    expect(matcher.matchEpicLaunch({ processName: 'Tool.exe', args: ['-epicapp=Tool'] })).toBeNull();
+  });
+});
+
+describe('getEpicAppName', () => {
+  test('reads the AppName case-insensitively', () => {
+    expect(getEpicAppName(['-nosplash', '-EPICAPP=Fortnite'])).toBe('Fortnite');
+    expect(getEpicAppName(['-EpicPortal'])).toBeNull();
+  });
+});
+
+describe('normalizeProcess', () => {
+  test('splits a full path into name and path', () => {
+    expect(normalizeProcess('/opt/games/RocketLeague')).toEqual({
+      name: 'RocketLeague',
+      path: '/opt/games/RocketLeague',
+      args: []
+    });
+  });
+
+  test('prefers an explicit args list over the command line', () => {
+    expect(normalizeProcess({ processName: 'a', args: ['-x'], commandLine: 'a -y' }).args).toEqual(['-x']);
+  });
+});
+
+describe('getBaseName', () => {
+  test('takes the last part of a path using either separator', () => {
+    expect(getBaseName('Binaries\\Win64/FortniteClient-Win64-Shipping.exe')).toBe('FortniteClient-Win64-Shipping.exe');
+    expect(getBaseName('RocketLeague')).toBe('RocketLeague');
+  });
+
+  test('returns an empty name for an empty or missing path', () => {
+    expect(getBaseName('')).toBe('');
+    expect(getBaseName(undefined)).toBe('');
+  });
+});
+
+describe('splitCommandLine', () => {
+  test('keeps quoted arguments together', () => {
+    expect(splitCommandLine('"C:\\Program Files\\Game.exe" -epicapp=Fortnite  -nosplash'))
+      .toEqual(['C:\\Program Files\\Game.exe', '-epicapp=Fortnite', '-nosplash']);
+  });
+
+  test('keeps quoted values inside an argument', () => {
+    expect(splitCommandLine('Game.exe -epicusername="Kid One" -EpicPortal'))
+      .toEqual(['Game.exe', '-epicusername=Kid One', '-EpicPortal']);
+  });
+});
+
+describe('validateRule', () => {
+  test('accepts a valid rule', () => {
+    expect(validateRule({ kind: 'argument', pattern: '-epicapp=*' })).toBeNull();
+  });
+
+  test('rejects unknown kinds, empty patterns and bad regexes', () => {
+    expect(validateRule({ kind: 'substring', pattern: 'epic' })).toMatch(/kind/);
+    expect(validateRule({ kind: 'exact', pattern: ' ' })).toMatch(/pattern/);
+    expect(validateRule({ kind: 'regex', pattern: '(' })).toMatch(/regular expression/);
+  });
+
+  test('is applied to catalog entry rules', () => {
+    expect(validateCatalogEntry({
+      name: 'Game', type: 'game', processes: { win32: ['Game.exe'] }, rules: [{ kind: 'regex', pattern: '[' }]
+    })).toMatch(/regular expression/);
+  });
+});
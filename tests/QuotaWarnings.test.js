@@ -0,0 +1,90 @@
+import QuotaWarnings from '../src/services/QuotaWarnings.js';
+
+describe('QuotaWarnings', () => {
+  let warnings;
+  const thresholds = [10, 5, 1];
+
+  beforeEach(() => {
+    warnings = new QuotaWarnings();
+  });
+
+  describe('check', () => {
+    test('returns nothing above every threshold', () => {
+      expect(warnings.check('c1', 20 * 60, thresholds)).toBeNull();
+    });
+
+    test('warns once per threshold', () => {
+      expect(warnings.check('c1', 9 * 60, thresholds)).toBe(10);
+      expect(warnings.check('c1', 8 * 60, thresholds)).toBeNull();
+      expect(warnings.check('c1', 5 * 60, thresholds)).toBe(5);
+    });
+
+    test('reports only the most urgent threshold when several are crossed', () => {
+      expect(warnings.check('c1', 4 * 60, thresholds)).toBe(5);
+      expect(warnings.check('c1', 3 * 60, thresholds)).toBeNull();
+    });
+
+    test('re-arms thresholds when time is added', () => {
+      warnings.check('c1', 4 * 60, thresholds);
+      warnings.check('c1', 30 * 60, thresholds);
+
+      expect(warnings.check('c1', 9 * 60, thresholds)).toBe(10);
+    });
+
+    test('does not warn once time has run out', () => {
+      expect(warnings.check('c1', 0, thresholds)).toBeNull();
+    });
+
+    test('tracks keys independently', () => {
+      warnings.check('c1:allow2', 9 * 60, thresholds);
+
+      expect(warnings.check('c1:game:Fortnite', 9 * 60, thresholds)).toBe(10);
+    });
+  });
+
+  describe('grace period', () => {
+    const now = 1000000;
+
+    test('starts once and keeps the original end time', () => {
+      const first = warnings.startGrace('c1', 2, { childId: 'c1' }, now);
+      const second = warnings.startGrace('c1', 2, { childId: 'c1' }, now + 60000);
+
+      expect(first.started).toBe(true);
+      expect(second.started).toBe(false);
+      expect(second.endsAt).toBe(first.endsAt);
+    });
+
+    test('is in grace until it ends', () => {
+      warnings.startGrace('c1', 2, {}, now);
+
+      expect(warnings.isInGrace('c1', now + 60000)).toBe(true);
+      expect(warnings.isInGrace('c1', now + 120000)).toBe(false);
+    });
+
+    test('reports the time left in a running grace period', () => {
+      warnings.startGrace('c1', 2, {}, now);
+
+      expect(warnings.getGraceRemaining('c1', now + 30000)).toBe(90);
+      expect(warnings.getGraceRemaining('c1', now + 120000)).toBeNull();
+      expect(warnings.getGraceRemaining('c2', now)).toBeNull();
+    });
+
+    test('reports expired grace periods once with their details', () => {
+      warnings.startGrace('c1:game:Fortnite', 1, { childId: 'c1', game: 'Fortnite' }, now);
+
+      expect(warnings.takeExpired(now + 30000)).toEqual([]);
+      expect(warnings.takeExpired(now + 60000)).toEqual([
+        { key: 'c1:game:Fortnite', childId: 'c1', game: 'Fortnite' }
+      ]);
+      expect(warnings.takeExpired(now + 90000)).toEqual([]);
+      expect(warnings.hasGrace('c1:game:Fortnite')).toBe(true);
+    });
+
+    test('endGrace allows a new grace period', () => {
+      warnings.startGrace('c1', 1, {}, now);
+      warnings.endGrace('c1');
+
+      expect(warnings.hasGrace('c1')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  createDefaultSchedule,
+  getSecondsUntilBlocked,
+  isAllowedAt,
+  validateSchedule
+} from '../src/services/ScheduleRules.js';
+
+describe('ScheduleRules', () => {
+  // Wednesday 15 January 2025
+  const wednesday = (hour, minute = 0) => new Date(2025, 0, 15, hour, minute);
+
+  const schoolNights = () => {
+    const schedule = createDefaultSchedule();
+    schedule.enabled = true;
+    // No gaming before 16:00 or after 20:00 on school days
+    for (let day = 1; day <= 5; day++) {
+      for (let hour = 0; hour < 24; hour++) {
+        schedule.days[day][hour] = hour >= 16 && hour < 20;
+      }
+    }
+    return schedule;
+  };
+
+  describe('isAllowedAt', () => {
+    test('allows everything without a schedule', () => {
+      expect(isAllowedAt(undefined, wednesday(3))).toBe(true);
+    });
+
+    test('allows everything when the schedule is disabled', () => {
+      const schedule = { ...schoolNights(), enabled: false };
+      expect(isAllowedAt(schedule, wednesday(9))).toBe(true);
+    });
+
+    test('follows the weekly grid', () => {
+      const schedule = schoolNights();
+
+      expect(isAllowedAt(schedule, wednesday(9))).toBe(false);
+      expect(isAllowedAt(schedule, wednesday(17))).toBe(true);
+      expect(isAllowedAt(schedule, wednesday(20))).toBe(false);
+      expect(isAllowedAt(schedule, new Date(2025, 0, 18, 9))).toBe(true); // Saturday
+    });
+  });
+
+  describe('getSecondsUntilBlocked', () => {
+    test('counts down to the next blocked hour', () => {
+      expect(getSecondsUntilBlocked(schoolNights(), wednesday(19, 50))).toBe(10 * 60);
+    });
+
+    test('returns 0 while blocked', () => {
+      expect(getSecondsUntilBlocked(schoolNights(), wednesday(21))).toBe(0);
+    });
+
+    test('returns null when nothing is ever blocked', () => {
+      const schedule = { ...createDefaultSchedule(), enabled: true };
+      expect(getSecondsUntilBlocked(schedule, wednesday(12))).toBeNull();
+    });
+  });
+
+  describe('validateSchedule', () => {
+    test('accepts a well-formed schedule', () => {
+      expect(validateSchedule(schoolNights())).toBeNull();
+    });
+
+    test('rejects malformed schedules', () => {
+      expect(validateSchedule(null)).toMatch(/object/);
+      expect(validateSchedule({ enabled: 'yes', days: [] })).toMatch(/enabled/);
+      expect(validateSchedule({ enabled: true, days: [] })).toMatch(/7 days/);
+      expect(validateSchedule({ enabled: true, days: new Array(7).fill([true]) })).toMatch(/24/);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import {
+  createDefaultState,
+  loadState,
+  validateSettings,
+  MIGRATIONS,
+  STATE_VERSION
+} from '../src/services/StateSchema.js';
+
+describe('StateSchema', () => {
+  describe('loadState', () => {
+    test('starts fresh without a saved state', () => {
+      const { state, fromVersion, repairs } = loadState(undefined);
+
+      expect(state).toEqual(createDefaultState());
+      expect(fromVersion).toBeNull();
+      expect(repairs).toEqual([]);
+    });
+
+    test('replaces a saved state that is not an object', () => {
+      const { state, repairs } = loadState('{"enabled": tru');
+
+      expect(state).toEqual(createDefaultState());
+      expect(repairs).toEqual(['state']);
+    });
+
+    test('fills in keys missing from an old partial state', () => {
+      const saved = {
+        enabled: true,
+        agents: [{ id: 'agent-1', hostname: 'pc' }],
+        violations: [],
+        settings: { monitorFortnite: false, checkInterval: 60000 }
+      };
+
+      const { state, fromVersion, repairs } = loadState(saved);
+
+      expect(fromVersion).toBe(0);
+      expect(repairs).toEqual([]);
+      expect(state.version).toBe(STATE_VERSION);
+      expect(state.enabled).toBe(true);
+      expect(state.agents).toEqual([{ id: 'agent-1', hostname: 'pc' }]);
+      expect(state.settings).toMatchObject({ monitorFortnite: false, checkInterval: 60000, observeMode: false });
+      expect(state.enforcement).toEqual(createDefaultState().enforcement);
+      expect(state.grants).toEqual([]);
+    });
+
+    test('runs migrations newer than the saved version', () => {
+      const saved = {
+        violations: [
+          { id: 'v1', processName: 'Fortnite.exe' },
+          { id: 'v2', processName: 'Fortnite.exe', enforcement: 'warn' }
+        ]
+      };
+
+      const { state } = loadState(saved);
+      expect(state.violations.map(v => v.enforcement)).toEqual(['kill', 'warn']);
+
+      const current = loadState({ version: STATE_VERSION, violations: [{ id: 'v1' }] });
+      expect(current.state.violations[0].enforcement).toBeUndefined();
+    });
+
+    test('migrations are listed in version order up to the current version', () => {
+      const versions = MIGRATIONS.map(m => m.version);
+      expect(versions).toEqual([...versions].sort((a, b) => a - b));
+      expect(versions[versions.length - 1]).toBe(STATE_VERSION);
+    });
+
+    test('keeps the version of a state saved by a newer plugin', () => {
+      const { state } = loadState({ version: STATE_VERSION + 1 });
+      expect(state.version).toBe(STATE_VERSION + 1);
+    });
+
+    test('resets corrupt values to their defaults', () => {
+      const saved = {
+        version: STATE_VERSION,
+        agents: 'agent-1',
+        violations: [{ id: 'v1', enforcement: 'kill' }, null, 'junk'],
+        gameLimits: [],
+        enabled: 'yes',
+        enforcement: { mode: 'explode', closeTimeout: 30, games: null },
+        observation: { startedAt: '2025-01-01T00:00:00.000Z', events: {} },
+        settings: { checkInterval: null, warningThresholds: 'soon', gracePeriod: 5 }
+      };
+
+      const { state, repairs } = loadState(saved);
+
+      expect(state.agents).toEqual([]);
+      expect(state.violations).toEqual([{ id: 'v1', enforcement: 'kill' }]);
+      expect(state.gameLimits).toEqual({});
+      expect(state.enabled).toBe(false);
+      expect(state.enforcement).toEqual({ mode: 'kill', closeTimeout: 30, games: {}, children: {} });
+      expect(state.observation).toEqual({ startedAt: '2025-01-01T00:00:00.000Z', summaryNotifiedAt: null, events: [] });
+      expect(state.settings).toMatchObject({ checkInterval: 30000, warningThresholds: [10, 5, 1], gracePeriod: 5 });
+      expect(repairs).toEqual([
+        'enabled',
+        'agents',
+        'violations',
+        'gameLimits',
+        'settings.checkInterval',
+        'settings.warningThresholds',
+        'enforcement.mode',
+        'enforcement.games',
+        'observation.events'
+      ]);
+    });
+
+    test('does not modify the saved object', () => {
+      const saved = { version: STATE_VERSION, agents: 'oops' };
+      loadState(saved);
+      expect(saved.agents).toBe('oops');
+    });
+  });
+
+  describe('validateSettings', () => {
+    test('accepts valid changes', () => {
+      expect(validateSettings({ checkInterval: 10000, observeMode: true })).toBeNull();
+      expect(validateSettings(createDefaultState().settings)).toBeNull();
+    });
+
+    test('rejects invalid values', () => {
+      expect(validateSettings({ checkInterval: NaN })).toMatch(/Check interval/);
+      expect(validateSettings({ checkInterval: 1000 })).toMatch(/Check interval/);
+      expect(validateSettings({ gracePeriod: -1 })).toMatch(/Grace period/);
+      expect(validateSettings({ violationRetentionDays: 1.5 })).toMatch(/retention/);
+      expect(validateSettings({ warningThresholds: [5, 0] })).toBe('Warning thresholds must be a list of minutes above 0 and at most 1440');
+      expect(validateSettings({ monitorFortnite: 'true' })).toBe('Monitor Fortnite must be true or false');
+    });
+
+    test('rejects unknown settings and non-objects', () => {
+      expect(validateSettings({ turbo: true })).toBe('Unknown setting: turbo');
+      expect(validateSettings(null)).toBe('Settings must be an object');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import TimeGrants, { MAX_GRANT_MINUTES } from '../src/services/TimeGrants.js';
+
+describe('TimeGrants', () => {
+  const now = Date.parse('2025-01-15T10:00:00.000Z');
+  let grants;
+  let timeGrants;
+
+  beforeEach(() => {
+    grants = [];
+    timeGrants = new TimeGrants(grants);
+  });
+
+  test('grants time to a child into the persisted array', () => {
+    const grant = timeGrants.grant({ childId: 'child-1', minutes: 30, reason: 'Homework done' }, now);
+
+    expect(grants).toEqual([grant]);
+    expect(grant).toMatchObject({ childId: 'child-1', agentId: null, game: null, expiresAt: '2025-01-15T10:30:00.000Z' });
+  });
+
+  test('validates the target and duration', () => {
+    expect(() => timeGrants.grant({ minutes: 30 })).toThrow('either a child or a device');
+    expect(() => timeGrants.grant({ childId: 'child-1', agentId: 'agent-1', minutes: 30 })).toThrow('either a child or a device');
+    expect(() => timeGrants.grant({ childId: 'child-1', minutes: 0 })).toThrow('whole number');
+    expect(() => timeGrants.grant({ childId: 'child-1', minutes: 2.5 })).toThrow('whole number');
+    expect(() => timeGrants.grant({ childId: 'child-1', minutes: MAX_GRANT_MINUTES + 1 })).toThrow('whole number');
+  });
+
+  test('finds grants for the child or device, all of Epic or one game', () => {
+    timeGrants.grant({ childId: 'child-1', game: 'Fortnite', minutes: 30 }, now);
+    timeGrants.grant({ agentId: 'agent-2', minutes: 30 }, now);
+
+    const later = now + 60 * 1000;
+    expect(timeGrants.find({ agentId: 'agent-1', childId: 'child-1', game: 'Fortnite' }, later)).not.toBeNull();
+    expect(timeGrants.find({ agentId: 'agent-1', childId: 'child-1', game: 'Rocket League' }, later)).toBeNull();
+    expect(timeGrants.find({ agentId: 'agent-1', childId: 'child-1' }, later)).toBeNull();
+    expect(timeGrants.hasAny({ agentId: 'agent-1', childId: 'child-1' }, later)).toBe(true);
+
+    expect(timeGrants.find({ agentId: 'agent-2', childId: 'child-2', game: 'Rocket League' }, later)).not.toBeNull();
+    expect(timeGrants.find({ agentId: 'agent-3', childId: 'child-2' }, later)).toBeNull();
+  });
+
+  test('expires grants and reports the next expiry', () => {
+    timeGrants.grant({ childId: 'child-1', minutes: 30 }, now);
+    const long = timeGrants.grant({ childId: 'child-1', minutes: 60 }, now);
+
+    expect(timeGrants.getNextExpiry(now)).toBe(now + 30 * 60 * 1000);
+
+    const expired = timeGrants.takeExpired(now + 30 * 60 * 1000);
+    expect(expired).toHaveLength(1);
+    expect(grants).toEqual([long]);
+    expect(timeGrants.getNextExpiry(now + 30 * 60 * 1000)).toBe(now + 60 * 60 * 1000);
+    expect(timeGrants.find({ childId: 'child-1' }, now + 60 * 60 * 1000)).toBeNull();
+  });
+
+  test('revokes a grant early', () => {
+    const grant = timeGrants.grant({ childId: 'child-1', minutes: 30 }, now);
+
+    expect(timeGrants.revoke(grant.id)).toBe(grant);
+    expect(timeGrants.revoke(grant.id)).toBeNull();
+    expect(grants).toEqual([]);
+  });
+});
@@ -0,0 +1,62 @@
+import TimeRequests, { DEFAULT_REQUEST_MINUTES } from '../src/services/TimeRequests.js';
+
+describe('TimeRequests', () => {
+  const now = Date.parse('2025-01-15T10:00:00.000Z');
+  let requests;
+  let timeRequests;
+
+  beforeEach(() => {
+    requests = [];
+    timeRequests = new TimeRequests(requests);
+  });
+
+  test('records pending requests into the persisted array', () => {
+    const { request, created } = timeRequests.add(
+      { agentId: 'agent-1', username: 'sam', game: 'Fortnite', minutes: 15, reason: 'Finishing a match' },
+      { childId: 'child-1' },
+      now
+    );
+
+    expect(created).toBe(true);
+    expect(requests).toEqual([request]);
+    expect(request).toMatchObject({ childId: 'child-1', game: 'Fortnite', minutes: 15, status: 'pending' });
+    expect(timeRequests.getPending()).toEqual([request]);
+  });
+
+  test('defaults the minutes asked for', () => {
+    const { request } = timeRequests.add({ agentId: 'agent-1', minutes: -5 }, {}, now);
+    expect(request.minutes).toBe(DEFAULT_REQUEST_MINUTES);
+  });
+
+  test('updates a pending request for the same game instead of adding another', () => {
+    timeRequests.add({ agentId: 'agent-1', game: 'Fortnite', reason: 'Please' }, { childId: 'child-1' }, now);
+    const { request, created } = timeRequests.add({ agentId: 'agent-2', game: 'Fortnite', minutes: 10 }, { childId: 'child-1' }, now);
+
+    expect(created).toBe(false);
+    expect(requests).toHaveLength(1);
+    expect(request).toMatchObject({ agentId: 'agent-2', minutes: 10, reason: 'Please' });
+
+    timeRequests.add({ agentId: 'agent-1', game: 'Rocket League' }, { childId: 'child-1' }, now);
+    expect(requests).toHaveLength(2);
+  });
+
+  test('answers a request once', () => {
+    const { request } = timeRequests.add({ agentId: 'agent-1' }, { childId: 'child-1' }, now);
+
+    timeRequests.answer(request.id, 'approved', { grantId: 'grant-1' }, now);
+    expect(request).toMatchObject({ status: 'approved', grantId: 'grant-1', answeredAt: '2025-01-15T10:00:00.000Z' });
+    expect(timeRequests.getPending()).toEqual([]);
+
+    expect(() => timeRequests.answer(request.id, 'denied')).toThrow('already approved');
+    expect(() => timeRequests.answer('missing', 'denied')).toThrow('Request not found');
+  });
+
+  test('drops answered requests after a week', () => {
+    const { request: answered } = timeRequests.add({ agentId: 'agent-1' }, { childId: 'child-1' }, now);
+    timeRequests.answer(answered.id, 'denied', {}, now);
+    const { request: pending } = timeRequests.add({ agentId: 'agent-1' }, { childId: 'child-2' }, now);
+
+    timeRequests.prune(now + 8 * 24 * 60 * 60 * 1000);
+    expect(requests).toEqual([pending]);
+  });
+});
@@ -0,0 +1,52 @@
+import UserLinks, { normalizeUsername } from '../src/services/UserLinks.js';
+
+describe('UserLinks', () => {
+  const agent = { id: 'agent-1', childId: 'child-default' };
+  let links;
+  let userLinks;
+
+  beforeEach(() => {
+    links = {};
+    userLinks = new UserLinks(links);
+  });
+
+  test('resolves linked accounts and falls back to the agent child', () => {
+    userLinks.link('agent-1', 'LIVINGROOM\\Sam', 'child-sam');
+
+    expect(userLinks.resolve(agent, 'sam')).toBe('child-sam');
+    expect(userLinks.resolve(agent, 'Alex')).toBe('child-default');
+    expect(userLinks.resolve(agent)).toBe('child-default');
+    expect(userLinks.resolve({ id: 'agent-1' }, 'Alex')).toBeNull();
+  });
+
+  test('keeps links per agent in the persisted object', () => {
+    userLinks.link('agent-1', 'Sam', 'child-sam');
+    userLinks.link('agent-1', 'Alex', 'child-alex');
+
+    expect(links).toEqual({ 'agent-1': { sam: 'child-sam', alex: 'child-alex' } });
+    expect(userLinks.getLinks('agent-1')).toEqual([
+      { username: 'alex', childId: 'child-alex' },
+      { username: 'sam', childId: 'child-sam' }
+    ]);
+    expect(userLinks.resolve({ id: 'agent-2' }, 'Sam')).toBeNull();
+  });
+
+  test('unlinks and forgets agents with no links left', () => {
+    userLinks.link('agent-1', 'Sam', 'child-sam');
+    userLinks.link('agent-1', 'SAM', null);
+
+    expect(links).toEqual({});
+  });
+
+  test('requires a username', () => {
+    expect(() => userLinks.link('agent-1', '  ', 'child-sam')).toThrow('Username is required');
+  });
+});
+
+describe('normalizeUsername', () => {
+  test('drops the domain and ignores case', () => {
+    expect(normalizeUsername('DESKTOP-1\\Kid')).toBe('kid');
+    expect(normalizeUsername(' kid ')).toBe('kid');
+    expect(normalizeUsername(null)).toBe('');
+  });
+});
@@ -0,0 +1,103 @@
+import ViolationStore, { toCSV } from '../src/services/ViolationStore.js';
+
+describe('ViolationStore', () => {
+  let violations;
+  let store;
+
+  const record = (timestamp, extra = {}) => store.record({
+    agentId: 'agent-1',
+    processName: 'FortniteClient-Win64-Shipping.exe',
+    timestamp,
+    ...extra
+  }, { hostname: 'kids-pc', childId: 'child-1', game: 'Fortnite' });
+
+  beforeEach(() => {
+    violations = [];
+    store = new ViolationStore(violations, { retentionDays: 0 });
+  });
+
+  test('records violations into the persisted array', () => {
+    const violation = record('2025-01-15T10:00:00.000Z');
+
+    expect(violations).toEqual([violation]);
+    expect(violation).toMatchObject({
+      agentId: 'agent-1',
+      agentHostname: 'kids-pc',
+      childId: 'child-1',
+      game: 'Fortnite'
+    });
+  });
+
+  test('keeps more than 100 violations', () => {
+    for (let i = 0; i < 150; i++) {
+      record(new Date(Date.UTC(2025, 0, 1, 0, i)).toISOString());
+    }
+    expect(store.query().total).toBe(150);
+  });
+
+  test('filters by child, agent, game and date range, newest first', () => {
+    record('2025-01-14T10:00:00.000Z');
+    record('2025-01-15T10:00:00.000Z', { agentId: 'agent-2' });
+    record('2025-01-16T10:00:00.000Z', { childId: 'child-2' });
+
+    expect(store.query({ agentId: 'agent-2' }).total).toBe(1);
+    expect(store.query({ childId: 'child-2' }).total).toBe(1);
+    expect(store.query({ game: 'Rocket League' }).total).toBe(0);
+
+    const { violations: inRange } = store.query({ from: '2025-01-15T00:00:00.000Z', to: '2025-01-16T23:00:00.000Z' });
+    expect(inRange.map(v => v.timestamp)).toEqual(['2025-01-16T10:00:00.000Z', '2025-01-15T10:00:00.000Z']);
+  });
+
+  test('paginates with offset and limit', () => {
+    for (let day = 1; day <= 5; day++) {
+      record(`2025-01-0${day}T10:00:00.000Z`);
+    }
+
+    const page = store.query({ offset: 2, limit: 2 });
+    expect(page.total).toBe(5);
+    expect(page.violations.map(v => v.timestamp)).toEqual(['2025-01-03T10:00:00.000Z', '2025-01-02T10:00:00.000Z']);
+  });
+
+  test('drops violations older than the retention window', () => {
+    store.retentionDays = 30;
+    const now = Date.parse('2025-03-01T00:00:00.000Z');
+    violations.push(
+      { id: 'old', timestamp: '2025-01-01T00:00:00.000Z' },
+      { id: 'new', timestamp: '2025-02-20T00:00:00.000Z' }
+    );
+
+    store.prune(now);
+    expect(violations.map(v => v.id)).toEqual(['new']);
+  });
+
+  test('clears everything or one child', () => {
+    record('2025-01-14T10:00:00.000Z');
+    record('2025-01-15T10:00:00.000Z', { childId: 'child-2' });
+
+    store.clear('child-2');
+    expect(violations).toHaveLength(1);
+    store.clear();
+    expect(violations).toHaveLength(0);
+  });
+
+  test('exports JSON and CSV', () => {
+    record('2025-01-14T10:00:00.000Z');
+
+    const json = store.export('json');
+    expect(json.mimeType).toBe('application/json');
+    expect(JSON.parse(json.content)).toHaveLength(1);
+
+    const csv = store.export('csv');
+    expect(csv.filename).toMatch(/\.csv$/);
+    expect(csv.content.split('\n')[0]).toBe('id,timestamp,childId,agentId,agentHostname,game,processName,enforcement');
+
+    expect(() => store.export('xml')).toThrow('Unknown export format');
+  });
+});
+
+describe('toCSV', () => {
+  test('escapes commas, quotes and formula prefixes', () => {
+    const csv = toCSV([{ id: '1', agentHostname: 'Kid "A", PC', processName: '=cmd.exe' }]);
+    expect(csv.split('\n')[1]).toBe('1,,,,"Kid ""A"", PC",,\'=cmd.exe,');
+  });
+});
@@ -0,0 +1,149 @@
+import PlaytimeStore from '../src/services/PlaytimeStore.js';
+import {
+  buildWeeklyReport,
+  formatChange,
+  formatDuration,
+  getNextReportTime,
+  getReportWeek,
+  renderReportHtml,
+  renderReportText,
+  summarizeReport
+} from '../src/services/WeeklyReport.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('WeeklyReport', () => {
+  // Wednesday 15 January 2025, 20:00 local time
+  const now = new Date(2025, 0, 15, 20, 0, 0).getTime();
+  const { from, previousFrom } = getReportWeek(now);
+
+  const session = (childId, agentId, game, start, minutes) => ({
+    id: `${childId}-${start}`,
+    agentId,
+    agentHostname: agentId,
+    childId,
+    game,
+    processName: `${game}.exe`,
+    start: new Date(start).toISOString(),
+    end: new Date(start + minutes * 60 * 1000).toISOString(),
+    duration: minutes * 60
+  });
+
+  let playtime;
+  let violations;
+
+  beforeEach(() => {
+    playtime = new PlaytimeStore([
+      session('child-1', 'pc-1', 'Fortnite', from + 2 * HOUR, 90),
+      session('child-1', 'laptop', 'Fortnite', from + DAY + 2 * HOUR, 30),
+      session('child-1', 'pc-1', 'Rocket League', from + 2 * DAY, 20),
+      session('child-1', 'pc-1', 'Fortnite', previousFrom + HOUR, 60),
+      session('child-2', 'pc-2', 'Fortnite', previousFrom + HOUR, 45),
+      session(null, 'pc-3', 'Fortnite', from + HOUR, 10),
+      session('child-1', 'pc-1', 'Fortnite', previousFrom - DAY, 500) // too old
+    ]);
+    violations = [
+      { childId: 'child-1', game: 'Fortnite', processName: 'Fortnite.exe', timestamp: new Date(from + HOUR).toISOString() },
+      { childId: 'child-1', game: 'Fortnite', processName: 'Fortnite.exe', timestamp: new Date(from + 2 * HOUR).toISOString() },
+      { childId: 'child-1', game: null, processName: 'EpicGamesLauncher.exe', timestamp: new Date(from + 3 * HOUR).toISOString() },
+      { childId: 'child-1', game: 'Fortnite', processName: 'Fortnite.exe', timestamp: new Date(previousFrom + HOUR).toISOString() }
+    ];
+  });
+
+  test('covers the last seven days from midnight and the week before', () => {
+    expect(new Date(from)).toEqual(new Date(2025, 0, 9));
+    expect(new Date(previousFrom)).toEqual(new Date(2025, 0, 2));
+  });
+
+  test('summarizes each child against the previous week', () => {
+    const report = buildWeeklyReport(playtime, violations, {
+      childNames: { 'child-1': 'Sam', 'child-2': 'Alex' },
+      agents: [{ id: 'pc-1', hostname: 'Family PC' }],
+      now
+    });
+
+    expect(report.children.map(child => child.name)).toEqual(['Alex', 'Sam', 'Unlinked devices']);
+
+    const sam = report.children[1];
+    expect(sam).toMatchObject({
+      childId: 'child-1',
+      totalSeconds: 140 * 60,
+      previousTotalSeconds: 60 * 60,
+      blocked: 3,
+      previousBlocked: 1
+    });
+    expect(sam.games).toEqual([
+      { game: 'Fortnite', seconds: 120 * 60, previousSeconds: 60 * 60 },
+      { game: 'Rocket League', seconds: 20 * 60, previousSeconds: 0 }
+    ]);
+    expect(sam.devices).toEqual([
+      { agentId: 'pc-1', hostname: 'Family PC', seconds: 110 * 60 },
+      { agentId: 'laptop', hostname: 'laptop', seconds: 30 * 60 }
+    ]);
+    expect(sam.blockedGames).toEqual([
+      { game: 'Fortnite', count: 2 },
+      { game: 'EpicGamesLauncher.exe', count: 1 }
+    ]);
+
+    expect(report.children[0]).toMatchObject({ totalSeconds: 0, previousTotalSeconds: 45 * 60 });
+  });
+
+  test('counts only violations that closed the game as blocked', () => {
+    const at = new Date(from + HOUR).toISOString();
+    const report = buildWeeklyReport(playtime, [
+      { childId: 'child-2', game: 'Fortnite', processName: 'Fortnite.exe', timestamp: at, enforcement: 'warn' },
+      { childId: 'child-2', game: 'Fortnite', processName: 'Fortnite.exe', timestamp: at, enforcement: 'log' },
+      { childId: 'child-2', game: 'Rocket League', processName: 'RocketLeague.exe', timestamp: at, enforcement: 'graceful' },
+      { childId: 'child-2', game: 'Rocket League', processName: 'RocketLeague.exe', timestamp: at, enforcement: 'kill' }
+    ], { childId: 'child-2', now });
+
+    expect(report.children[0]).toMatchObject({
+      blocked: 2,
+      blockedGames: [{ game: 'Rocket League', count: 2 }]
+    });
+  });
+
+  test('can be limited to one child', () => {
+    const report = buildWeeklyReport(playtime, violations, { childId: 'child-2', now });
+    expect(report.children.map(child => child.childId)).toEqual(['child-2']);
+  });
+
+  test('renders text and self-contained, escaped HTML', () => {
+    const report = buildWeeklyReport(playtime, violations, { childNames: { 'child-1': 'Sam <3' }, now });
+
+    const text = renderReportText(report);
+    expect(text).toContain('Sam <3');
+    expect(text).toContain('Total: 2h 20m (+1h 20m vs last week)');
+    expect(text).toContain('Blocked attempts: 3 (last week 1)');
+
+    const html = renderReportHtml(report);
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('Sam &lt;3');
+    expect(html).not.toMatch(/<(script|link)\b|src=/);
+
+    expect(summarizeReport(report).split('\n')).toContain('Sam <3: 2h 20m (+1h 20m vs last week), 3 blocked attempts');
+  });
+
+  test('reports no activity', () => {
+    const report = buildWeeklyReport(new PlaytimeStore([]), [], { now });
+    expect(report.children).toEqual([]);
+    expect(summarizeReport(report)).toBe('No Epic Games activity this week.');
+    expect(renderReportText(report)).toContain('No Epic Games activity this week.');
+  });
+
+  test('formats durations and changes', () => {
+    expect(formatDuration(0)).toBe('0m');
+    expect(formatDuration(65 * 60)).toBe('1h 5m');
+    expect(formatChange(30 * 60, 30 * 60)).toBe('same as last week');
+    expect(formatChange(0, 65 * 60)).toBe('-1h 5m vs last week');
+  });
+
+  test('schedules the next report on the given day and hour', () => {
+    // Sunday 18:00 after Wednesday 20:00
+    expect(new Date(getNextReportTime(0, 18, now))).toEqual(new Date(2025, 0, 19, 18));
+    // Wednesday 21:00 is later the same day, 19:00 is next week
+    expect(new Date(getNextReportTime(3, 21, now))).toEqual(new Date(2025, 0, 15, 21));
+    expect(new Date(getNextReportTime(3, 19, now))).toEqual(new Date(2025, 0, 22, 19));
+  });
+});